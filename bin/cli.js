@@ -1,7 +1,6 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import chalk from 'chalk';
 import { initCommand } from '../lib/commands/init.js';
 import { deployCommand } from '../lib/commands/deploy.js';
 import { encryptCommand } from '../lib/commands/encrypt.js';
@@ -9,14 +8,72 @@ import { rotateCommand } from '../lib/commands/rotate.js';
 import { bwSaveCommand } from '../lib/commands/bw-save.js';
 import { bwPullCommand } from '../lib/commands/bw-pull.js';
 import { bwListCommand } from '../lib/commands/bw-list.js';
+import { keysSaveCommand, keysPullCommand, keysListCommand } from '../lib/commands/keys.js';
+import { vaultExportCommand, vaultImportCommand } from '../lib/commands/vault.js';
 import { statusCommand } from '../lib/commands/status.js';
+import { checkCommand } from '../lib/commands/check.js';
+import { verifyCommand } from '../lib/commands/verify.js';
+import { driftCommand } from '../lib/commands/drift.js';
+import { validateCommand } from '../lib/commands/validate.js';
+import { diffCommand } from '../lib/commands/diff.js';
+import { resolveConfig } from '../lib/utils/config.js';
+import { enableJsonOutput, exitWithError } from '../lib/utils/output.js';
+import { configurePrompts } from '../lib/utils/prompt.js';
 
 const program = new Command();
 
+/**
+ * Wrap a command action so its options are merged with .dotenvx-deploy.json.
+ * Flags given on the command line win over the config file, which wins over
+ * the built-in defaults. The resolved config is passed on as `options.config`.
+ * Library errors the action does not handle end the process with their
+ * message and hint instead of a stack trace.
+ * @param {Function} action - Command action
+ * @returns {Function}
+ */
+function withConfig(action) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const options = args[args.length - 2];
+    const flags = Object.fromEntries(
+      Object.keys(options)
+        .filter(key => command.getOptionValueSource(key) === 'cli')
+        .map(key => [key, options[key]])
+    );
+
+    let config;
+    try {
+      config = resolveConfig(process.cwd(), flags);
+    } catch (error) {
+      exitWithError(error);
+    }
+
+    const yes = options.yes || program.opts().yes;
+
+    try {
+      await action(...args.slice(0, -2), { ...options, ...config.values, yes, config }, command);
+    } catch (error) {
+      exitWithError(error);
+    }
+  };
+}
+
 program
   .name('dotenvx-deploy')
   .description('CLI for managing dotenvx encryption with Vercel deployment and Bitwarden integration')
-  .version('1.1.0');
+  .version('1.1.0')
+  .option('--json', 'Print one machine-readable JSON document instead of text')
+  .option('-y, --yes', 'Answer every confirmation with yes')
+  .option('--no-input', 'Never prompt; fail when a question has no default (automatic in CI)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    if (thisCommand.opts().json) {
+      enableJsonOutput();
+    }
+    configurePrompts({
+      yes: thisCommand.opts().yes || actionCommand.opts().yes,
+      input: thisCommand.opts().input
+    });
+  });
 
 program
   .command('init')
@@ -25,30 +82,54 @@ program
   .option('--no-install', 'Skip installing dotenvx package')
   .option('--force', 'Overwrite existing configuration')
   .option('-y, --yes', 'Auto-confirm all prompts (encrypt all found .env files)')
-  .action(initCommand);
+  .action(withConfig(initCommand));
 
 program
   .command('deploy')
-  .description('Deploy encrypted environment to Vercel')
-  .option('-e, --env <environment>', 'Environment to deploy (default: production)', 'production')
+  .description('Deploy encrypted environment to Vercel or another target')
+  .option('-e, --env <environments...>', 'Environments to deploy (default: production)')
+  .option('--all', 'Deploy every environment that has a private key and an env file')
+  .option('--dry-run', 'Print the plan without changing anything')
+  .option('-y, --yes', 'Apply the plan without prompting')
+  .option('--allow-unencrypted', 'Push keys for env files that are not encrypted when not prompting')
+  .option('--force', 'Deploy even when values do not match .env.schema')
+  .option('--no-deploy', 'Only set keys; do not trigger deployments')
+  .option('-t, --target <target>', 'Deploy target (vercel, netlify, cloudflare, github, k8s, compose)', 'vercel')
+  .option('--context <context>', 'Netlify deploy context (default: mapped from --env)')
+  .option('--wrangler-env <name>', 'Cloudflare wrangler environment (default: same as --env)')
+  .option('--repo-secret', 'GitHub: write a repository secret instead of an Environment secret')
+  .option('--out <dir>', 'k8s/compose: output directory', '.secrets')
+  .option('--format <format>', 'k8s: manifest format (secret, sealed, sops)', 'secret')
+  .option('--namespace <namespace>', 'k8s: Secret namespace')
+  .option('--secret-name <name>', 'k8s: Secret name (default: <project>-dotenvx-<env>)')
+  .option('--service <service>', 'compose: service name', 'app')
   .option('--prod', 'Deploy to production')
   .option('--preview', 'Deploy to preview only')
-  .action(deployCommand);
+  .action(withConfig(deployCommand));
 
 program
   .command('encrypt')
   .description('Encrypt environment variables')
-  .option('-e, --env <environment>', 'Environment to encrypt (default: production)', 'production')
+  .option('-e, --env <environment>', 'Environment to encrypt, e.g. staging or apps/web/production (default: production)', 'production')
   .option('-k, --key <key>', 'Specific key to encrypt')
   .option('-v, --value <value>', 'Value for the key (use with --key)')
-  .action(encryptCommand);
+  .option('--force', 'Encrypt even when values do not match .env.schema')
+  .action(withConfig(encryptCommand));
 
 program
   .command('rotate')
   .description('Rotate encryption keys for an environment')
-  .option('-e, --env <environment>', 'Environment to rotate (default: production)', 'production')
-  .option('--all', 'Rotate keys for all environments')
-  .action(rotateCommand);
+  .option('-e, --env <environment>', 'Environment to rotate, by name or env file (default: production)', 'production')
+  .option('--all', 'Rotate keys for every encrypted env file, including subdirectories')
+  .option('--propagate', 'Back up the new keys, push them to every deploy target and redeploy')
+  .option('-n, --name <name>', 'Version name for the backup (default: rotated-<timestamp>)')
+  .option('-p, --provider <name>', 'Secret store provider for --propagate (bitwarden, 1password, hashicorp-vault, local-vault, file, memory)', 'bitwarden')
+  .option('--targets <targets...>', 'Deploy targets for --propagate (default: targets, else target, from config)')
+  .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
+  .option('--vault <vault>', '1Password vault name', 'dotenvx-keys')
+  .option('--mount <path>', 'HashiCorp Vault KV v2 mount', 'secret')
+  .option('--store <path>', 'File store path (file provider)')
+  .action(withConfig(rotateCommand));
 
 program
   .command('bw-save')
@@ -57,7 +138,7 @@ program
   .option('-n, --name <name>', 'Version name (e.g., "client-a", "v2", "backup")')
   .option('--note <note>', 'Add a note/description to the saved key')
   .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
-  .action(bwSaveCommand);
+  .action(withConfig(bwSaveCommand));
 
 program
   .command('bw-pull')
@@ -65,18 +146,137 @@ program
   .option('-e, --env <environment>', 'Environment to pull (default: all)')
   .option('-n, --name <name>', 'Pull a specific version by name')
   .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
-  .action(bwPullCommand);
+  .action(withConfig(bwPullCommand));
 
 program
   .command('bw-list')
   .description('List all saved keys in Bitwarden')
   .option('--all', 'Show all projects (not just current)')
   .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
-  .action(bwListCommand);
+  .action(withConfig(bwListCommand));
+
+const keys = program
+  .command('keys')
+  .description('Back up and restore private keys with a secret store provider');
+
+keys
+  .command('save')
+  .description('Save private keys to a secret store')
+  .option('-p, --provider <name>', 'Secret store provider (bitwarden, 1password, hashicorp-vault, local-vault, file, memory)', 'bitwarden')
+  .option('-e, --env <environment>', 'Environment to save (default: all)')
+  .option('-n, --name <name>', 'Version name (e.g., "client-a", "v2", "backup")')
+  .option('--note <note>', 'Add a note/description to the saved key')
+  .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
+  .option('--vault <vault>', '1Password vault name', 'dotenvx-keys')
+  .option('--mount <path>', 'HashiCorp Vault KV v2 mount', 'secret')
+  .option('--store <path>', 'File store path (file provider)')
+  .action(withConfig(keysSaveCommand));
+
+keys
+  .command('pull')
+  .description('Pull private keys from a secret store')
+  .option('-p, --provider <name>', 'Secret store provider (bitwarden, 1password, hashicorp-vault, local-vault, file, memory)', 'bitwarden')
+  .option('-e, --env <environment>', 'Environment to pull (default: all)')
+  .option('-n, --name <name>', 'Pull a specific version by name')
+  .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
+  .option('--vault <vault>', '1Password vault name', 'dotenvx-keys')
+  .option('--mount <path>', 'HashiCorp Vault KV v2 mount', 'secret')
+  .option('--store <path>', 'File store path (file provider)')
+  .action(withConfig(keysPullCommand));
+
+keys
+  .command('list')
+  .description('List all keys saved in a secret store')
+  .option('-p, --provider <name>', 'Secret store provider (bitwarden, 1password, hashicorp-vault, local-vault, file, memory)', 'bitwarden')
+  .option('--all', 'Show all projects (not just current)')
+  .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
+  .option('--vault <vault>', '1Password vault name', 'dotenvx-keys')
+  .option('--mount <path>', 'HashiCorp Vault KV v2 mount', 'secret')
+  .option('--store <path>', 'File store path (file provider)')
+  .action(withConfig(keysListCommand));
+
+const vault = program
+  .command('vault')
+  .description('Keep private keys in a passphrase-encrypted local vault file');
+
+vault
+  .command('save')
+  .description('Save private keys to the local vault')
+  .option('-e, --env <environment>', 'Environment to save (default: all)')
+  .option('-n, --name <name>', 'Version name (e.g., "client-a", "v2", "backup")')
+  .option('--note <note>', 'Add a note/description to the saved key')
+  .option('--file <path>', 'Vault file (default: ~/.config/dotenvx-deploy/vault.enc)')
+  .action(withConfig((options) => keysSaveCommand({ ...options, provider: 'local-vault', commandName: 'vault save' })));
+
+vault
+  .command('pull')
+  .description('Pull private keys from the local vault')
+  .option('-e, --env <environment>', 'Environment to pull (default: all)')
+  .option('-n, --name <name>', 'Pull a specific version by name')
+  .option('--file <path>', 'Vault file (default: ~/.config/dotenvx-deploy/vault.enc)')
+  .action(withConfig((options) => keysPullCommand({ ...options, provider: 'local-vault', commandName: 'vault pull' })));
+
+vault
+  .command('list')
+  .description('List all keys in the local vault')
+  .option('--all', 'Show all projects (not just current)')
+  .option('--file <path>', 'Vault file (default: ~/.config/dotenvx-deploy/vault.enc)')
+  .action(withConfig((options) => keysListCommand({ ...options, provider: 'local-vault', commandName: 'vault list' })));
+
+vault
+  .command('export <file>')
+  .description('Copy the encrypted vault to another location')
+  .option('--file <path>', 'Vault file (default: ~/.config/dotenvx-deploy/vault.enc)')
+  .action(withConfig(vaultExportCommand));
+
+vault
+  .command('import <file>')
+  .description('Merge keys from an exported vault file')
+  .option('--file <path>', 'Vault file (default: ~/.config/dotenvx-deploy/vault.enc)')
+  .action(withConfig(vaultImportCommand));
 
 program
   .command('status')
   .description('Show current encryption and deployment status')
-  .action(statusCommand);
+  .action(withConfig(statusCommand));
+
+program
+  .command('check')
+  .description('Exit non-zero when status finds problems, for CI')
+  .option('--policy', 'Also fail on keys older than maxKeyAge, or of unknown age')
+  .option('--max-age <days>', 'Maximum key age in days for every environment (overrides maxKeyAge)')
+  .action(withConfig(checkCommand));
+
+program
+  .command('verify')
+  .description('Check that each private key matches its env file and decrypts every value')
+  .option('-e, --env <environments...>', 'Environments to verify (default: all)')
+  .action(withConfig(verifyCommand));
+
+program
+  .command('drift')
+  .description('Compare each private key in .env.keys, the secret store and the deploy targets')
+  .option('-e, --env <environments...>', 'Environments to compare (default: all)')
+  .option('-p, --provider <name>', 'Secret store provider (bitwarden, 1password, hashicorp-vault, local-vault, file, memory)', 'bitwarden')
+  .option('--targets <targets...>', 'Deploy targets to compare (default: targets, else target, from config)')
+  .option('--folder <folder>', 'Bitwarden folder name', 'dotenvx-keys')
+  .option('--vault <vault>', '1Password vault name', 'dotenvx-keys')
+  .option('--mount <path>', 'HashiCorp Vault KV v2 mount', 'secret')
+  .option('--store <path>', 'File store path (file provider)')
+  .option('--out <dir>', 'k8s/compose: output directory', '.secrets')
+  .action(withConfig(driftCommand));
+
+program
+  .command('validate')
+  .description('Decrypt each env file in memory and check its values against .env.schema')
+  .option('-e, --env <environments...>', 'Environments to validate (default: all)')
+  .action(withConfig(validateCommand));
+
+program
+  .command('diff <env> [other]')
+  .description('Compare variables across two environments, or with an earlier git revision')
+  .option('--rev <rev>', 'Compare <env> with its env file at this git revision instead')
+  .option('--show <mode>', 'Show changed values as a hash or masked (hash, mask)', 'hash')
+  .action(withConfig(diffCommand));
 
 program.parse();
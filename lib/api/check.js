@@ -0,0 +1,62 @@
+import { ConfigError } from '../errors.js';
+import { status } from './status.js';
+import { createContext } from './context.js';
+
+/**
+ * Problems with key ages under the key age policy
+ * @param {object[]} environments - `environments` from status()
+ * @returns {string[]}
+ */
+function policyProblems(environments) {
+  return environments
+    .filter(env => env.keyAge && env.keyAge.maxAgeDays !== null)
+    .flatMap(({ id, keyAge }) => {
+      if (keyAge.ageDays === null) {
+        return [`Age of the ${id} key is unknown`];
+      }
+      return keyAge.overdue ? [`${id} key is ${keyAge.ageDays} days old (max ${keyAge.maxAgeDays})`] : [];
+    });
+}
+
+/**
+ * Check the project for problems, for CI
+ *
+ * Runs the `status` checks without looking for CLIs. With `policy`, keys
+ * older than `maxKeyAge` allows, or whose age is unknown, are problems too.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {boolean} [options.policy] - Enforce the key age policy
+ * @param {number} [options.maxAge] - Maximum key age in days for every environment, instead of `maxKeyAge`
+ * @param {Date} [options.now] - Time to measure key ages at (default: now)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @returns {Promise<{ ok: boolean, policy: Record<string, number> | null, environments: object[], problems: string[] }>}
+ *   `environments` has one { id, name, file, keyAge } per environment
+ * @throws {ConfigError} When `policy` is set but no maximum age is configured
+ */
+export async function check(options = {}) {
+  const { settings } = createContext(options);
+  let maxKeyAge = settings.maxKeyAge;
+
+  if (settings.maxAge !== undefined) {
+    if (!Number.isInteger(settings.maxAge) || settings.maxAge < 1) {
+      throw new ConfigError(`Invalid maximum key age: ${settings.maxAge}`, { hint: 'Pass a number of days, e.g. --max-age 90' });
+    }
+    maxKeyAge = { '*': settings.maxAge };
+  }
+
+  if (settings.policy && Object.keys(maxKeyAge).length === 0) {
+    throw new ConfigError('No key age policy configured', {
+      hint: 'Set "maxKeyAge" in .dotenvx-deploy.json, e.g. { "production": 90 }, or pass --max-age <days>'
+    });
+  }
+
+  const report = await status({ ...options, maxKeyAge, tools: false });
+  const problems = [...report.problems, ...(settings.policy ? policyProblems(report.environments) : [])];
+
+  return {
+    ok: problems.length === 0,
+    policy: settings.policy ? maxKeyAge : null,
+    environments: report.environments.map(({ id, name, file, keyAge }) => ({ id, name, file, keyAge })),
+    problems
+  };
+}
@@ -0,0 +1,57 @@
+import { resolveConfig, DEFAULT_CONFIG } from '../utils/config.js';
+
+/**
+ * Create a progress reporter that forwards steps to an `onProgress` callback
+ *
+ * Events have the shape { type, text } where type is one of start, update,
+ * succeed, fail, warn, info or stop. Without a callback every step is a no-op.
+ * @param {Function} [onProgress] - Callback for progress events
+ * @returns {{ start: Function, update: Function, succeed: Function, fail: Function, warn: Function, info: Function, stop: Function }}
+ */
+export function createProgress(onProgress) {
+  const emit = (type) => (text) => {
+    if (onProgress) {
+      onProgress({ type, text });
+    }
+  };
+
+  return {
+    start: emit('start'),
+    update: emit('update'),
+    succeed: emit('succeed'),
+    fail: emit('fail'),
+    warn: emit('warn'),
+    info: emit('info'),
+    stop: emit('stop')
+  };
+}
+
+/**
+ * Resolve the working directory, configuration and progress reporter for an API call
+ *
+ * Options that are configuration keys (project, environments, provider, ...)
+ * override .dotenvx-deploy.json the same way command-line flags do. Callers
+ * that already resolved the configuration pass it as `options.config`.
+ * @param {object} options - API options
+ * @param {string} [options.cwd] - Project directory (default: process.cwd())
+ * @param {object} [options.config] - Result of resolveConfig()
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @returns {{ cwd: string, config: object, settings: object, progress: object }}
+ *   `settings` is the options merged with the resolved configuration values
+ */
+export function createContext(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const config = options.config || resolveConfig(cwd, Object.fromEntries(
+    Object.keys(DEFAULT_CONFIG)
+      .filter(key => key in given)
+      .map(key => [key, given[key]])
+  ));
+
+  return {
+    cwd,
+    config,
+    settings: { ...config.values, ...given, cwd },
+    progress: createProgress(options.onProgress)
+  };
+}
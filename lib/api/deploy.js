@@ -0,0 +1,271 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { getEnvKeys } from '../utils/detect.js';
+import { readEnvFile, hasEncryptedValues } from '../utils/dotenv.js';
+import { keyNameForEnv } from '../utils/keys.js';
+import { discoverEnvironments, envFileFor, describeEnvFile } from '../utils/environments.js';
+import { readEnvSchema } from '../utils/env-schema.js';
+import { getTarget } from '../targets/index.js';
+import { getEngine } from '../engines/index.js';
+import { NotFoundError, NotReadyError, AbortedError, UnsafeError, PartialFailureError } from '../errors.js';
+import { createContext, createProgress } from './context.js';
+import { validateEnvironment, assertValid } from './validate.js';
+
+/**
+ * Work out what a deploy would change without touching the target
+ *
+ * Targets with a `planSecret()` report whether each key would be added,
+ * replaced or left unchanged; others are reported as "set".
+ * @param {object} target - Deploy target (already checked)
+ * @param {string[]} envNames - Environments to deploy
+ * @param {Record<string, string>} keys - Private keys from .env.keys
+ * @param {object} options - Options
+ * @param {string} options.cwd - Current working directory
+ * @param {boolean} [options.deploy] - Include deployments (default: true)
+ * @returns {Promise<{ changes: object[], deployments: object[], skippedDeployments: object[], errors: object[] }>}
+ */
+export async function buildDeployPlan(target, envNames, keys, { cwd, deploy = true }) {
+  const plan = { changes: [], deployments: [], skippedDeployments: [], errors: [] };
+
+  for (const envName of envNames) {
+    const keyName = keyNameForEnv(envName);
+    const envFile = envFileFor(envName);
+    const envPath = join(cwd, envFile);
+
+    if (!keys[keyName]) {
+      plan.errors.push({ envName, message: `No private key found for ${envName} environment`, hint: `Expected key: ${keyName}`, availableKeys: true });
+      continue;
+    }
+
+    if (!existsSync(envPath)) {
+      plan.errors.push({ envName, message: `${envFile} not found`, hint: 'Run `dotenvx-deploy encrypt` first' });
+      continue;
+    }
+
+    const scope = target.scopeFor(envName);
+    const { action } = target.planSecret
+      ? await target.planSecret(keyName, keys[keyName], scope)
+      : { action: 'set' };
+
+    plan.changes.push({
+      envName,
+      envFile,
+      keyName,
+      scope,
+      action,
+      encrypted: hasEncryptedValues(readEnvFile(envPath))
+    });
+  }
+
+  // One deployment per scope; several environments can share one
+  if (deploy && target.deploy) {
+    const seen = new Set();
+    for (const { envName, scope } of plan.changes) {
+      if (seen.has(scope)) {
+        continue;
+      }
+      seen.add(scope);
+
+      const deployable = !target.canDeploy || target.canDeploy(scope);
+      (deployable ? plan.deployments : plan.skippedDeployments).push({ envName, scope });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Check the values of the env files a plan deploys against .env.schema
+ * @param {string} cwd - Project directory
+ * @param {object[]} changes - Changes from buildDeployPlan()
+ * @param {object} settings - Options merged with the resolved configuration
+ * @param {object} progress - Progress reporter
+ * @throws {ValidationError} When a value does not match
+ */
+async function validatePlan(cwd, changes, settings, progress) {
+  if (!readEnvSchema(cwd)) {
+    return;
+  }
+
+  const engine = getEngine(settings.engine, { cwd, signal: settings.signal });
+  const results = [];
+
+  progress.start('Checking values against .env.schema...');
+  for (const { envFile } of changes) {
+    results.push(await validateEnvironment(cwd, describeEnvFile(cwd, envFile), engine));
+  }
+
+  try {
+    assertValid(results);
+  } catch (error) {
+    progress.fail('Values do not match .env.schema');
+    throw error;
+  }
+  progress.succeed('Values match .env.schema');
+}
+
+/**
+ * Check the deploy target and compute the plan for a deploy
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.target] - Target name (default: from config, then vercel)
+ * @param {string[]} [options.env] - Environments to deploy (default: production)
+ * @param {boolean} [options.all] - Deploy every environment with a private key and an env file
+ * @param {boolean} [options.deploy] - Include deployments (default: true)
+ * @param {boolean} [options.force] - Deploy env files whose values do not match .env.schema
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses, here and in applyDeploy()
+ * @returns {Promise<{ target: object, cwd: string, changes: object[], deployments: object[], skippedDeployments: object[] }>}
+ *   `target` is the checked deploy target, which applyDeploy() uses
+ * @throws {NotReadyError | NotFoundError | ConfigError | ValidationError}
+ */
+export async function planDeploy(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const target = getTarget(settings.target, settings);
+
+  progress.start(`Checking ${target.label}...`);
+  const targetStatus = await target.check();
+
+  if (!targetStatus.ready) {
+    throw new NotReadyError(targetStatus.message, { status: targetStatus, target });
+  }
+  progress.succeed(targetStatus.message);
+
+  const { exists: keysExist, keys } = getEnvKeys(cwd);
+
+  if (!keysExist) {
+    throw new NotFoundError('No .env.keys file found', { hint: 'Run `dotenvx-deploy init` first to set up encryption' });
+  }
+
+  const envNames = settings.all
+    ? discoverEnvironments(cwd, { recursive: false }).filter(env => keys[env.keyName]).map(env => env.name)
+    : [...new Set(settings.env?.length ? [settings.env].flat() : ['production'])];
+
+  if (envNames.length === 0) {
+    throw new NotFoundError('No environments with both a private key and an env file found');
+  }
+
+  progress.start('Computing plan...');
+  const plan = await buildDeployPlan(target, envNames, keys, { cwd, deploy: settings.deploy !== false });
+  progress.stop();
+
+  if (plan.errors.length > 0) {
+    throw new NotFoundError(plan.errors.map(e => `${e.envName}: ${e.message}`).join('\n'), {
+      errors: plan.errors,
+      availableKeys: Object.keys(keys)
+    });
+  }
+
+  if (!settings.force) {
+    await validatePlan(cwd, plan.changes, settings, progress);
+  }
+
+  const { changes, deployments, skippedDeployments } = plan;
+  return { target, cwd, changes, deployments, skippedDeployments };
+}
+
+/**
+ * Apply a deploy plan: set the private keys in the target, then trigger the deployments
+ *
+ * Deployments are skipped for scopes whose key could not be set.
+ * @param {object} plan - Result of planDeploy()
+ * @param {object} [options] - Options
+ * @param {boolean} [options.prod] - Deploy to production
+ * @param {boolean} [options.allowUnencrypted] - Push keys for env files that are not encrypted
+ * @param {boolean} [options.wait] - Wait until each deployment is live, for targets that build asynchronously
+ * @param {AbortSignal} [options.signal] - Stops waiting for deployments
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @returns {Promise<{ applied: object[], deployed: object[], files: string[] }>}
+ *   `applied` has one { envName, keyName, scope, ok, action?, files?, error? } per change,
+ *   `deployed` one { scope, ok, url?, output?, skipped?, error? } per deployment
+ * @throws {UnsafeError} Before changing anything, for unencrypted env files without `allowUnencrypted`
+ * @throws {PartialFailureError} With the result as `result` when a key or deployment failed
+ */
+export async function applyDeploy(plan, options = {}) {
+  const { target, cwd } = plan;
+  const progress = createProgress(options.onProgress);
+  const pending = plan.changes.filter(change => change.action !== 'unchanged');
+  const unencrypted = pending.filter(change => !change.encrypted);
+
+  if (unencrypted.length > 0 && !options.allowUnencrypted) {
+    throw new UnsafeError(`${unencrypted.map(change => change.envFile).join(', ')} is not encrypted`, {
+      hint: 'Encrypt it first, or pass --allow-unencrypted'
+    });
+  }
+
+  const { keys } = getEnvKeys(cwd);
+  const result = { applied: [], deployed: [], files: [] };
+  const failedScopes = new Set();
+
+  for (const change of pending) {
+    const { envName, keyName, scope } = change;
+    progress.start(`Setting ${keyName} in ${target.label}...`);
+
+    try {
+      const { action, files = [] } = await target.setSecret(keyName, keys[keyName], scope, progress.update);
+      progress.succeed(`Set ${keyName} for ${scope} environment`);
+      result.applied.push({ envName, keyName, scope, ok: true, action, files });
+      result.files.push(...files);
+    } catch (error) {
+      progress.fail(`Failed to set ${keyName}`);
+      result.applied.push({ envName, keyName, scope, ok: false, error: error.message });
+      failedScopes.add(scope);
+    }
+  }
+
+  for (const deployment of plan.deployments) {
+    if (failedScopes.has(deployment.scope)) {
+      result.deployed.push({ scope: deployment.scope, ok: false, skipped: true });
+      continue;
+    }
+
+    progress.start(`Deploying ${deployment.scope} to ${target.label}...`);
+
+    try {
+      const started = await target.deploy({ envName: deployment.envName, scope: deployment.scope, prod: options.prod });
+      let { url } = started;
+
+      if (options.wait && target.waitForDeployment) {
+        progress.update(`Waiting for ${deployment.scope} deployment...`);
+        const live = await target.waitForDeployment(started, { onProgress: progress.update, signal: options.signal });
+        url = live.url || url;
+      }
+
+      progress.succeed(`Deployed ${deployment.scope} to ${target.label}`);
+      result.deployed.push({ scope: deployment.scope, ok: true, url: url || null, output: started.output || null });
+    } catch (error) {
+      progress.fail('Deployment failed');
+      result.deployed.push({ scope: deployment.scope, ok: false, error: error.message });
+      failedScopes.add(deployment.scope);
+    }
+  }
+
+  if (failedScopes.size > 0) {
+    throw new PartialFailureError(`Plan partially applied. Failed scopes: ${[...failedScopes].join(', ')}`, { result });
+  }
+
+  return result;
+}
+
+/**
+ * Plan and apply a deploy in one call
+ * @param {object} [options] - Options for planDeploy() and applyDeploy()
+ * @param {boolean} [options.dryRun] - Only compute the plan
+ * @param {(plan: object) => Promise<boolean>} [options.confirm] - Called with the plan before
+ *   anything changes; false aborts (default: apply)
+ * @returns {Promise<{ plan: object, dryRun: boolean, applied: object[], deployed: object[], files: string[] }>}
+ * @throws {NotReadyError | NotFoundError | ConfigError | ValidationError | AbortedError | UnsafeError | PartialFailureError}
+ */
+export async function deploy(options = {}) {
+  const plan = await planDeploy(options);
+
+  if (options.dryRun) {
+    return { plan, dryRun: true, applied: [], deployed: [], files: [] };
+  }
+
+  if (options.confirm && !(await options.confirm(plan))) {
+    throw new AbortedError();
+  }
+
+  return { plan, dryRun: false, ...(await applyDeploy(plan, options)) };
+}
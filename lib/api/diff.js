@@ -0,0 +1,218 @@
+import { createHmac, randomBytes } from 'crypto';
+import { existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { getEnvKeys } from '../utils/detect.js';
+import { parseEnv, readEnvFile, listVariables } from '../utils/dotenv.js';
+import { discoverEnvironments, findEnvironment } from '../utils/environments.js';
+import { privateKeysFor } from '../utils/keys.js';
+import { decryptValue, isEncryptedValue } from '../utils/ecies.js';
+import { git } from '../utils/exec.js';
+import { ConfigError, NotFoundError, CommandError } from '../errors.js';
+import { createContext } from './context.js';
+
+/**
+ * How values are shown: a short HMAC, or the first and last characters. Each
+ * creates the display function for one diff; the HMAC key is random and never
+ * leaves it, so equal values match within a diff but cannot be looked up.
+ */
+const DISPLAYS = {
+  hash: () => {
+    const key = randomBytes(32);
+    return (value) => `hmac:${createHmac('sha256', key).update(value).digest('hex').slice(0, 8)}`;
+  },
+  mask: () => (value) => value.length <= 8
+    ? '*'.repeat(value.length)
+    : `${value.slice(0, 2)}…${value.slice(-2)} (${value.length} chars)`
+};
+
+/**
+ * Private keys that may open an environment's env file: the current ones,
+ * then, for old revisions, those in the .env.keys backups rotate leaves
+ * @param {string} cwd - Project directory
+ * @param {object} env - Environment from discoverEnvironments()
+ * @param {boolean} withBackups - Also read .env.keys.backup.* files
+ * @returns {string[]}
+ */
+function candidateKeys(cwd, env, withBackups) {
+  const dir = join(cwd, env.dir);
+  const { privateKeys } = privateKeysFor(env, getEnvKeys(dir).keys);
+
+  if (!withBackups || !existsSync(dir)) {
+    return privateKeys;
+  }
+
+  const backups = readdirSync(dir)
+    .filter(file => file.startsWith('.env.keys.backup.'))
+    .sort()
+    .reverse()
+    .map(file => readEnvFile(join(dir, file)).get(env.keyName))
+    .filter(Boolean);
+
+  return [...new Set([...privateKeys, ...backups])];
+}
+
+/**
+ * Resolve a git revision to a commit, so it never reaches `git show` as an option
+ * @param {string} cwd - Project directory
+ * @param {string} rev - Git revision
+ * @param {AbortSignal} [signal] - Cancels git
+ * @returns {Promise<string>} Commit hash
+ * @throws {ConfigError} For revisions that start with `-`
+ * @throws {NotFoundError} When the revision does not name a commit
+ */
+async function resolveRev(cwd, rev, signal) {
+  if (rev.startsWith('-')) {
+    throw new ConfigError(`Invalid git revision "${rev}"`, { hint: 'Revisions cannot start with -' });
+  }
+
+  try {
+    const { stdout } = await git(['rev-parse', '--verify', '--quiet', '--end-of-options', `${rev}^{commit}`], { cwd, signal });
+    return stdout.trim();
+  } catch (error) {
+    if (error instanceof CommandError && error.reason === 'exit') {
+      throw new NotFoundError(`Unknown git revision "${rev}"`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read one side of a diff: the env file in the working tree, or at a git revision
+ * @param {string} cwd - Project directory
+ * @param {object} env - Environment from discoverEnvironments()
+ * @param {string | null} rev - Git revision
+ * @param {AbortSignal} [signal] - Cancels git
+ * @returns {Promise<ReturnType<typeof parseEnv>>}
+ * @throws {ConfigError} For revisions that start with `-`
+ * @throws {NotFoundError} When the revision or the file at it does not exist
+ */
+async function readSide(cwd, env, rev, signal) {
+  if (!rev) {
+    return readEnvFile(env.path);
+  }
+
+  const commit = await resolveRev(cwd, rev, signal);
+
+  try {
+    const { stdout } = await git(['show', `${commit}:./${env.file}`], { cwd, signal });
+    return parseEnv(stdout);
+  } catch (error) {
+    if (error instanceof CommandError && error.reason === 'exit') {
+      throw new NotFoundError(`${env.file} not found at ${rev}`, { hint: error.stderr.trim().split('\n')[0] || null });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decrypt every variable of an env file in memory
+ * @param {ReturnType<typeof parseEnv>} doc - Parsed env file
+ * @param {string[]} privateKeys - Keys to try
+ * @returns {Map<string, string | null>} Values by name; null when no key opens the value
+ */
+function decryptVariables(doc, privateKeys) {
+  const values = doc.toObject();
+
+  return new Map(listVariables(doc).map(name => {
+    const value = values[name];
+
+    if (!isEncryptedValue(value)) {
+      return [name, value];
+    }
+
+    for (const privateKey of privateKeys) {
+      try {
+        return [name, decryptValue(privateKey, value)];
+      } catch {
+        // Try the next key
+      }
+    }
+    return [name, null];
+  }));
+}
+
+/**
+ * Compare the variables of two environments, or of one environment and an
+ * earlier git revision of it
+ *
+ * Both env files are decrypted in memory with the keys we hold:
+ * `DOTENV_PRIVATE_KEY_<ENV>` in the environment, the .env.keys next to the
+ * file and, for a revision, the .env.keys backups `rotate` leaves. Values
+ * are never returned; changed ones are shown as a short HMAC-SHA256 under a
+ * key made for this diff, or masked. Equal values get the same HMAC within
+ * one diff, but not across runs, so a value cannot be recovered from it.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} options.env - Environment, by id or env file
+ * @param {string} [options.other] - Environment to compare with
+ * @param {string} [options.rev] - Git revision to compare the environment with, instead of `other`
+ * @param {'hash' | 'mask'} [options.show] - How changed values are shown (default: hash)
+ * @param {AbortSignal} [options.signal] - Cancels git
+ * @returns {Promise<{ ok: boolean, left: object, right: object, onlyLeft: string[], onlyRight: string[],
+ *   changed: object[], unknown: string[], unchanged: number }>} `left` and `right` are { id, file, rev };
+ *   `changed` has one { variable, left, right } per changed value, `unknown` lists variables that could
+ *   not be decrypted on one side; `ok` is true when the sides match
+ * @throws {ConfigError} Without exactly one of `other` and `rev`, for an unknown `show`, or a `rev` starting with `-`
+ * @throws {NotFoundError} When an environment has no env file, or the revision or the file in it does not exist
+ */
+export async function diff(options = {}) {
+  const { cwd, settings } = createContext(options);
+  const createDisplay = DISPLAYS[settings.show || 'hash'];
+
+  if (!createDisplay) {
+    throw new ConfigError(`Unknown value display "${settings.show}". Available: ${Object.keys(DISPLAYS).join(', ')}`);
+  }
+
+  if (!settings.env || !!settings.other === !!settings.rev) {
+    throw new ConfigError('Compare an environment with another environment or with a git revision', {
+      hint: 'dotenvx-deploy diff production preview, or dotenvx-deploy diff production --rev HEAD~3'
+    });
+  }
+
+  const all = discoverEnvironments(cwd);
+  const resolve = (ref) => {
+    const env = findEnvironment(all, ref);
+    if (!env) {
+      throw new NotFoundError(`Environment "${ref}" not found`, { available: all.map(e => e.id) });
+    }
+    return env;
+  };
+
+  const leftEnv = resolve(settings.env);
+  const rightEnv = settings.other ? resolve(settings.other) : leftEnv;
+  const leftRev = settings.rev || null;
+
+  const left = decryptVariables(await readSide(cwd, leftEnv, leftRev, settings.signal), candidateKeys(cwd, leftEnv, !!leftRev));
+  const right = decryptVariables(await readSide(cwd, rightEnv, null, settings.signal), candidateKeys(cwd, rightEnv, false));
+
+  const display = createDisplay();
+  const result = {
+    ok: true,
+    left: { id: leftEnv.id, file: leftEnv.file, rev: leftRev },
+    right: { id: rightEnv.id, file: rightEnv.file, rev: null },
+    onlyLeft: [...left.keys()].filter(name => !right.has(name)),
+    onlyRight: [...right.keys()].filter(name => !left.has(name)),
+    changed: [],
+    unknown: [],
+    unchanged: 0
+  };
+
+  for (const [name, leftValue] of left) {
+    if (!right.has(name)) {
+      continue;
+    }
+
+    const rightValue = right.get(name);
+
+    if (leftValue === null || rightValue === null) {
+      result.unknown.push(name);
+    } else if (leftValue === rightValue) {
+      result.unchanged++;
+    } else {
+      result.changed.push({ variable: name, left: display(leftValue), right: display(rightValue) });
+    }
+  }
+
+  result.ok = [result.onlyLeft, result.onlyRight, result.changed, result.unknown].every(list => list.length === 0);
+  return result;
+}
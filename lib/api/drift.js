@@ -0,0 +1,246 @@
+import { getEnvKeys } from '../utils/detect.js';
+import { readEnvFile } from '../utils/dotenv.js';
+import { discoverEnvironments } from '../utils/environments.js';
+import { keyFingerprint, fingerprintPublicKey } from '../utils/keys.js';
+import { readKeyMetadata } from '../utils/key-metadata.js';
+import { getTarget } from '../targets/index.js';
+import { NotFoundError, NotReadyError } from '../errors.js';
+import { createContext } from './context.js';
+import { listKeys } from './keys.js';
+
+/**
+ * Deploy targets to compare: `targets` from the configuration, else `target`
+ * @param {object} settings - Options merged with the resolved configuration
+ * @returns {string[]}
+ */
+function driftTargets(settings) {
+  return settings.targets?.length ? settings.targets : [settings.target];
+}
+
+/**
+ * Read the saved keys of the current project, or why they cannot be read
+ * @param {object} options - Options for listKeys()
+ * @returns {Promise<{ entries: object[], error: string | null }>}
+ */
+async function readSavedKeys(options) {
+  try {
+    const result = await listKeys({ ...options, all: false });
+    // listKeys() falls back to every project when the current one has none
+    const entries = result.project && !result.filtered ? [] : result.entries;
+    return { entries, error: null };
+  } catch (error) {
+    if (error instanceof NotReadyError) {
+      return { entries: [], error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compare the saved versions of one environment's key with the key its env file uses
+ * @param {object[]} entries - Saved key entries for the environment
+ * @param {string | null} expected - Fingerprint of the key the env file uses
+ * @returns {{ state: string, fingerprint: string | null, versions: object[] }} `versions` has one
+ *   { name, version, fingerprint, matches } per saved entry
+ */
+function compareSavedKeys(entries, expected) {
+  const current = entries.find(entry => !entry.version && !entry.label);
+  const versions = entries.map(entry => ({
+    name: entry.name,
+    version: entry.version || entry.label || null,
+    fingerprint: entry.fingerprint,
+    matches: !!expected && entry.fingerprint === expected
+  }));
+
+  if (!current) {
+    return { state: 'missing', fingerprint: null, versions };
+  }
+  return { state: current.fingerprint === expected ? 'current' : 'stale', fingerprint: current.fingerprint, versions };
+}
+
+/**
+ * Compare the key set in a deploy target with the key the env file uses
+ *
+ * Targets that cannot read a value back only report when it was set, which
+ * is stale when it predates the last rotation in .env.keys.meta.json.
+ * @param {{ fingerprint: string | null, updated: string | null } | null} secret - From readSecret()
+ * @param {string | null} expected - Fingerprint of the key the env file uses
+ * @param {string | null} keyTime - When the current key was created or rotated
+ * @returns {'current' | 'stale' | 'missing' | 'unknown'}
+ */
+function targetState(secret, expected, keyTime) {
+  if (!secret) {
+    return 'missing';
+  }
+  if (secret.fingerprint) {
+    return secret.fingerprint === expected ? 'current' : 'stale';
+  }
+  if (secret.updated && keyTime && new Date(secret.updated) < new Date(keyTime)) {
+    return 'stale';
+  }
+  return 'unknown';
+}
+
+/**
+ * Commands that bring the out-of-date copies of a key in line with the env file
+ * @param {object} env - Environment result from drift()
+ * @param {string} providerName - Secret store provider name
+ * @returns {string[]}
+ */
+function fixesFor(env, providerName) {
+  const fixes = [];
+  let restorable = env.local.state === 'current';
+
+  if (!restorable) {
+    const version = env.provider.versions.find(v => v.matches);
+
+    if (env.provider.state === 'current') {
+      fixes.push(`dotenvx-deploy keys pull --provider ${providerName} -e ${env.id}`);
+      restorable = true;
+    } else if (version) {
+      fixes.push(`dotenvx-deploy keys pull --provider ${providerName} -e ${env.id} --name ${version.version}`);
+      restorable = true;
+    } else {
+      fixes.push(`No copy of the key ${env.file} uses was found; restore it from another backup or re-encrypt with \`dotenvx-deploy rotate -e ${env.id}\``);
+    }
+  }
+
+  // Pushing the local key anywhere only helps once it is the right one
+  if (!restorable) {
+    return fixes;
+  }
+
+  if (['stale', 'missing'].includes(env.provider.state)) {
+    fixes.push(`dotenvx-deploy keys save --provider ${providerName} -e ${env.id}`);
+  }
+
+  for (const target of env.targets.filter(t => ['stale', 'missing'].includes(t.state))) {
+    fixes.push(`dotenvx-deploy deploy --target ${target.name} -e ${env.id}`);
+  }
+
+  return fixes;
+}
+
+/**
+ * Find copies of each private key that no longer match the env file
+ *
+ * For every encrypted env file in the project directory, the key it was
+ * encrypted with (from its public key) is compared with the key in
+ * .env.keys, every version saved with the secret store provider, and the
+ * key set in each deploy target (`targets`, else `target`). Keys are
+ * compared by fingerprint, a short hash of the public key, so no private
+ * key leaves this function. Each out-of-date copy comes with the command
+ * that fixes it.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string[]} [options.env] - Only these environments (default: `environments`, else all)
+ * @param {string} [options.provider] - Secret store provider name (default: bitwarden)
+ * @param {string[]} [options.targets] - Deploy target names
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {string | Function} [options.passphrase] - Local vault passphrase, or a hook that asks for it
+ * @returns {Promise<{ ok: boolean, environments: object[], problems: string[] }>} `environments` has one
+ *   { id, file, keyName, fingerprint, local, provider, targets, fixes } per encrypted environment;
+ *   `ok` is false when a copy is stale or missing
+ * @throws {NotFoundError} When an environment in `env` has no env file
+ * @throws {ConfigError} For unknown provider or target names
+ */
+export async function drift(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const providerName = settings.provider || 'bitwarden';
+  const only = settings.env?.length ? [settings.env].flat() : settings.environments;
+
+  // Providers and targets work with the project directory's .env.keys
+  const all = discoverEnvironments(cwd, { recursive: false });
+  const missing = settings.env?.length && [settings.env].flat().find(ref => !all.some(env => env.id === ref));
+  if (missing) {
+    throw new NotFoundError(`Environment "${missing}" not found`, { available: all.map(env => env.id) });
+  }
+
+  const { keys } = getEnvKeys(cwd);
+  const records = readKeyMetadata(cwd);
+  const envs = discoverEnvironments(cwd, { environments: only, recursive: false }).filter(env => {
+    return keys[env.keyName] || readEnvFile(env.path).get(env.publicKeyName);
+  });
+
+  const saved = await readSavedKeys({ ...options, provider: providerName });
+
+  const targets = [];
+  for (const name of driftTargets(settings)) {
+    const target = getTarget(name, settings);
+    progress.start(`Checking ${target.label}...`);
+    const status = await target.check();
+
+    if (status.ready) {
+      progress.succeed(status.message);
+    } else {
+      progress.warn(`${target.label}: ${status.message}`);
+    }
+    targets.push({ target, error: status.ready ? null : status.message });
+  }
+
+  const environments = [];
+
+  for (const env of envs) {
+    const publicKey = readEnvFile(env.path).get(env.publicKeyName);
+    const localFingerprint = keyFingerprint(keys[env.keyName]);
+    const expected = publicKey ? fingerprintPublicKey(publicKey) : localFingerprint;
+    const record = records[env.id];
+    const keyTime = record && record.publicKey === publicKey ? record.rotated || record.created : null;
+
+    const provider = saved.error
+      ? { state: 'unknown', fingerprint: null, versions: [], error: saved.error }
+      : compareSavedKeys(saved.entries.filter(entry => entry.environment === env.name), expected);
+
+    const result = {
+      id: env.id,
+      file: env.file,
+      keyName: env.keyName,
+      fingerprint: expected,
+      local: {
+        state: !keys[env.keyName] ? 'missing' : localFingerprint === expected ? 'current' : 'stale',
+        fingerprint: localFingerprint
+      },
+      provider: { name: providerName, ...provider },
+      targets: [],
+      fixes: []
+    };
+
+    for (const { target, error } of targets) {
+      const scope = target.scopeFor(env.name);
+      const side = { name: target.name, scope, state: 'unknown', fingerprint: null, updated: null, error };
+
+      if (!error && target.readSecret) {
+        progress.start(`Reading ${env.keyName} from ${target.label}...`);
+        try {
+          const secret = await target.readSecret(env.keyName, scope);
+          Object.assign(side, {
+            state: targetState(secret, expected, keyTime),
+            fingerprint: secret?.fingerprint || null,
+            updated: secret?.updated || null
+          });
+          progress.stop();
+        } catch (readError) {
+          side.error = readError.message;
+          progress.fail(`${target.label}: ${readError.message}`);
+        }
+      } else if (!error) {
+        side.error = `${target.label} cannot read keys back`;
+      }
+
+      result.targets.push(side);
+    }
+
+    result.fixes = fixesFor(result, providerName);
+    environments.push(result);
+  }
+
+  const problems = environments.flatMap(env => [
+    ...(['stale', 'missing'].includes(env.local.state) ? [`${env.keyName} in .env.keys is ${env.local.state}`] : []),
+    ...(['stale', 'missing'].includes(env.provider.state) ? [`${env.keyName} in ${providerName} is ${env.provider.state}`] : []),
+    ...env.targets
+      .filter(target => ['stale', 'missing'].includes(target.state))
+      .map(target => `${env.keyName} in ${target.name} (${target.scope}) is ${target.state}`)
+  ]);
+
+  return { ok: problems.length === 0, environments, problems };
+}
@@ -0,0 +1,123 @@
+import { existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { discoverEnvironments, envFileFor, describeEnvFile } from '../utils/environments.js';
+import { parseEnv, readEnvFile, hasEncryptedValues, isEncryptedEnv } from '../utils/dotenv.js';
+import { recordKeys } from '../utils/key-metadata.js';
+import { getEngine } from '../engines/index.js';
+import { NotFoundError } from '../errors.js';
+import { createContext } from './context.js';
+import { validateEnvironment, assertValid } from './validate.js';
+
+/**
+ * Record the creation time of an environment's key pair, if dotenvx just made it
+ * @param {string} cwd - Project directory
+ * @param {string} envName - Environment id
+ * @param {string | null} publicKey - Public key in the env file
+ */
+function recordNewKey(cwd, envName, publicKey) {
+  if (publicKey) {
+    recordKeys(cwd, { [envName]: publicKey });
+  }
+}
+
+/**
+ * Encrypt an environment file, or set one encrypted variable in it
+ *
+ * Encrypting a file that is already encrypted only encrypts values that
+ * were added in plain text since. A new key pair is recorded in
+ * .env.keys.meta.json. When a .env.schema applies, the values are checked
+ * first: the whole file, or only the variable being set.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.env] - Environment, e.g. production or apps/web/production (default: production)
+ * @param {string} [options.key] - Variable to set (with `value`)
+ * @param {string} [options.value] - Value to encrypt and set
+ * @param {string} [options.content] - Content for the env file when it does not exist yet
+ * @param {boolean} [options.force] - Encrypt values that do not match .env.schema
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @returns {Promise<{ envName: string, envFile: string, action: 'set' | 'encrypted', created: boolean,
+ *   wasEncrypted: boolean, publicKey: string | null }>}
+ * @throws {NotFoundError} When the env file does not exist and neither `key`/`value` nor `content` is given
+ * @throws {ValidationError} When a value does not match .env.schema, without `force`
+ */
+export async function encrypt(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const engine = getEngine(settings.engine, { cwd, signal: settings.signal });
+  const envName = settings.env || 'production';
+  const envFile = envFileFor(envName);
+  const envPath = join(cwd, envFile);
+  const existed = existsSync(envPath);
+  const env = describeEnvFile(cwd, envFile);
+  const setting = !!(settings.key && settings.value);
+
+  if (!settings.force && (setting || existed || settings.content !== undefined)) {
+    // A new file is checked as written; an existing one with its encrypted values decrypted
+    const values = setting ? { [settings.key]: settings.value } : existed ? undefined : parseEnv(settings.content).toObject();
+    assertValid([await validateEnvironment(cwd, env, engine, { values, partial: setting || env.local })]);
+  }
+
+  if (setting) {
+    progress.start(`Setting ${settings.key} in ${envFile}...`);
+    const { publicKey } = await engine.set(envFile, settings.key, settings.value);
+    progress.succeed(`Set ${settings.key} in ${envFile}`);
+
+    recordNewKey(cwd, envName, publicKey);
+
+    return { envName, envFile, action: 'set', created: !existed, wasEncrypted: existed, publicKey };
+  }
+
+  if (!existed) {
+    if (settings.content === undefined) {
+      throw new NotFoundError(`${envFile} doesn't exist yet`, { hint: 'Pass --key <key> --value <value> to create it with one variable' });
+    }
+    writeFileSync(envPath, settings.content);
+  }
+
+  const wasEncrypted = isEncryptedEnv(readEnvFile(envPath));
+
+  progress.start(`Encrypting ${envFile}...`);
+  const { publicKey } = await engine.encrypt(envFile);
+  progress.succeed(`Encrypted ${envFile}`);
+
+  recordNewKey(cwd, envName, publicKey);
+
+  return { envName, envFile, action: 'encrypted', created: !existed, wasEncrypted, publicKey };
+}
+
+/**
+ * Encrypt every environment file that is not encrypted yet
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string[]} [options.environments] - Only these environments (default: from config, else all)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @returns {Promise<{ envFile: string, ok: boolean, skipped?: boolean, error?: string }[]>}
+ */
+export async function encryptAll(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const engine = getEngine(settings.engine, { cwd, signal: settings.signal });
+  const results = [];
+
+  for (const env of discoverEnvironments(cwd, { environments: settings.environments })) {
+    const envFile = env.file;
+
+    if (hasEncryptedValues(readEnvFile(env.path))) {
+      results.push({ envFile, ok: true, skipped: true });
+      continue;
+    }
+
+    progress.start(`Encrypting ${envFile}...`);
+    try {
+      const { publicKey } = await engine.encrypt(envFile);
+      progress.succeed(`Encrypted ${envFile}`);
+      recordNewKey(cwd, env.id, publicKey);
+      results.push({ envFile, ok: true });
+    } catch (error) {
+      progress.fail(`Failed to encrypt ${envFile}`);
+      results.push({ envFile, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,229 @@
+import { existsSync, readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { join } from 'path';
+import { detectProjectType, isDotenvxInstalled, findAllEnvFiles } from '../utils/detect.js';
+import { describeEnvFile, envFileFor } from '../utils/environments.js';
+import { npm } from '../utils/exec.js';
+import { recordKeys } from '../utils/key-metadata.js';
+import { getEngine } from '../engines/index.js';
+import { NotFoundError, AbortedError } from '../errors.js';
+import { createContext } from './context.js';
+
+/**
+ * Environments `init` offers to create
+ */
+export const STANDARD_ENVIRONMENTS = ['production', 'preview', 'development', 'staging', 'local'];
+
+/**
+ * Default commands per framework, wrapped with `dotenvx run --`
+ */
+const FRAMEWORK_SCRIPTS = {
+  nextjs: { dev: 'next dev', build: 'next build', start: 'next start' },
+  vite: { dev: 'vite', build: 'vite build', preview: 'vite preview' }
+};
+
+/**
+ * Wrap the framework's package.json scripts with `dotenvx run --`
+ * @param {string} cwd - Project directory
+ * @param {string} projectType - Result of detectProjectType().type
+ * @returns {boolean} Whether package.json changed
+ */
+function updateScripts(cwd, projectType) {
+  const packageJsonPath = join(cwd, 'package.json');
+  const packageJson = JSON.parse(readFileSync(packageJsonPath, 'utf-8'));
+  const scriptsToAdd = { dotenvx: 'dotenvx' };
+
+  for (const [name, fallback] of Object.entries(FRAMEWORK_SCRIPTS[projectType] || {})) {
+    const current = packageJson.scripts?.[name];
+
+    if (!current) {
+      scriptsToAdd[name] = `dotenvx run -- ${fallback}`;
+    } else if (!current.includes('dotenvx')) {
+      scriptsToAdd[name] = `dotenvx run -- ${current}`;
+    }
+  }
+
+  const hasChanges = Object.keys(scriptsToAdd).some(key => packageJson.scripts?.[key] !== scriptsToAdd[key]);
+
+  if (hasChanges) {
+    packageJson.scripts = { ...packageJson.scripts, ...scriptsToAdd };
+    writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+  }
+  return hasChanges;
+}
+
+/**
+ * Ignore .env.keys in git while keeping the encrypted env files committable
+ * @param {string} cwd - Project directory
+ * @param {string[]} envNames - Environment names
+ * @returns {string[]} Lines added to .gitignore
+ */
+function updateGitignore(cwd, envNames) {
+  const gitignorePath = join(cwd, '.gitignore');
+  const gitignore = existsSync(gitignorePath) ? readFileSync(gitignorePath, 'utf-8') : '';
+  const linesToAdd = [];
+
+  if (!gitignore.includes('.env.keys')) {
+    linesToAdd.push('.env.keys');
+  }
+
+  for (const envName of envNames) {
+    const negation = `!.env.${envName}`;
+    if (envName !== 'root' && !gitignore.includes(negation)) {
+      linesToAdd.push(negation);
+    }
+  }
+
+  if (linesToAdd.length > 0) {
+    appendFileSync(gitignorePath, '\n# dotenvx\n' + linesToAdd.join('\n') + '\n');
+  }
+  return linesToAdd;
+}
+
+/**
+ * Set up dotenvx in a Next.js or Vite project
+ *
+ * Installs @dotenvx/dotenvx, encrypts env files, wraps the package.json
+ * scripts with `dotenvx run`, and makes sure .env.keys is ignored by git
+ * and Vercel. The hooks let a caller take decisions; without them every
+ * unencrypted env file is encrypted and no new ones are created.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {boolean} [options.install] - Install @dotenvx/dotenvx when missing (default: true)
+ * @param {boolean} [options.force] - Skip `confirmExisting`
+ * @param {() => Promise<boolean>} [options.confirmExisting] - Called when dotenvx is already
+ *   installed; false aborts (default: continue)
+ * @param {(envFiles: object[]) => Promise<object[]>} [options.selectFiles] - Pick the env files to
+ *   encrypt from findAllEnvFiles() (default: every unencrypted file)
+ * @param {(available: string[]) => Promise<Record<string, string>>} [options.createEnvironments] - Return
+ *   content for new env files, keyed by environment name (default: create none)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @returns {Promise<{ project: object, installed: boolean, envFiles: object[], created: string[],
+ *   encrypted: object[], scripts: object, gitignore: object, vercelignore: object, keysPath: string | null }>}
+ *   `encrypted` has one { file, ok, error? } per file; `scripts`, `gitignore` and `vercelignore`
+ *   say whether each file changed, or why it could not be updated
+ * @throws {NotFoundError} For projects that are not Next.js or Vite
+ * @throws {AbortedError} When `confirmExisting` answers no
+ */
+export async function init(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+
+  progress.start('Detecting project type...');
+  const project = detectProjectType(cwd);
+
+  if (project.type === 'unknown') {
+    throw new NotFoundError('Could not detect project type', {
+      hint: 'Supported project types: Next.js, Vite. Make sure package.json has next or vite as a dependency'
+    });
+  }
+  progress.succeed(`Detected ${project.framework} project`);
+
+  const dotenvxInstalled = isDotenvxInstalled(cwd);
+
+  if (dotenvxInstalled && !settings.force && options.confirmExisting && !(await options.confirmExisting())) {
+    throw new AbortedError();
+  }
+
+  let installed = false;
+
+  if (!dotenvxInstalled && settings.install !== false) {
+    progress.start('Installing @dotenvx/dotenvx...');
+    await npm('install', ['@dotenvx/dotenvx', '--save'], { cwd, signal: settings.signal });
+    progress.succeed('Installed @dotenvx/dotenvx');
+    installed = true;
+  }
+
+  progress.start('Scanning for .env files...');
+  const envFiles = findAllEnvFiles(cwd);
+  progress.succeed(`Found ${envFiles.length} .env file(s)`);
+
+  const selected = options.selectFiles && envFiles.length > 0
+    ? await options.selectFiles(envFiles)
+    : envFiles;
+  const filesToEncrypt = selected.filter(f => !f.isEncrypted);
+
+  // New env files
+  const existingNames = envFiles.filter(f => !f.dir).map(f => f.name);
+  const available = STANDARD_ENVIRONMENTS.filter(e => !existingNames.includes(e));
+  const newFiles = options.createEnvironments && available.length > 0
+    ? await options.createEnvironments(available)
+    : {};
+  const created = [];
+
+  for (const [env, content] of Object.entries(newFiles)) {
+    const envFile = describeEnvFile(cwd, envFileFor(env));
+
+    writeFileSync(envFile.path, content);
+    created.push(envFile.file);
+    filesToEncrypt.push({ ...envFile, isEncrypted: false });
+  }
+
+  const engine = getEngine(settings.engine, { cwd, signal: settings.signal });
+  const encrypted = [];
+
+  for (const envFile of filesToEncrypt) {
+    progress.start(`Encrypting ${envFile.file}...`);
+    try {
+      const { publicKey } = await engine.encrypt(envFile.file);
+      progress.succeed(`Encrypted ${envFile.file}`);
+
+      if (publicKey) {
+        recordKeys(cwd, { [envFile.id]: publicKey });
+      }
+      encrypted.push({ file: envFile.file, ok: true });
+    } catch (error) {
+      progress.fail(`Failed to encrypt ${envFile.file}`);
+      encrypted.push({ file: envFile.file, ok: false, error: error.message });
+    }
+  }
+
+  const allEnvNames = [...new Set([...envFiles, ...filesToEncrypt].map(f => f.name))];
+
+  const scripts = { updated: false, error: null };
+  progress.start('Updating package.json scripts...');
+  try {
+    scripts.updated = updateScripts(cwd, project.type);
+    progress.succeed(scripts.updated ? 'Updated package.json scripts' : 'package.json scripts already configured');
+  } catch (error) {
+    scripts.error = error.message;
+    progress.fail('Failed to update package.json');
+  }
+
+  const gitignore = { added: [], error: null };
+  progress.start('Updating .gitignore...');
+  try {
+    gitignore.added = updateGitignore(cwd, allEnvNames);
+    progress.succeed(gitignore.added.length > 0 ? 'Updated .gitignore' : '.gitignore already configured');
+  } catch (error) {
+    gitignore.error = error.message;
+    progress.fail('Failed to update .gitignore');
+  }
+
+  const vercelignore = { created: false, error: null };
+  const vercelignorePath = join(cwd, '.vercelignore');
+  if (!existsSync(vercelignorePath)) {
+    progress.start('Creating .vercelignore...');
+    try {
+      writeFileSync(vercelignorePath, '# Prevent .env.keys from being deployed\n.env.keys\n');
+      vercelignore.created = true;
+      progress.succeed('Created .vercelignore');
+    } catch (error) {
+      vercelignore.error = error.message;
+      progress.fail('Failed to create .vercelignore');
+    }
+  }
+
+  const keysPath = join(cwd, '.env.keys');
+
+  return {
+    project: { ...project, name: settings.project || null },
+    installed,
+    envFiles,
+    created,
+    encrypted,
+    scripts,
+    gitignore,
+    vercelignore,
+    keysPath: existsSync(keysPath) ? keysPath : null
+  };
+}
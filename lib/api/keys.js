@@ -0,0 +1,397 @@
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { getEnvKeys } from '../utils/detect.js';
+import { keyNameForEnv, envNameForKey, writeEnvKeys, keyFingerprint } from '../utils/keys.js';
+import { discoverEnvironments, envFileFor } from '../utils/environments.js';
+import { readKeyMetadata, readPublicKeyForEnv, recordKeys } from '../utils/key-metadata.js';
+import { getProvider } from '../providers/index.js';
+import { ConfigError, NotFoundError, NotReadyError, AbortedError } from '../errors.js';
+import { createContext } from './context.js';
+
+/**
+ * Create the provider for a call and check that it is usable
+ * @param {object} settings - Options merged with the resolved configuration
+ * @param {object} progress - Progress reporter
+ * @returns {Promise<object>} Provider
+ * @throws {NotReadyError} With `status` and `provider` when the check fails
+ */
+async function readyProvider(settings, progress) {
+  const provider = getProvider(settings.provider, settings);
+
+  progress.start(`Checking ${provider.label}...`);
+  const status = await provider.check();
+
+  if (!status.ready) {
+    throw new NotReadyError(status.message, { status, provider });
+  }
+
+  progress.succeed(status.message);
+  return provider;
+}
+
+/**
+ * Sync the provider with its server, if it has one. A failed sync only warns.
+ * @param {object} provider - Provider
+ * @param {object} progress - Progress reporter
+ * @param {string} warning - Message when the sync fails
+ * @returns {Promise<boolean | null>} Null when the provider has no server
+ */
+async function syncProvider(provider, progress, warning) {
+  if (!provider.sync) {
+    return null;
+  }
+
+  progress.start(`Syncing with ${provider.label} server...`);
+  try {
+    await provider.sync();
+    progress.succeed(`Synced with ${provider.label} server`);
+    return true;
+  } catch (error) {
+    progress.warn(warning);
+    return false;
+  }
+}
+
+/**
+ * Open the provider's storage location for reading
+ * @param {object} provider - Provider
+ * @param {object} progress - Progress reporter
+ * @returns {Promise<boolean>} Whether the location exists
+ */
+async function openProvider(provider, progress) {
+  if (provider.unlock) {
+    await provider.unlock();
+  }
+
+  progress.start(`Finding ${provider.location}...`);
+  const { exists } = await provider.open();
+
+  if (exists) {
+    progress.succeed(`Found ${provider.location}`);
+  }
+  return exists;
+}
+
+/**
+ * A key entry without its value, but with the value's fingerprint
+ * @param {object} entry - Key entry
+ * @returns {object}
+ */
+function describeEntry({ id, name, project, environment, version, label, note, created, updated, value }) {
+  return {
+    id,
+    name,
+    project: project || null,
+    environment,
+    version: version || null,
+    label: label || null,
+    note: note || null,
+    created: created || null,
+    updated: updated || null,
+    fingerprint: keyFingerprint(value)
+  };
+}
+
+/**
+ * Record the age of pulled keys that .env.keys.meta.json does not know,
+ * dated by when they were saved to the provider
+ * @param {string} cwd - Project directory
+ * @param {object[]} entries - Pulled key entries
+ */
+function recordPulledKeys(cwd, entries) {
+  const records = readKeyMetadata(cwd);
+
+  for (const entry of entries) {
+    const savedAt = entry.updated || entry.created;
+    const publicKey = readPublicKeyForEnv(cwd, entry.environment);
+
+    if (savedAt && publicKey && records[entry.environment]?.publicKey !== publicKey) {
+      recordKeys(cwd, { [entry.environment]: publicKey }, { at: savedAt });
+    }
+  }
+}
+
+/**
+ * Save private keys from .env.keys to a secret store provider
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.provider] - Provider name (default: from config, then bitwarden)
+ * @param {string} [options.env] - Only save this environment's key
+ * @param {string} [options.name] - Version name
+ * @param {string} [options.note] - Note stored with each key
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @param {string | Function} [options.passphrase] - Local vault passphrase, or a hook that asks for it
+ * @returns {Promise<{ provider: string, label: string, location: string, project: string | null, created: boolean,
+ *   saved: object[], synced: boolean | null }>} `saved` has one { keyName, ok, name?, action?, fingerprint?, error? }
+ *   per key
+ * @throws {NotReadyError | NotFoundError | ConfigError}
+ */
+export async function saveKeys(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const provider = await readyProvider(settings, progress);
+  const { exists: keysExist, keys } = getEnvKeys(cwd);
+
+  if (!keysExist || Object.keys(keys).length === 0) {
+    throw new NotFoundError('No .env.keys file found or no keys present', { hint: 'Run `dotenvx-deploy init` first' });
+  }
+
+  let keysToSave = keys;
+
+  if (settings.env) {
+    const keyName = keyNameForEnv(settings.env);
+
+    if (!keys[keyName]) {
+      throw new NotFoundError(`No key found for environment: ${settings.env}`, { available: Object.keys(keys) });
+    }
+    keysToSave = { [keyName]: keys[keyName] };
+  }
+
+  // Get or create the storage location
+  if (provider.unlock) {
+    await provider.unlock({ create: true });
+  }
+  progress.start(`Opening ${provider.location}...`);
+  const { created } = await provider.open({ create: true });
+  progress.succeed(`${created ? 'Created' : 'Found'} ${provider.location}`);
+
+  // Key names lose the dots of environment names (production.local), so env files name them
+  const envNames = Object.fromEntries(discoverEnvironments(cwd, { recursive: false }).map(env => [env.keyName, env.name]));
+  const saved = [];
+
+  for (const [keyName, keyValue] of Object.entries(keysToSave)) {
+    progress.start(`Saving ${keyName}...`);
+
+    try {
+      const { action, name } = await provider.save({
+        project: settings.project || null,
+        environment: envNames[keyName] || envNameForKey(keyName),
+        version: settings.name || null,
+        note: settings.note || null,
+        value: keyValue
+      });
+      saved.push({ keyName, ok: true, name, action, fingerprint: keyFingerprint(keyValue) });
+      progress.succeed(`${action === 'updated' ? 'Updated' : 'Created'} ${keyName} (${name})`);
+    } catch (error) {
+      saved.push({ keyName, ok: false, error: error.message });
+      progress.fail(`Failed to save ${keyName}: ${error.message}`);
+    }
+  }
+
+  const synced = await syncProvider(provider, progress, 'Sync may have failed, but keys were saved locally');
+
+  return {
+    provider: provider.name,
+    label: provider.label,
+    location: provider.location,
+    project: settings.project || null,
+    created: !!created,
+    saved,
+    synced
+  };
+}
+
+/**
+ * Pull private keys from a secret store provider into .env.keys
+ *
+ * The hooks let a caller take decisions; without them the call picks the
+ * documented default or throws. Keys that .env.keys.meta.json does not
+ * know yet are recorded with the time they were saved to the provider.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.env] - Only pull this environment's key
+ * @param {string} [options.name] - Pull this version
+ * @param {(entries: object[]) => Promise<boolean>} [options.confirmAllProjects] - Called when the
+ *   current project has no keys; true uses every project's keys (default: throw NotFoundError)
+ * @param {(envName: string, entries: object[]) => Promise<object>} [options.selectVersion] - Pick one of
+ *   several versions (default: the unversioned key, else throw ConfigError)
+ * @param {(entries: object[]) => Promise<object[]>} [options.selectEntries] - Pick the keys to pull (default: all)
+ * @param {(path: string) => Promise<boolean>} [options.confirmOverwrite] - Called when .env.keys
+ *   exists; false aborts (default: merge)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @param {string | Function} [options.passphrase] - Local vault passphrase, or a hook that asks for it
+ * @returns {Promise<{ provider: string, label: string, location: string, path: string, keys: object[], skipped: string[] }>}
+ *   `keys` describes each written key (never its value); `skipped` names entries without a value
+ * @throws {NotReadyError | NotFoundError | ConfigError | AbortedError}
+ */
+export async function pullKeys(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const provider = await readyProvider(settings, progress);
+  const projectName = settings.project || null;
+
+  await syncProvider(provider, progress, 'Sync may have failed, using local cache');
+
+  if (!(await openProvider(provider, progress))) {
+    throw new NotFoundError(`${provider.location} not found`, { hint: 'Make sure you have saved keys first (`dotenvx-deploy keys save`)' });
+  }
+
+  progress.start('Searching for keys...');
+  const entries = await provider.list();
+
+  if (entries.length === 0) {
+    throw new NotFoundError(`No keys found in ${provider.location}`);
+  }
+  progress.succeed(`Found ${entries.length} item(s)`);
+
+  let matchingEntries = entries;
+
+  if (projectName) {
+    matchingEntries = entries.filter(e => e.project === projectName);
+
+    if (matchingEntries.length === 0) {
+      const useAll = options.confirmAllProjects && await options.confirmAllProjects(entries.map(describeEntry));
+
+      if (!useAll) {
+        throw new NotFoundError(`No keys found for project "${projectName}"`, {
+          available: entries.map(e => e.name),
+          hint: 'Set "project" in .dotenvx-deploy.json to the project the keys were saved under'
+        });
+      }
+      matchingEntries = entries;
+    }
+  }
+
+  if (settings.env) {
+    matchingEntries = matchingEntries.filter(e => e.environment === settings.env);
+
+    if (matchingEntries.length === 0) {
+      throw new NotFoundError(`No keys found for environment: ${settings.env}`);
+    }
+  }
+
+  if (settings.name) {
+    matchingEntries = matchingEntries.filter(e => e.version === settings.name || e.label === settings.name);
+
+    if (matchingEntries.length === 0) {
+      throw new NotFoundError(`No keys found for version: ${settings.name}`);
+    }
+  }
+
+  // Group entries by environment to detect multiple versions
+  const envGroups = {};
+  for (const entry of matchingEntries) {
+    (envGroups[entry.environment] ||= []).push(entry);
+  }
+  const hasMultipleVersions = Object.values(envGroups).some(group => group.length > 1);
+
+  let selectedEntries = [];
+
+  if (hasMultipleVersions && !settings.name) {
+    for (const [envName, envEntries] of Object.entries(envGroups)) {
+      if (envEntries.length === 1) {
+        selectedEntries.push(envEntries[0]);
+      } else if (options.selectVersion) {
+        selectedEntries.push(await options.selectVersion(envName, envEntries));
+      } else {
+        // The unversioned key (saved without a name) is the default
+        const unversioned = envEntries.find(e => !e.version && !e.label);
+
+        if (!unversioned) {
+          throw new ConfigError(`Several versions of the ${envName} key are saved`, {
+            versions: envEntries.map(e => e.version || e.label),
+            hint: 'Pick one with --name <version>'
+          });
+        }
+        selectedEntries.push(unversioned);
+      }
+    }
+  } else {
+    selectedEntries = options.selectEntries
+      ? await options.selectEntries(matchingEntries)
+      : matchingEntries;
+  }
+
+  const keysToWrite = {};
+  const files = {};
+  const pulled = [];
+  const skipped = [];
+
+  for (const entry of selectedEntries) {
+    if (!entry.value) {
+      skipped.push(entry.name);
+      continue;
+    }
+
+    const keyName = keyNameForEnv(entry.environment);
+    keysToWrite[keyName] = entry.value;
+    files[keyName] = envFileFor(entry.environment);
+    pulled.push({ keyName, ...describeEntry(entry) });
+  }
+
+  if (pulled.length === 0) {
+    throw new NotFoundError('No valid keys to write', { skipped });
+  }
+
+  const path = join(cwd, '.env.keys');
+
+  if (existsSync(path) && options.confirmOverwrite && !(await options.confirmOverwrite(path))) {
+    throw new AbortedError();
+  }
+
+  progress.start('Writing .env.keys...');
+  writeEnvKeys(cwd, keysToWrite, files);
+  progress.succeed('Written .env.keys');
+
+  recordPulledKeys(cwd, selectedEntries.filter(entry => entry.value));
+
+  return { provider: provider.name, label: provider.label, location: provider.location, path, keys: pulled, skipped };
+}
+
+/**
+ * List the keys saved in a secret store provider. Key values are never returned.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.provider] - Provider name
+ * @param {boolean} [options.all] - Include every project, not just the current one
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @param {string | Function} [options.passphrase] - Local vault passphrase, or a hook that asks for it
+ * @returns {Promise<{ provider: string, label: string, location: string, project: string | null, exists: boolean,
+ *   filtered: boolean, total: number, entries: object[] }>}
+ *   `filtered` is true when only the current project's entries are returned
+ * @throws {NotReadyError | ConfigError}
+ */
+export async function listKeys(options = {}) {
+  const { settings, progress } = createContext(options);
+  const provider = await readyProvider(settings, progress);
+  const projectName = settings.project || null;
+  const result = {
+    provider: provider.name,
+    label: provider.label,
+    location: provider.location,
+    project: projectName,
+    exists: false,
+    filtered: false,
+    total: 0,
+    entries: []
+  };
+
+  await syncProvider(provider, progress, 'Sync may have failed, using local cache');
+
+  if (!(await openProvider(provider, progress))) {
+    progress.info(`${provider.location} not found`);
+    return result;
+  }
+
+  progress.start('Searching for keys...');
+  const entries = await provider.list();
+  progress.succeed(entries.length === 0 ? 'No keys found' : `Found ${entries.length} item(s)`);
+
+  result.exists = true;
+  result.total = entries.length;
+  result.entries = entries;
+
+  // Only show the current project when it has keys
+  if (projectName && !settings.all) {
+    const projectEntries = entries.filter(e => e.project === projectName);
+    if (projectEntries.length > 0) {
+      result.entries = projectEntries;
+      result.filtered = true;
+    }
+  }
+
+  result.entries = result.entries.map(describeEntry);
+  return result;
+}
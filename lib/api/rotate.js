@@ -0,0 +1,329 @@
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { basename, join } from 'path';
+import { readEnvFile, isEncryptedEnv } from '../utils/dotenv.js';
+import { mergeEnvKeys } from '../utils/keys.js';
+import { discoverEnvironments, findEnvironment } from '../utils/environments.js';
+import { createFileTransaction } from '../utils/transaction.js';
+import { KEY_METADATA_FILE, readKeyMetadata, stampKeys, formatKeyMetadata } from '../utils/key-metadata.js';
+import { getEngine } from '../engines/index.js';
+import { getProvider } from '../providers/index.js';
+import { getTarget } from '../targets/index.js';
+import { ConfigError, NotFoundError, NotReadyError, AbortedError, RollbackError, PartialFailureError } from '../errors.js';
+import { createContext } from './context.js';
+import { saveKeys } from './keys.js';
+import { planDeploy, applyDeploy } from './deploy.js';
+
+/**
+ * Options that only mean something to rotate(), kept out of the saveKeys and planDeploy calls
+ */
+const ROTATE_OPTIONS = ['env', 'all', 'name', 'propagate', 'confirm', 'selectEnvironments', 'onProgress'];
+
+/**
+ * Compute the new content of one environment's env file with a new key pair
+ *
+ * Only the encrypted values and the public key change; comments, order,
+ * quoting and plain values stay as they are. Nothing is written.
+ * @param {object} env - Environment from discoverEnvironments()
+ * @param {object} engine - Encryption engine
+ * @param {object} progress - Progress reporter
+ * @returns {Promise<{ content: string, privateKey: string, publicKey: string }>}
+ */
+async function rotateEnvironment(env, engine, progress) {
+  const { file: envFile, keyName } = env;
+  const doc = readEnvFile(env.path);
+
+  progress.info(`Rotating ${envFile}...`);
+  progress.start('Decrypting current values...');
+  const decrypted = await engine.decrypt(envFile);
+
+  const values = {};
+  for (const entry of doc.entries()) {
+    if (entry.key.startsWith('DOTENV_') || !entry.value.startsWith('encrypted:')) {
+      continue;
+    }
+
+    const value = decrypted[entry.key];
+    if (typeof value !== 'string' || value.startsWith('encrypted:')) {
+      throw new Error(`Could not decrypt ${entry.key} in ${envFile}`);
+    }
+    values[entry.key] = value;
+  }
+  progress.succeed('Decrypted current values');
+
+  progress.start('Generating new encryption keys...');
+  const { encrypted, publicKey, privateKey } = await engine.encryptWithNewKey(envFile, values);
+
+  for (const key of Object.keys(values)) {
+    doc.set(key, encrypted[key]);
+  }
+
+  const publicKeyName = doc.keys().find(key => key.startsWith('DOTENV_PUBLIC_KEY')) || keyName.replace('PRIVATE', 'PUBLIC');
+  doc.set(publicKeyName, publicKey);
+  progress.succeed('Generated new encryption keys');
+
+  return { content: doc.toString(), privateKey, publicKey };
+}
+
+/**
+ * Deploy targets that `propagate` updates: `targets` from the configuration, else `target`
+ * @param {object} settings - Options merged with the resolved configuration
+ * @returns {string[]}
+ */
+function propagationTargets(settings) {
+  return settings.targets?.length ? settings.targets : [settings.target];
+}
+
+/**
+ * Check the backup provider and every deploy target before anything is rotated
+ * @param {object} settings - Options merged with the resolved configuration
+ * @param {object} progress - Progress reporter
+ * @throws {NotReadyError} With `status` and `provider` or `target` for the first one that is not set up
+ */
+async function checkPropagation(settings, progress) {
+  const provider = getProvider(settings.provider, settings);
+  progress.start(`Checking ${provider.label}...`);
+  const providerStatus = await provider.check();
+
+  if (!providerStatus.ready) {
+    throw new NotReadyError(providerStatus.message, { status: providerStatus, provider, hint: 'Nothing was rotated' });
+  }
+  progress.succeed(providerStatus.message);
+
+  for (const name of propagationTargets(settings)) {
+    const target = getTarget(name, settings);
+    progress.start(`Checking ${target.label}...`);
+    const targetStatus = await target.check();
+
+    if (!targetStatus.ready) {
+      throw new NotReadyError(targetStatus.message, { status: targetStatus, target, hint: 'Nothing was rotated' });
+    }
+    progress.succeed(targetStatus.message);
+  }
+}
+
+/**
+ * Roll rotated keys out: save them as a version, push them to every deploy
+ * target and redeploy, then make them the current keys in the provider and
+ * delete the local backup of the old ones. Stops at the first failed step.
+ * @param {object} rotation - Result of the rotation ({ environments, backupPaths })
+ * @param {object} context - { cwd, config, settings, progress } of the rotate call
+ * @param {object} options - Options of the rotate call
+ * @returns {Promise<{ ok: boolean, version: string, steps: object[] }>} `steps` has one
+ *   { step, ok, skipped?, error?, ... } per step, in order
+ */
+async function propagate({ environments, backupPaths }, { cwd, config, settings, progress }, options) {
+  const version = settings.name || `rotated-${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}`;
+  // Provider and target options (store, folder, out, ...) pass through to saveKeys and planDeploy
+  const passThrough = Object.entries(settings).filter(([key]) => !ROTATE_OPTIONS.includes(key));
+  const shared = { ...Object.fromEntries(passThrough), cwd, config, onProgress: options.onProgress };
+  const steps = [];
+  let failed = false;
+
+  const step = async (name, fn) => {
+    if (failed) {
+      steps.push({ step: name, ok: false, skipped: true });
+      return;
+    }
+
+    progress.info(`Step: ${name}`);
+    try {
+      steps.push({ step: name, ok: true, ...(await fn()) });
+    } catch (error) {
+      failed = true;
+      steps.push({ step: name, ok: false, error: error.message, ...(error.result ? { result: error.result } : {}) });
+    }
+  };
+
+  const save = async (name) => {
+    const saved = [];
+    for (const env of environments) {
+      const result = await saveKeys({ ...shared, env, name, note: name ? `Key rotation ${name}` : undefined });
+      const failure = result.saved.find(s => !s.ok);
+      if (failure) {
+        throw new Error(`Could not save ${failure.keyName}: ${failure.error}`);
+      }
+      saved.push(...result.saved.map(s => s.name));
+    }
+    return { saved };
+  };
+
+  await step('backup', () => save(version));
+
+  for (const target of propagationTargets(settings)) {
+    await step(`deploy:${target}`, async () => {
+      const plan = await planDeploy({ ...shared, target, env: environments });
+      const { applied, deployed } = await applyDeploy(plan, { onProgress: options.onProgress, signal: settings.signal, wait: true });
+      return { target, applied, deployed };
+    });
+  }
+
+  await step('retire', async () => {
+    const { saved } = await save(null);
+    backupPaths.forEach(path => unlinkSync(path));
+    return { saved, removed: backupPaths[0] || null };
+  });
+
+  return { ok: !failed, version, steps };
+}
+
+/**
+ * Rotate the encryption keys of one or more environments
+ *
+ * All-or-nothing: every environment is decrypted and re-encrypted in
+ * memory first, then the env files and .env.keys are replaced together.
+ * If any environment fails, no file changes. Every encrypted env file
+ * discoverEnvironments() finds can be rotated; each .env.keys that changes
+ * is backed up before the write, and the rotation time is recorded in
+ * .env.keys.meta.json with the other files. Old keys stop working, so
+ * deployments need the new keys afterwards.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string | string[]} [options.env] - Environment(s) to rotate, by id or env file
+ * @param {boolean} [options.all] - Rotate every environment
+ * @param {(environments: string[]) => Promise<string[]>} [options.selectEnvironments] - Pick environments
+ *   when neither `env` nor `all` is given (default: throw ConfigError)
+ * @param {(environments: string[]) => Promise<boolean>} [options.confirm] - Called before anything
+ *   changes; false aborts (default: rotate)
+ * @param {boolean} [options.propagate] - Afterwards, save the new keys to the provider as a version,
+ *   push them to every deploy target (`targets`, else `target`) and redeploy, then make them the
+ *   provider's current keys and delete the backup of the old ones. Only for environments in the
+ *   project directory
+ * @param {string} [options.name] - Version name for `propagate` (default: rotated-<timestamp>)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @param {string | Function} [options.passphrase] - Local vault passphrase, or a hook that asks for it
+ * @returns {Promise<{ environments: string[], backupPath: string | null, backupPaths: string[], results: object[],
+ *   propagation?: object }>} `environments` are ids; `backupPath` is the first of `backupPaths`; `results` has one { envName, ok, error?, skipped? } per environment; `propagation` is
+ *   { ok, version, steps } with one { step, ok, skipped?, error? } per step
+ * @throws {NotFoundError | ConfigError | AbortedError}
+ * @throws {NotReadyError} With `propagate`, before anything changes, when the provider or a target is not set up
+ * @throws {RollbackError} With the result as `result` when an environment failed; nothing was changed
+ * @throws {PartialFailureError} With the result as `result` when propagation stopped at a failed step
+ */
+export async function rotate(options = {}) {
+  const context = createContext(options);
+  const { cwd, settings, progress } = context;
+  const environments = discoverEnvironments(cwd, { environments: settings.environments })
+    .filter(env => isEncryptedEnv(readEnvFile(env.path)));
+  const available = environments.map(env => env.id);
+
+  if (environments.length === 0) {
+    throw new NotFoundError('No encrypted environments found', { hint: 'Run `dotenvx-deploy init` to set up encryption' });
+  }
+
+  let envsToRotate;
+
+  if (settings.all) {
+    envsToRotate = environments;
+  } else if (settings.env?.length) {
+    envsToRotate = [settings.env].flat().map(ref => {
+      const env = findEnvironment(environments, ref);
+      if (!env) {
+        throw new NotFoundError(`Environment "${ref}" not found`, { available });
+      }
+      return env;
+    });
+  } else if (options.selectEnvironments) {
+    const selected = await options.selectEnvironments(available);
+    envsToRotate = environments.filter(env => selected.includes(env.id));
+  } else {
+    throw new ConfigError('No environment to rotate', { hint: 'Pass an environment or all' });
+  }
+
+  envsToRotate = [...new Set(envsToRotate)];
+  const ids = envsToRotate.map(env => env.id);
+
+  if (settings.propagate) {
+    // Providers and targets work with the project directory's .env.keys
+    const nested = envsToRotate.find(env => env.dir);
+    if (nested) {
+      throw new ConfigError(`Cannot propagate keys of ${nested.id} from here`, {
+        hint: `Run \`dotenvx-deploy rotate --propagate\` in ${nested.dir}`
+      });
+    }
+    await checkPropagation(settings, progress);
+  }
+
+  if (options.confirm && !(await options.confirm(ids))) {
+    throw new AbortedError();
+  }
+
+  const transaction = createFileTransaction();
+  const engine = getEngine(settings.engine, { cwd, signal: settings.signal });
+  const metadata = readKeyMetadata(cwd);
+  const publicKeys = {};
+  const results = [];
+
+  // Every environment is staged first; files only change once all of them succeeded
+  for (const env of envsToRotate) {
+    try {
+      const { content, privateKey, publicKey } = await rotateEnvironment(env, engine, progress);
+      const keysPath = join(cwd, env.keysFile);
+      transaction.stage(env.path, content);
+      transaction.stage(keysPath, mergeEnvKeys(transaction.read(keysPath), { [env.keyName]: privateKey }, { [env.keyName]: basename(env.file) }));
+      publicKeys[env.id] = publicKey;
+      results.push({ envName: env.id, ok: true });
+    } catch (error) {
+      progress.fail(`Failed to rotate ${env.id}`);
+      results.push({ envName: env.id, ok: false, error: error.message });
+      break;
+    }
+  }
+
+  const rotated = new Set(results.map(r => r.envName));
+  for (const id of ids.filter(id => !rotated.has(id))) {
+    results.push({ envName: id, ok: false, skipped: true });
+  }
+
+  const failed = results.filter(r => !r.ok && !r.skipped);
+
+  if (failed.length > 0) {
+    throw new RollbackError(`Failed to rotate ${failed.map(r => r.envName).join(', ')}. No files were changed`, {
+      result: { environments: ids, backupPath: null, backupPaths: [], results }
+    });
+  }
+
+  transaction.stage(join(cwd, KEY_METADATA_FILE), formatKeyMetadata(stampKeys(metadata, publicKeys, { rotated: true })));
+
+  const timestamp = Date.now();
+  const backupPaths = [...new Set(envsToRotate.map(env => join(cwd, env.keysFile)))]
+    .filter(keysPath => existsSync(keysPath))
+    .map(keysPath => {
+      const backupPath = `${keysPath}.backup.${timestamp}`;
+      writeFileSync(backupPath, readFileSync(keysPath, 'utf-8'), { mode: 0o600 });
+      return backupPath;
+    });
+  const backupPath = backupPaths[0] || null;
+
+  const files = transaction.paths();
+
+  progress.start('Writing rotated files...');
+  try {
+    transaction.commit();
+  } catch (error) {
+    progress.fail('Failed to write rotated files');
+    throw new RollbackError(`Could not write the rotated files: ${error.message}. No files were changed`, {
+      cause: error,
+      result: { environments: ids, backupPath, backupPaths, results: ids.map(envName => ({ envName, ok: false, error: error.message })) }
+    });
+  }
+  progress.succeed(`Wrote ${files.length} files`);
+
+  const result = { environments: ids, backupPath, backupPaths, results };
+
+  if (!settings.propagate) {
+    return result;
+  }
+
+  result.propagation = await propagate(result, context, options);
+
+  if (!result.propagation.ok) {
+    const failedStep = result.propagation.steps.find(s => !s.ok && !s.skipped);
+    throw new PartialFailureError(`Keys were rotated, but propagation stopped at ${failedStep.step}: ${failedStep.error}`, {
+      result,
+      hint: backupPath ? `The old keys are still in ${backupPaths.join(', ')}` : null
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,169 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import {
+  detectProjectType,
+  isDotenvxInstalled,
+  isVercelCliAvailable,
+  checkBitwardenCli,
+  getEnvKeys
+} from '../utils/detect.js';
+import { discoverEnvironments } from '../utils/environments.js';
+import { keyFingerprint } from '../utils/keys.js';
+import { readWranglerConfig } from '../utils/wrangler.js';
+import { readVercelProject } from '../utils/vercel.js';
+import { readEnvFile, listVariables, isEncryptedEnv } from '../utils/dotenv.js';
+import { readKeyMetadata, readPublicKeyForEnv, keyAge, maxKeyAgeFor } from '../utils/key-metadata.js';
+import { checkKeysExcluded } from '../targets/cloudflare.js';
+import { createContext } from './context.js';
+
+/**
+ * Describe the age of an environment's key against the key age policy
+ * @param {string} cwd - Project directory
+ * @param {string} id - Environment id
+ * @param {object} records - Key metadata records
+ * @param {Record<string, number>} policy - `maxKeyAge` from the configuration
+ * @param {Date} now - Current time
+ * @returns {{ created: string | null, rotated: string | null, ageDays: number | null, maxAgeDays: number | null,
+ *   overdue: boolean }} `ageDays` is null when the key's age is unknown
+ */
+function describeKeyAge(cwd, id, records, policy, now) {
+  const age = keyAge(records[id], readPublicKeyForEnv(cwd, id), now);
+  const maxAgeDays = maxKeyAgeFor(policy, id);
+
+  return {
+    created: age?.created || null,
+    rotated: age?.rotated || null,
+    ageDays: age ? age.days : null,
+    maxAgeDays,
+    overdue: !!age && maxAgeDays !== null && age.days > maxAgeDays
+  };
+}
+
+/**
+ * Gather project, environment, key, tool and security status
+ *
+ * Environments are the env files discoverEnvironments() finds, each checked
+ * against the .env.keys in its directory. Private key values are never
+ * included, only key names and fingerprints. `ok` is false when `problems`
+ * lists something that can leak or lose secrets. Keys older than
+ * `maxKeyAge` are flagged with `keyAge.overdue` and a recommendation.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {boolean} [options.tools] - Check the Vercel and Bitwarden CLIs (default: true)
+ * @param {Date} [options.now] - Time to measure key ages at (default: now)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @returns {Promise<{ ok: boolean, project: object, config: object, environments: object[], keys: object,
+ *   tools: object | null, security: object, problems: string[], recommendations: string[] }>}
+ * @throws {ConfigError} When .dotenvx-deploy.json, .env.keys.meta.json or wrangler.json is invalid
+ */
+export async function status(options = {}) {
+  const { cwd, config, settings, progress } = createContext(options);
+  const project = detectProjectType(cwd);
+  const dotenvxInstalled = isDotenvxInstalled(cwd);
+  const { exists: keysExist, keys } = getEnvKeys(cwd);
+  const records = readKeyMetadata(cwd);
+  const now = settings.now || new Date();
+
+  // Env files in subdirectories have their own .env.keys next to them
+  const keysByDir = { '': { exists: keysExist, keys } };
+  const keysFor = (dir) => (keysByDir[dir] ??= getEnvKeys(join(cwd, dir)));
+
+  const environments = discoverEnvironments(cwd, { environments: settings.environments }).map(env => {
+    const doc = readEnvFile(env.path);
+    const dirKeys = keysFor(env.dir);
+    const encrypted = isEncryptedEnv(doc);
+
+    return {
+      id: env.id,
+      name: env.name,
+      file: env.file,
+      local: env.local,
+      encrypted,
+      variables: listVariables(doc).length,
+      keyName: env.keyName,
+      keysFile: env.keysFile,
+      hasKey: !!dirKeys.keys[env.keyName],
+      fingerprint: keyFingerprint(dirKeys.keys[env.keyName]),
+      keysFileExists: dirKeys.exists,
+      // Plain-text env files need no key
+      missingKey: encrypted && dirKeys.exists && !dirKeys.keys[env.keyName],
+      keyAge: encrypted ? describeKeyAge(cwd, env.id, records, settings.maxKeyAge, now) : null
+    };
+  });
+
+  let vercelCli = null;
+  let bitwarden = { available: false };
+
+  if (settings.tools !== false) {
+    progress.start('Checking Vercel CLI...');
+    vercelCli = await isVercelCliAvailable();
+    progress.update('Checking Bitwarden CLI...');
+    bitwarden = await checkBitwardenCli();
+    progress.stop();
+  }
+
+  const ignoresKeys = (file) => existsSync(join(cwd, file))
+    ? readFileSync(join(cwd, file), 'utf-8').includes('.env.keys')
+    : null;
+  const wranglerConfig = readWranglerConfig(cwd);
+
+  const security = {
+    gitignore: ignoresKeys('.gitignore'),
+    vercelignore: ignoresKeys('.vercelignore'),
+    cloudflare: wranglerConfig ? checkKeysExcluded(cwd, wranglerConfig) : null
+  };
+
+  const recommendations = [];
+
+  if (!dotenvxInstalled) {
+    recommendations.push('Run `dotenvx-deploy init` to set up encryption');
+  }
+
+  const unencrypted = environments.filter(env => !env.encrypted);
+  if (unencrypted.length > 0) {
+    recommendations.push(`Encrypt: ${unencrypted.map(env => env.file).join(', ')}`);
+  }
+
+  if (keysExist && !bitwarden.available) {
+    recommendations.push('Install Bitwarden CLI to backup your keys');
+  }
+
+  if (keysExist && bitwarden.available && bitwarden.loggedIn) {
+    recommendations.push('Run `dotenvx-deploy bw-save` to backup keys to Bitwarden');
+  }
+
+  const overdue = environments.filter(env => env.keyAge?.overdue);
+  if (overdue.length > 0) {
+    recommendations.push(`Rotate keys past their maximum age: ${overdue.map(env => `dotenvx-deploy rotate -e ${env.id}`).join(', ')}`);
+  }
+
+  // Problems that can leak or lose secrets, as opposed to suggestions
+  const problems = [
+    ...unencrypted.map(env => `${env.file} is not encrypted`),
+    ...environments.filter(env => env.missingKey).map(env => `Missing key for ${env.id} environment`),
+    ...(security.gitignore === false ? ['.gitignore does not protect .env.keys'] : []),
+    ...(security.vercelignore === false ? ['.vercelignore does not protect .env.keys'] : []),
+    ...(security.cloudflare && !security.cloudflare.protected ? ['Cloudflare upload includes .env.keys'] : [])
+  ];
+
+  return {
+    ok: problems.length === 0,
+    project: {
+      type: project.type,
+      framework: project.framework || null,
+      name: config.values.project,
+      dotenvxInstalled
+    },
+    config: { file: config.file, values: config.values, sources: config.sources },
+    environments,
+    keys: { exists: keysExist, names: Object.keys(keys) },
+    tools: settings.tools === false ? null : {
+      vercelCli,
+      vercelApi: { token: !!process.env.VERCEL_TOKEN, projectId: readVercelProject(cwd)?.projectId || null },
+      bitwarden: { available: bitwarden.available, loggedIn: !!bitwarden.loggedIn, status: bitwarden.status || null }
+    },
+    security,
+    problems,
+    recommendations
+  };
+}
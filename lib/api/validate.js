@@ -0,0 +1,140 @@
+import { readEnvFile } from '../utils/dotenv.js';
+import { discoverEnvironments } from '../utils/environments.js';
+import { readEnvSchema, validateValues, ENV_SCHEMA_FILE } from '../utils/env-schema.js';
+import { isEncryptedValue } from '../utils/ecies.js';
+import { getEngine } from '../engines/index.js';
+import { NotFoundError, ValidationError } from '../errors.js';
+import { createContext } from './context.js';
+
+/**
+ * Decrypt an env file in memory. Without its private key, encrypted values
+ * are null, so they still count as present.
+ * @param {object} engine - Encryption engine
+ * @param {object} env - Environment from discoverEnvironments()
+ * @returns {Promise<{ values: Record<string, string | null>, error: string | null }>}
+ */
+async function readValues(engine, env) {
+  try {
+    return { values: await engine.decrypt(env.file), error: null };
+  } catch (error) {
+    const values = Object.fromEntries(
+      Object.entries(readEnvFile(env.path).toObject()).map(([key, value]) => [key, isEncryptedValue(value) ? null : value])
+    );
+    return { values, error: error.message };
+  }
+}
+
+/**
+ * Check one environment against the .env.schema that applies to it
+ *
+ * `*.local` overrides only hold some of the variables, so only the values
+ * they set are checked.
+ * @param {string} cwd - Project directory
+ * @param {object} env - Environment from discoverEnvironments()
+ * @param {object} engine - Encryption engine
+ * @param {object} [options] - Options
+ * @param {Record<string, string | null>} [options.values] - Values to check instead of the env file's
+ * @param {boolean} [options.partial] - Only check the given values
+ * @returns {Promise<{ id: string, file: string, schema: string, decrypted: boolean, error: string | null,
+ *   violations: object[] } | null>} Null when no .env.schema applies
+ * @throws {ConfigError} When .env.schema is invalid
+ */
+export async function validateEnvironment(cwd, env, engine, { values, partial = env.local } = {}) {
+  const schema = readEnvSchema(cwd, env.dir);
+
+  if (!schema) {
+    return null;
+  }
+
+  const read = values ? { values, error: null } : await readValues(engine, env);
+
+  return {
+    id: env.id,
+    file: env.file,
+    schema: schema.file,
+    decrypted: !read.error,
+    error: read.error,
+    violations: validateValues(schema, env, read.values, { partial })
+  };
+}
+
+/**
+ * Throw when any checked environment has violations
+ * @param {Array<object | null>} results - From validateEnvironment()
+ * @throws {ValidationError} Listing every violation
+ */
+export function assertValid(results) {
+  const violations = results
+    .filter(Boolean)
+    .flatMap(result => result.violations.map(({ variable, message }) => ({ file: result.file, variable, message })));
+
+  if (violations.length > 0) {
+    const lines = violations.map(({ file, variable, message }) => `  - ${file}: ${variable} ${message}`);
+    throw new ValidationError(`Values do not match ${ENV_SCHEMA_FILE}:\n${lines.join('\n')}`, {
+      violations,
+      hint: 'Fix the values, or pass --force to go ahead anyway'
+    });
+  }
+}
+
+/**
+ * Check every env file against .env.schema
+ *
+ * Each env file is decrypted in memory with the configured engine and its
+ * values are checked for presence, type, pattern and enum. Env files whose
+ * private key is missing are still checked for required variables, and
+ * reported with `decrypted: false`. Decrypted values are never returned.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string[]} [options.env] - Only these environments, by name or id (default: `environments`, else all)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses
+ * @returns {Promise<{ ok: boolean, environments: object[], problems: string[] }>} `environments` has one
+ *   { id, file, schema, decrypted, error, violations } per env file; `ok` is false on any violation
+ *   or value that could not be decrypted
+ * @throws {NotFoundError} When there is no .env.schema, or an environment in `env` has no env file
+ * @throws {ConfigError} When .env.schema is invalid
+ */
+export async function validate(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const engine = getEngine(settings.engine, { cwd, signal: settings.signal });
+  const only = settings.env?.length ? [settings.env].flat() : settings.environments;
+  const all = discoverEnvironments(cwd);
+
+  const missing = settings.env?.length && [settings.env].flat().find(ref => !all.some(env => env.id === ref || env.name === ref));
+  if (missing) {
+    throw new NotFoundError(`Environment "${missing}" not found`, { available: all.map(env => env.id) });
+  }
+
+  const environments = [];
+
+  for (const env of discoverEnvironments(cwd, { environments: only })) {
+    progress.start(`Validating ${env.file}...`);
+    const result = await validateEnvironment(cwd, env, engine);
+
+    if (!result) {
+      progress.stop();
+      continue;
+    }
+    environments.push(result);
+
+    if (result.violations.length > 0) {
+      progress.fail(`${env.file}: ${result.violations.length} problem(s)`);
+    } else if (result.error) {
+      progress.warn(`${env.file}: checked without decrypting (${result.error})`);
+    } else {
+      progress.succeed(`${env.file} matches ${result.schema}`);
+    }
+  }
+
+  if (environments.length === 0 && !readEnvSchema(cwd)) {
+    throw new NotFoundError(`No ${ENV_SCHEMA_FILE} found`, { hint: `Declare your variables in ${ENV_SCHEMA_FILE}; see the README` });
+  }
+
+  const problems = environments.flatMap(env => [
+    ...(env.error ? [`Cannot decrypt ${env.file}: ${env.error}`] : []),
+    ...env.violations.map(({ variable, message }) => `${env.file}: ${variable} ${message}`)
+  ]);
+
+  return { ok: problems.length === 0, environments, problems };
+}
@@ -0,0 +1,147 @@
+import { join } from 'path';
+import { getEnvKeys } from '../utils/detect.js';
+import { readEnvFile } from '../utils/dotenv.js';
+import { discoverEnvironments } from '../utils/environments.js';
+import { privateKeysFor } from '../utils/keys.js';
+import { publicKeyFromPrivate, decryptValue, isEncryptedValue } from '../utils/ecies.js';
+import { NotFoundError } from '../errors.js';
+import { createContext } from './context.js';
+
+/**
+ * Check one environment's env file against its private keys
+ * @param {object} env - Environment from discoverEnvironments()
+ * @param {Record<string, string>} keys - Keys from the .env.keys in the environment's directory
+ * @returns {{ id: string, file: string, keyName: string, keySource: string | null, encrypted: number,
+ *   publicKey: string | null, matches: boolean | null, undecryptable: string[], problems: string[] }}
+ */
+function verifyEnvironment(env, keys) {
+  const doc = readEnvFile(env.path);
+  const publicKey = doc.get(env.publicKeyName) || null;
+  const encrypted = doc.entries().filter(entry => isEncryptedValue(entry.value));
+  const { source, privateKeys } = privateKeysFor(env, keys);
+  const result = {
+    id: env.id,
+    file: env.file,
+    keyName: env.keyName,
+    keySource: source,
+    encrypted: encrypted.length,
+    publicKey,
+    matches: null,
+    undecryptable: [],
+    problems: []
+  };
+
+  if (privateKeys.length === 0) {
+    result.problems.push(`No private key for ${env.file} (${env.keyName})`);
+    return result;
+  }
+
+  const derived = privateKeys.flatMap(privateKey => {
+    try {
+      return [publicKeyFromPrivate(privateKey)];
+    } catch {
+      return [];
+    }
+  });
+
+  if (derived.length < privateKeys.length) {
+    result.problems.push(`${env.keyName} in ${source} is not a valid private key`);
+  }
+
+  if (publicKey) {
+    result.matches = derived.includes(publicKey);
+    if (!result.matches) {
+      result.problems.push(`${env.keyName} in ${source} does not match ${env.publicKeyName} in ${env.file}`);
+    }
+  }
+
+  // A matching key can still fail on a value that was encrypted for another key or damaged
+  for (const { key, value } of encrypted) {
+    const decrypts = privateKeys.some(privateKey => {
+      try {
+        decryptValue(privateKey, value);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+    if (!decrypts) {
+      result.undecryptable.push(key);
+    }
+  }
+
+  if (result.undecryptable.length > 0) {
+    result.problems.push(`Cannot decrypt ${result.undecryptable.join(', ')} in ${env.file}`);
+  }
+
+  return result;
+}
+
+/**
+ * Verify that the private keys we hold open every encrypted env file
+ *
+ * For each environment with encrypted values or a public key, the public
+ * key is derived from the private key (from `DOTENV_PRIVATE_KEY_<ENV>` in
+ * the environment, else the .env.keys next to the file) and compared with
+ * the one in the file, and every `encrypted:` value is decrypted in memory
+ * and thrown away. Without `env`, private keys in a .env.keys without an
+ * env file are reported as orphans. Nothing is written and no decrypted
+ * value is returned.
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string[]} [options.env] - Only these environments, by name or id (default: `environments`, else all)
+ * @param {Function} [options.onProgress] - Callback for progress events
+ * @returns {Promise<{ ok: boolean, environments: object[], orphanKeys: object[], problems: string[] }>}
+ *   `environments` has one { id, file, keyName, keySource, encrypted, publicKey, matches, undecryptable,
+ *   problems } per encrypted environment; `orphanKeys` has one { keyName, keysFile }
+ * @throws {NotFoundError} When an environment in `env` has no env file
+ */
+export async function verify(options = {}) {
+  const { cwd, settings, progress } = createContext(options);
+  const only = settings.env?.length ? [settings.env].flat() : settings.environments;
+  const all = discoverEnvironments(cwd);
+  const keysByDir = {};
+  const keysFor = (dir) => (keysByDir[dir] ??= getEnvKeys(join(cwd, dir)).keys);
+
+  const missing = settings.env?.length && [settings.env].flat().find(ref => !all.some(env => env.id === ref || env.name === ref));
+  if (missing) {
+    throw new NotFoundError(`Environment "${missing}" not found`, { available: all.map(env => env.id) });
+  }
+
+  const environments = [];
+
+  for (const env of discoverEnvironments(cwd, { environments: only })) {
+    const doc = readEnvFile(env.path);
+
+    if (!doc.get(env.publicKeyName) && !doc.entries().some(entry => isEncryptedValue(entry.value))) {
+      continue;
+    }
+
+    progress.start(`Verifying ${env.file}...`);
+    const result = verifyEnvironment(env, keysFor(env.dir));
+    environments.push(result);
+
+    if (result.problems.length > 0) {
+      progress.fail(`${env.file}: ${result.problems.length} problem(s)`);
+    } else {
+      progress.succeed(`${env.file}: ${result.encrypted} value(s) decrypt with ${env.keyName}`);
+    }
+  }
+
+  // Every directory with env files has its own .env.keys
+  const dirs = settings.env?.length ? [] : [...new Set(['', ...all.map(env => env.dir)])];
+  const orphanKeys = dirs.flatMap(dir => {
+    const known = all.filter(env => env.dir === dir).map(env => env.keyName);
+    const keysFile = dir ? `${dir}/.env.keys` : '.env.keys';
+    return Object.keys(keysFor(dir))
+      .filter(keyName => !known.includes(keyName))
+      .map(keyName => ({ keyName, keysFile }));
+  });
+
+  const problems = [
+    ...environments.flatMap(env => env.problems),
+    ...orphanKeys.map(({ keyName, keysFile }) => `${keyName} in ${keysFile} has no env file`)
+  ];
+
+  return { ok: problems.length === 0, environments, orphanKeys, problems };
+}
@@ -0,0 +1,46 @@
+import chalk from 'chalk';
+import { check } from '../api/check.js';
+import { isJsonOutput, emitJson, exitWithError } from '../utils/output.js';
+import { formatKeyAge } from './status.js';
+
+/**
+ * Check the project for problems and exit non-zero when there are any
+ * @param {object} options - Command options
+ * @param {boolean} [options.policy] - Enforce the key age policy
+ * @param {string} [options.maxAge] - Maximum key age in days for every environment
+ */
+export async function checkCommand(options = {}) {
+  if (!isJsonOutput()) {
+    console.log(chalk.bold('\n🔍 dotenvx-deploy check\n'));
+  }
+
+  let result;
+  try {
+    result = await check({ ...options, maxAge: options.maxAge === undefined ? undefined : Number(options.maxAge) });
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  if (isJsonOutput()) {
+    emitJson(result);
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  if (result.policy) {
+    console.log(chalk.white('Key age:'));
+    result.environments
+      .filter(env => env.keyAge)
+      .forEach(env => console.log(chalk.gray(`  ${env.id}: ${formatKeyAge(env.keyAge)}`)));
+    console.log('');
+  }
+
+  if (result.ok) {
+    console.log(chalk.green('✓ No problems found\n'));
+    return;
+  }
+
+  console.log(chalk.white('Problems:'));
+  result.problems.forEach(problem => console.log(chalk.red(`  ✗ ${problem}`)));
+  console.log('');
+  process.exit(1);
+}
@@ -1,164 +1,229 @@
 import chalk from 'chalk';
-import ora from 'ora';
-import inquirer from 'inquirer';
-import { existsSync, readFileSync } from 'fs';
-import { join } from 'path';
-import { isVercelCliAvailable, getEnvKeys, getProjectName } from '../utils/detect.js';
-import { vercel, run } from '../utils/exec.js';
+import { getEnvKeys } from '../utils/detect.js';
+import { planDeploy, applyDeploy } from '../api/deploy.js';
+import { NotFoundError, NotReadyError, UnsafeError, PartialFailureError } from '../errors.js';
+import { createSpinner, spinnerProgress, exitWithError, isJsonOutput, emitJson } from '../utils/output.js';
+import { ask, isInteractive } from '../utils/prompt.js';
 
 /**
- * Deploy encrypted environment to Vercel
+ * Deploy encrypted environments to a deploy target (Vercel by default)
+ *
+ * Computes a plan of key changes and deployments first, then applies it
+ * after confirmation (or straight away with --yes).
  * @param {object} options - Command options
  */
 export async function deployCommand(options) {
-  const cwd = process.cwd();
-  const spinner = ora();
+  const spinner = createSpinner();
+  let plan;
 
   console.log(chalk.bold('\n🚀 dotenvx-deploy deploy\n'));
 
-  // Check if Vercel CLI is available
-  spinner.start('Checking Vercel CLI...');
-  const vercelAvailable = await isVercelCliAvailable();
+  /**
+   * Emit the JSON document for this run (no-op outside --json mode)
+   */
+  const report = (result) => {
+    if (isJsonOutput()) {
+      emitJson({
+        ...result,
+        target: plan?.target.name || options.target,
+        plan: plan && {
+          changes: plan.changes,
+          deployments: plan.deployments.map(d => d.scope),
+          skippedDeployments: plan.skippedDeployments.map(d => d.scope)
+        }
+      });
+    }
+  };
 
-  if (!vercelAvailable) {
-    spinner.fail('Vercel CLI not found');
-    console.log(chalk.yellow('\nInstall Vercel CLI:'));
-    console.log(chalk.cyan('  npm install -g vercel'));
-    process.exit(1);
-  }
-  spinner.succeed('Vercel CLI available');
+  /**
+   * Report a failure and exit
+   */
+  const fail = (error) => {
+    report({ ok: false, error: error.message, ...(error.errors && { errors: error.errors.map(({ envName, message, hint }) => ({ envName, message, hint })) }) });
+    exitWithError(error, spinner);
+  };
 
-  // Check for .env.keys
-  const { exists: keysExist, keys } = getEnvKeys(cwd);
+  try {
+    plan = await planDeploy({ ...options, onProgress: spinnerProgress(spinner) });
+  } catch (error) {
+    if (error instanceof NotReadyError) {
+      spinner.fail(error.message);
+      error.target.printSetupInstructions(error.status);
+      process.exit(1);
+    }
 
-  if (!keysExist) {
-    spinner.fail('No .env.keys file found');
-    console.log(chalk.yellow('\nRun `dotenvx-deploy init` first to set up encryption'));
-    process.exit(1);
-  }
+    if (error instanceof NotFoundError && error.errors) {
+      spinner.stop();
+      error.errors.forEach(({ envName, message, hint }) => {
+        console.log(chalk.red(`\n❌ ${envName}: ${message}`));
+        if (hint) {
+          console.log(chalk.gray(`   ${hint}`));
+        }
+      });
+
+      if (error.errors.some(e => e.availableKeys)) {
+        console.log(chalk.yellow('\nAvailable keys:'));
+        error.availableKeys.forEach(k => console.log(chalk.gray(`   - ${k}`)));
+      }
 
-  // Determine which environment to deploy
-  const envName = options.env || 'production';
-  const privateKeyName = `DOTENV_PRIVATE_KEY_${envName.toUpperCase()}`;
-  const privateKey = keys[privateKeyName];
+      report({ ok: false, errors: error.errors.map(({ envName, message, hint }) => ({ envName, message, hint })) });
+      process.exit(1);
+    }
 
-  if (!privateKey) {
-    console.log(chalk.red(`\n❌ No private key found for ${envName} environment`));
-    console.log(chalk.gray(`   Expected key: ${privateKeyName}`));
-    console.log(chalk.yellow('\nAvailable keys:'));
-    Object.keys(keys).forEach(k => console.log(chalk.gray(`   - ${k}`)));
-    process.exit(1);
+    fail(error);
   }
 
-  // Check if encrypted env file exists
-  const envFile = `.env.${envName}`;
-  const envPath = join(cwd, envFile);
+  printPlan(plan);
 
-  if (!existsSync(envPath)) {
-    console.log(chalk.red(`\n❌ ${envFile} not found`));
-    console.log(chalk.yellow('\nRun `dotenvx-deploy encrypt` first'));
-    process.exit(1);
+  if (options.dryRun) {
+    console.log(chalk.gray('\nDry run: nothing was changed'));
+    report({ ok: true, dryRun: true });
+    return;
   }
 
-  // Check if encrypted
-  const envContent = readFileSync(envPath, 'utf-8');
-  if (!envContent.includes('encrypted:')) {
-    console.log(chalk.yellow(`\n⚠️  ${envFile} doesn't appear to be encrypted`));
-    const { proceed } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'proceed',
-      message: 'Continue anyway?',
-      default: false
-    }]);
-
-    if (!proceed) {
-      console.log(chalk.gray('Aborted'));
-      process.exit(0);
-    }
+  const pending = plan.changes.filter(change => change.action !== 'unchanged');
+
+  if (pending.length === 0 && plan.deployments.length === 0) {
+    console.log(chalk.green('\n✅ Nothing to do'));
+    report({ ok: true, applied: [], deployed: [] });
+    return;
   }
 
-  console.log(chalk.cyan(`\nDeploying ${envName} environment to Vercel...\n`));
+  // Interactively, the confirmation below covers unencrypted env files
+  const allowUnencrypted = options.allowUnencrypted || isInteractive();
+  const unencrypted = pending.filter(change => !change.encrypted);
 
-  // Set the private key in Vercel
-  spinner.start(`Setting ${privateKeyName} in Vercel...`);
+  if (unencrypted.length > 0 && !allowUnencrypted) {
+    fail(new UnsafeError(`${unencrypted.map(change => change.envFile).join(', ')} is not encrypted`, {
+      hint: 'Encrypt it first, or pass --allow-unencrypted'
+    }));
+  }
 
-  try {
-    // Determine Vercel environment scope
-    let vercelEnvScope = 'production';
-    if (envName === 'preview' || envName === 'staging') {
-      vercelEnvScope = 'preview';
-    } else if (envName === 'development') {
-      vercelEnvScope = 'development';
+  if (!options.yes) {
+    try {
+      const proceed = await ask({
+        type: 'confirm',
+        message: 'Apply this plan?',
+        default: unencrypted.length === 0
+      }, { answer: true, requireYes: true, flag: '--yes to apply the plan, or --dry-run to only show it' });
+
+      if (!proceed) {
+        console.log(chalk.gray('Aborted'));
+        process.exit(0);
+      }
+    } catch (error) {
+      fail(error);
     }
+  }
 
-    // Check if key already exists
-    const { stdout: existingEnvs } = await vercel(['env', 'ls'], { cwd, silent: true });
+  console.log(chalk.cyan(`\nApplying plan to ${plan.target.label}...\n`));
 
-    if (existingEnvs.includes(privateKeyName)) {
-      spinner.text = `Removing existing ${privateKeyName}...`;
-      await vercel(['env', 'rm', privateKeyName, vercelEnvScope, '-y'], { cwd, silent: true });
+  let result;
+  try {
+    result = await applyDeploy(plan, { ...options, allowUnencrypted, onProgress: spinnerProgress(spinner) });
+  } catch (error) {
+    if (!(error instanceof PartialFailureError)) {
+      fail(error);
     }
+    result = error.result;
+  }
 
-    // Add the new key
-    spinner.text = `Adding ${privateKeyName} to Vercel...`;
+  printApplyResult(plan, result);
+  report({ ok: !result.applied.some(a => !a.ok) && !result.deployed.some(d => !d.ok), applied: result.applied, deployed: result.deployed.map(({ output, ...d }) => d) });
 
-    // Use echo to pipe the key value
-    await run(`echo "${privateKey}" | npx vercel@latest env add ${privateKeyName} ${vercelEnvScope}`, { cwd });
+  const failedScopes = [...new Set([...result.applied, ...result.deployed].filter(item => !item.ok && !item.skipped).map(item => item.scope))];
 
-    spinner.succeed(`Set ${privateKeyName} for ${vercelEnvScope} environment`);
-  } catch (error) {
-    spinner.fail(`Failed to set ${privateKeyName}`);
-    console.error(chalk.red(error.message));
-
-    // Offer manual instructions
-    console.log(chalk.yellow('\nManual setup:'));
-    console.log(chalk.gray(`  1. Go to your Vercel project settings`));
-    console.log(chalk.gray(`  2. Navigate to Environment Variables`));
-    console.log(chalk.gray(`  3. Add ${privateKeyName} with value:`));
-    console.log(chalk.cyan(`     ${privateKey}`));
+  if (failedScopes.length > 0) {
+    console.log(chalk.red(`\n❌ Plan partially applied. Failed scopes: ${failedScopes.join(', ')}`));
     process.exit(1);
   }
 
-  // Deploy to Vercel
-  const { shouldDeploy } = await inquirer.prompt([{
-    type: 'confirm',
-    name: 'shouldDeploy',
-    message: 'Deploy to Vercel now?',
-    default: true
-  }]);
+  if (plan.target.printNextSteps && result.files.length > 0) {
+    plan.target.printNextSteps(result.files);
+  }
 
-  if (shouldDeploy) {
-    spinner.start('Deploying to Vercel...');
+  // Summary
+  console.log(chalk.bold.green(`\n✅ ${plan.changes.length === 1 ? 'Environment' : 'Environments'} deployed successfully!\n`));
+  console.log(chalk.white('Your app will now:'));
+  console.log(chalk.gray(`  1. Read encrypted values from ${plan.changes.map(c => c.envFile).join(', ')}`));
+  console.log(chalk.gray(`  2. Decrypt them using ${plan.changes.map(c => c.keyName).join(', ')}`));
+  console.log(chalk.gray(`  3. Inject variables at runtime`));
+}
 
-    try {
-      const deployArgs = ['deploy'];
+/**
+ * Print written files, failures with manual instructions, and deployment output
+ * @param {object} plan - Result of planDeploy()
+ * @param {{ applied: object[], deployed: object[] }} result - Result of applyDeploy()
+ */
+function printApplyResult(plan, { applied, deployed }) {
+  const { keys } = getEnvKeys(plan.cwd);
+
+  for (const item of applied) {
+    if (item.ok) {
+      item.files.forEach(file => console.log(chalk.gray(`  Wrote ${file}`)));
+    } else {
+      console.error(chalk.red(`\n${item.keyName}: ${item.error}`));
+      plan.target.printManualInstructions(item.keyName, keys[item.keyName], item.scope);
+    }
+  }
 
-      if (options.prod || envName === 'production') {
-        deployArgs.push('--prod');
+  for (const item of deployed) {
+    if (item.skipped) {
+      console.log(chalk.yellow(`\nSkipping ${item.scope} deployment because its key was not set`));
+    } else if (!item.ok) {
+      console.error(chalk.red(`\n${item.scope} deployment: ${item.error}`));
+    } else {
+      if (item.url) {
+        console.log(chalk.green(`\n🌐 Deployment URL: ${chalk.cyan(item.url)}`));
       }
 
-      const { stdout } = await vercel(deployArgs, { cwd });
-      spinner.succeed('Deployed to Vercel');
-
-      // Extract URL from output
-      const urlMatch = stdout.match(/https:\/\/[^\s]+\.vercel\.app/);
-      if (urlMatch) {
-        console.log(chalk.green(`\n🌐 Deployment URL: ${chalk.cyan(urlMatch[0])}`));
+      if (item.output) {
+        console.log(chalk.gray('\nView full output:'));
+        console.log(item.output);
       }
+    }
+  }
+}
 
-      console.log(chalk.gray('\nView full output:'));
-      console.log(stdout);
-    } catch (error) {
-      spinner.fail('Deployment failed');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+/**
+ * Print a deploy plan
+ * @param {object} plan - Result of planDeploy()
+ */
+function printPlan(plan) {
+  const { target } = plan;
+  const symbols = {
+    add: chalk.green('+ add'),
+    replace: chalk.yellow('~ replace'),
+    unchanged: chalk.gray('= unchanged'),
+    set: chalk.cyan('~ set')
+  };
+  const envWidth = Math.max(...plan.changes.map(c => c.envName.length));
+  const mapping = (change) => `${change.keyName} → ${change.scope}`;
+  const mappingWidth = Math.max(...plan.changes.map(c => mapping(c).length));
+
+  console.log(chalk.white(`\nPlan for ${target.label}:\n`));
+
+  for (const change of plan.changes) {
+    console.log(`  ${change.envName.padEnd(envWidth)}  ${chalk.gray(mapping(change).padEnd(mappingWidth))}  ${symbols[change.action]}`);
+    if (!change.encrypted) {
+      console.log(chalk.yellow(`  ${' '.repeat(envWidth)}  ⚠️  ${change.envFile} doesn't appear to be encrypted`));
     }
   }
 
-  // Summary
-  console.log(chalk.bold.green('\n✅ Environment deployed successfully!\n'));
-  console.log(chalk.white('Your app will now:'));
-  console.log(chalk.gray(`  1. Read encrypted values from ${envFile}`));
-  console.log(chalk.gray(`  2. Decrypt them using ${privateKeyName}`));
-  console.log(chalk.gray(`  3. Inject variables at runtime`));
+  if (plan.deployments.length > 0) {
+    console.log(chalk.white('\nDeployments:'));
+    plan.deployments.forEach(d => console.log(chalk.gray(`  ▸ ${d.scope}${d.envName === d.scope ? '' : ` (from ${d.envName})`}`)));
+  }
+
+  plan.skippedDeployments.forEach(d => {
+    console.log(chalk.gray(`\n${target.label} ${d.scope} deployments are triggered by git pushes`));
+  });
+
+  const count = (action) => plan.changes.filter(c => c.action === action).length;
+  const parts = [`${count('add')} to add`, `${count('replace')} to replace`, `${count('unchanged')} unchanged`];
+  if (count('set') > 0) {
+    parts.push(`${count('set')} to set`);
+  }
+  parts.push(`${plan.deployments.length} deployment${plan.deployments.length === 1 ? '' : 's'}`);
+  console.log(chalk.white(`\n${parts.join(', ')}`));
 }
@@ -0,0 +1,60 @@
+import chalk from 'chalk';
+import { diff } from '../api/diff.js';
+import { isJsonOutput, emitJson, exitWithError } from '../utils/output.js';
+
+/**
+ * Label one side of a diff
+ * @param {{ file: string, rev: string | null }} side - `left` or `right` from diff()
+ * @returns {string}
+ */
+function sideLabel({ file, rev }) {
+  return rev ? `${file} at ${rev}` : file;
+}
+
+/**
+ * Compare variables across two environments, or with an earlier git
+ * revision, and exit non-zero when they differ
+ * @param {string} env - Environment
+ * @param {string | undefined} other - Environment to compare with
+ * @param {object} options - Command options
+ * @param {string} [options.rev] - Git revision to compare with
+ * @param {'hash' | 'mask'} [options.show] - How changed values are shown
+ */
+export async function diffCommand(env, other, options = {}) {
+  let result;
+  try {
+    result = await diff({ ...options, env, other });
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  if (isJsonOutput()) {
+    emitJson(result);
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  const left = sideLabel(result.left);
+  const right = sideLabel(result.right);
+
+  console.log(chalk.bold(`\n🔀 ${left} → ${right}\n`));
+
+  result.onlyLeft.forEach(name => console.log(chalk.red(`  - ${name}`) + chalk.gray(`  only in ${left}`)));
+  result.onlyRight.forEach(name => console.log(chalk.green(`  + ${name}`) + chalk.gray(`  only in ${right}`)));
+  result.changed.forEach(({ variable, left: from, right: to }) => {
+    console.log(chalk.yellow(`  ~ ${variable}`) + chalk.gray(`  ${from} → ${to}`));
+  });
+  result.unknown.forEach(name => console.log(chalk.gray(`  ? ${name}  cannot be decrypted on one side`)));
+
+  if (result.ok) {
+    console.log(chalk.green(`  No differences (${result.unchanged} variable(s))\n`));
+    return;
+  }
+
+  console.log(chalk.gray(`\n  ${result.unchanged} variable(s) unchanged`));
+
+  if (result.unknown.length > 0) {
+    console.log(chalk.yellow('  Pull the missing private key with `dotenvx-deploy keys pull` to compare every value'));
+  }
+  console.log('');
+  process.exit(1);
+}
@@ -0,0 +1,90 @@
+import chalk from 'chalk';
+import { drift } from '../api/drift.js';
+import { isJsonOutput, emitJson, createSpinner, spinnerProgress, exitWithError } from '../utils/output.js';
+import { askVaultPassphrase } from '../utils/prompt.js';
+
+const STATE_COLORS = {
+  current: chalk.green,
+  stale: chalk.red,
+  missing: chalk.yellow,
+  unknown: chalk.gray
+};
+
+/**
+ * Format one copy of a key for the drift table
+ * @param {string} label - Where the copy is
+ * @param {{ state: string, fingerprint: string | null, error?: string | null }} side - Copy from drift()
+ * @returns {string}
+ */
+function formatSide(label, { state, fingerprint, error }) {
+  const parts = [`    ${label.padEnd(28)}`, STATE_COLORS[state](state.padEnd(fingerprint || error ? 8 : 0))];
+
+  if (fingerprint) {
+    parts.push(chalk.dim(fingerprint));
+  }
+  if (error) {
+    parts.push(chalk.gray(`(${error})`));
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Compare each private key in .env.keys, the secret store and the deploy
+ * targets, and exit non-zero when a copy is stale or missing
+ * @param {object} options - Command options
+ * @param {string[]} [options.env] - Only these environments
+ * @param {string} [options.provider] - Secret store provider name
+ * @param {string[]} [options.targets] - Deploy target names
+ */
+export async function driftCommand(options = {}) {
+  const spinner = createSpinner();
+
+  if (!isJsonOutput()) {
+    console.log(chalk.bold('\n🔎 dotenvx-deploy drift\n'));
+  }
+
+  let result;
+  try {
+    result = await drift({ ...options, onProgress: spinnerProgress(spinner), passphrase: askVaultPassphrase });
+  } catch (error) {
+    exitWithError(error, spinner);
+  }
+
+  if (isJsonOutput()) {
+    emitJson(result);
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  if (result.environments.length === 0) {
+    console.log(chalk.yellow('No encrypted env files found'));
+    return;
+  }
+
+  for (const env of result.environments) {
+    console.log(chalk.white(`\n  ${env.file}`) + chalk.dim(` ${env.keyName} ${env.fingerprint || ''}`));
+    console.log(formatSide('.env.keys', env.local));
+    console.log(formatSide(env.provider.name, env.provider));
+
+    env.provider.versions
+      .filter(version => version.version)
+      .forEach(version => console.log(chalk.dim(`      ${version.version}${version.matches ? ' (matches)' : ''} ${version.fingerprint || ''}`)));
+
+    env.targets.forEach(target => console.log(formatSide(`${target.name} (${target.scope})`, target)));
+
+    if (env.fixes.length > 0) {
+      console.log(chalk.white('  To fix:'));
+      env.fixes.forEach(fix => console.log(chalk.cyan(`    ${fix}`)));
+    }
+  }
+
+  if (result.ok) {
+    console.log(chalk.green('\n✓ Every copy of every key matches its env file\n'));
+    return;
+  }
+
+  console.log(chalk.white('\nProblems:'));
+  result.problems.forEach(problem => console.log(chalk.red(`  ✗ ${problem}`)));
+  console.log('');
+  process.exit(1);
+}
@@ -0,0 +1,288 @@
+import chalk from 'chalk';
+import { saveKeys, pullKeys, listKeys } from '../api/keys.js';
+import { NotFoundError, NotReadyError } from '../errors.js';
+import { createSpinner, spinnerProgress, exitWithError, isJsonOutput, emitJson } from '../utils/output.js';
+import { ask, askVaultPassphrase } from '../utils/prompt.js';
+
+/**
+ * Print setup instructions or the available keys for an error, then exit
+ * @param {Error} error - Error thrown by the library
+ * @param {object} spinner - ora spinner
+ * @param {string} commandName - Command name for the setup instructions
+ */
+function exitWithKeysError(error, spinner, commandName) {
+  if (error instanceof NotReadyError) {
+    spinner.fail(error.message);
+    error.provider.printSetupInstructions(error.status, commandName);
+    process.exit(1);
+  }
+
+  if (error instanceof NotFoundError && error.available) {
+    spinner.stop();
+    console.log(chalk.red(`\n❌ ${error.message}`));
+    console.log(chalk.gray('\nAvailable:'));
+    error.available.forEach(name => console.log(chalk.gray(`  - ${name}`)));
+    process.exit(1);
+  }
+
+  exitWithError(error, spinner);
+}
+
+/**
+ * Format an entry for display with version and note info
+ * @param {object} entry - Key entry
+ * @param {string} [label] - Text to show instead of the entry name
+ * @returns {string}
+ */
+function formatEntryDisplay(entry, label = entry.name) {
+  let display = label;
+
+  if (entry.note) {
+    display += chalk.gray(` - "${entry.note}"`);
+  }
+
+  const timestamp = entry.updated || entry.created;
+  if (timestamp) {
+    const date = new Date(timestamp).toLocaleDateString();
+    display += chalk.dim(` (${date})`);
+  }
+
+  if (entry.fingerprint) {
+    display += chalk.dim(` [${entry.fingerprint}]`);
+  }
+
+  return display;
+}
+
+/**
+ * Group entries by a property
+ * @param {object[]} entries - Key entries
+ * @param {string} property - Property to group by
+ * @returns {Record<string, object[]>}
+ */
+function groupBy(entries, property) {
+  const groups = {};
+  for (const entry of entries) {
+    const key = entry[property] || 'unknown';
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(entry);
+  }
+  return groups;
+}
+
+/**
+ * Emit a key listing as JSON, grouped by project, environment and version.
+ * Does nothing outside --json mode. Key values are never included.
+ * @param {object} result - Result of listKeys()
+ */
+function emitKeyList(result) {
+  if (!isJsonOutput()) {
+    return;
+  }
+
+  const projects = {};
+  for (const [project, projectEntries] of Object.entries(groupBy(result.entries, 'project'))) {
+    projects[project] = {};
+    for (const [env, envEntries] of Object.entries(groupBy(projectEntries, 'environment'))) {
+      projects[project][env] = envEntries.map(({ id, name, version, label, note, created, updated, fingerprint }) => ({
+        id, name, version, label, note, created, updated, fingerprint
+      }));
+    }
+  }
+
+  emitJson({
+    ok: true,
+    provider: result.provider,
+    location: result.location,
+    project: result.project,
+    count: result.entries.length,
+    projects
+  });
+}
+
+/**
+ * Save private keys to a secret store provider
+ * @param {object} options - Command options
+ */
+export async function keysSaveCommand(options) {
+  const spinner = createSpinner();
+  const commandName = options.commandName || `keys save --provider ${options.provider}`;
+
+  console.log(chalk.bold(`\n🔑 dotenvx-deploy ${commandName}\n`));
+
+  if (!options.project) {
+    console.log(chalk.yellow('⚠️  No project name found in package.json'));
+    console.log(chalk.gray('    Keys will be saved with generic names\n'));
+  }
+
+  let result;
+  try {
+    result = await saveKeys({ ...options, onProgress: spinnerProgress(spinner), passphrase: askVaultPassphrase });
+  } catch (error) {
+    exitWithKeysError(error, spinner, commandName);
+  }
+
+  const saved = result.saved.filter(item => item.ok);
+
+  // Summary
+  console.log(chalk.bold.green(`\n✅ ${saved.length} key(s) saved to ${result.label}${options.name ? ` as "${options.name}"` : ''}!\n`));
+  console.log(chalk.white('Keys are stored in:'));
+  console.log(chalk.gray(`  Location: ${result.location}`));
+  saved.forEach(item => console.log(chalk.gray(`  Item: ${item.name}`)));
+
+  if (options.note) {
+    console.log(chalk.gray(`  Note: ${options.note}`));
+  }
+
+  const pullCommand = commandName.replace(/save/, 'pull');
+  const listCommand = commandName.replace(/save/, 'list');
+  console.log(chalk.yellow(`\n💡 Tip: Use \`dotenvx-deploy ${pullCommand}\` to restore keys on another machine`));
+  console.log(chalk.yellow(`💡 Tip: Use \`dotenvx-deploy ${listCommand}\` to see all saved versions`));
+}
+
+/**
+ * Pull private keys from a secret store provider
+ * @param {object} options - Command options
+ */
+export async function keysPullCommand(options) {
+  const spinner = createSpinner();
+  const commandName = options.commandName || `keys pull --provider ${options.provider}`;
+  let versionHeader = false;
+
+  console.log(chalk.bold(`\n🔑 dotenvx-deploy ${commandName}\n`));
+
+  let result;
+  try {
+    result = await pullKeys({
+      ...options,
+      onProgress: spinnerProgress(spinner),
+      passphrase: askVaultPassphrase,
+
+      confirmAllProjects: async (entries) => {
+        console.log(chalk.yellow(`\nNo keys found for project "${options.project}"`));
+        console.log(chalk.gray('\nAvailable items:'));
+        entries.forEach(e => console.log(chalk.gray(`  - ${e.name}`)));
+
+        return ask({
+          type: 'confirm',
+          message: 'Show all items?',
+          default: true
+        }, { flag: 'the "project" setting in .dotenvx-deploy.json to pick the project' });
+      },
+
+      selectVersion: async (envName, entries) => {
+        if (!versionHeader) {
+          console.log(chalk.cyan('\nMultiple versions found. Select which to use:\n'));
+          versionHeader = true;
+        }
+
+        // Without a prompt, the unversioned key (saved without --name) is the default
+        return ask({
+          type: 'list',
+          message: `Select version for ${envName}:`,
+          choices: entries.map(e => ({
+            name: formatEntryDisplay(e),
+            value: e
+          }))
+        }, { answer: entries.find(e => !e.version && !e.label), flag: '--name <version>' });
+      },
+
+      selectEntries: (entries) => ask({
+        type: 'checkbox',
+        message: 'Select keys to pull:',
+        choices: entries.map(e => ({
+          name: formatEntryDisplay(e),
+          value: e,
+          checked: true
+        })),
+        validate: (input) => input.length > 0 || 'Select at least one key'
+      }, { answer: entries }),
+
+      confirmOverwrite: () => ask({
+        type: 'confirm',
+        message: '.env.keys already exists. Merge/overwrite?',
+        default: true
+      }, { answer: true, requireYes: true })
+    });
+  } catch (error) {
+    exitWithKeysError(error, spinner, commandName);
+  }
+
+  result.skipped.forEach(name => console.log(chalk.yellow(`  ⚠️  No key value found in ${name}`)));
+
+  // Summary
+  console.log(chalk.bold.green(`\n✅ Keys pulled from ${result.label}!\n`));
+  console.log(chalk.white('Restored keys:'));
+  result.keys.forEach(k => console.log(chalk.gray(`  - ${k.keyName}${k.note ? ` (${k.note})` : ''}`)));
+
+  console.log(chalk.yellow('\n⚠️  Remember: .env.keys should NOT be committed to version control'));
+}
+
+/**
+ * List all keys saved in a secret store provider
+ * @param {object} options - Command options
+ */
+export async function keysListCommand(options) {
+  const spinner = createSpinner();
+  const commandName = options.commandName || `keys list --provider ${options.provider}`;
+  const saveCommand = commandName.replace(/list/, 'save');
+  const pullCommand = commandName.replace(/list/, 'pull');
+
+  console.log(chalk.bold(`\n📋 dotenvx-deploy ${commandName}\n`));
+
+  let result;
+  try {
+    result = await listKeys({ ...options, onProgress: spinnerProgress(spinner), passphrase: askVaultPassphrase });
+  } catch (error) {
+    exitWithKeysError(error, spinner, commandName);
+  }
+
+  emitKeyList(result);
+
+  if (isJsonOutput()) {
+    return;
+  }
+
+  if (result.entries.length === 0) {
+    console.log(chalk.yellow('\nNo keys have been saved yet.'));
+    console.log(chalk.cyan(`  dotenvx-deploy ${saveCommand}`));
+    return;
+  }
+
+  if (result.filtered) {
+    console.log(chalk.gray(`\nShowing keys for project: ${result.project}`));
+    console.log(chalk.gray('Use --all to show all projects\n'));
+  }
+
+  // Display grouped by project, then environment
+  const projectGroups = groupBy(result.entries, 'project');
+
+  for (const [project, projectEntries] of Object.entries(projectGroups)) {
+    console.log(chalk.bold.cyan(`\n${project}/`));
+
+    for (const [env, envEntries] of Object.entries(groupBy(projectEntries, 'environment'))) {
+      if (envEntries.length === 1) {
+        // Single version for this environment
+        console.log(`  ${formatEntryDisplay(envEntries[0], chalk.white(env))}`);
+      } else {
+        // Multiple versions for this environment
+        console.log(`  ${chalk.white(env)} ${chalk.yellow(`[${envEntries.length} versions]`)}`);
+
+        for (const entry of envEntries) {
+          const version = [entry.version || entry.name.split('/').pop(), entry.label].filter(Boolean).join(' ');
+          const versionLabel = chalk.gray(version);
+          console.log(`    └─ ${formatEntryDisplay(entry, versionLabel)}`);
+        }
+      }
+    }
+  }
+
+  // Summary
+  console.log(chalk.gray(`\n${result.entries.length} key(s) in ${Object.keys(projectGroups).length} project(s)`));
+
+  console.log(chalk.yellow('\n💡 Commands:'));
+  console.log(chalk.gray(`  ${saveCommand} --name <version>   Save as a new version`));
+  console.log(chalk.gray(`  ${pullCommand} --name <version>   Pull a specific version`));
+}
@@ -1,154 +1,136 @@
 import chalk from 'chalk';
-import ora from 'ora';
-import inquirer from 'inquirer';
-import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
-import { join } from 'path';
-import { getExistingEnvironments, getEnvKeys } from '../utils/detect.js';
-import { dotenvx } from '../utils/exec.js';
+import { rotate } from '../api/rotate.js';
+import { NotFoundError, NotReadyError, RollbackError, PartialFailureError } from '../errors.js';
+import { createSpinner, spinnerProgress, exitWithError } from '../utils/output.js';
+import { ask, askVaultPassphrase } from '../utils/prompt.js';
 
 /**
- * Rotate encryption keys for an environment
- * @param {object} options - Command options
+ * Print one line per propagation step, with what it saved or deployed
+ * @param {object} propagation - `propagation` from the rotate() result
  */
-export async function rotateCommand(options) {
-  const cwd = process.cwd();
-  const spinner = ora();
+function printPropagation(propagation) {
+  console.log(chalk.bold(`\nPropagation (${propagation.version}):`));
 
-  console.log(chalk.bold('\n🔄 dotenvx-deploy rotate\n'));
-
-  // Get existing environments and keys
-  const environments = getExistingEnvironments(cwd);
-  const { exists: keysExist, keys } = getEnvKeys(cwd);
+  for (const step of propagation.steps) {
+    if (step.skipped) {
+      console.log(chalk.gray(`  - ${step.step} (skipped)`));
+      continue;
+    }
 
-  if (environments.length === 0) {
-    console.log(chalk.yellow('No encrypted environments found'));
-    console.log(chalk.gray('\nRun `dotenvx-deploy init` to set up encryption'));
-    process.exit(1);
-  }
+    if (!step.ok) {
+      console.log(chalk.red(`  ✖ ${step.step}: ${step.error}`));
+      [...(step.result?.applied || []), ...(step.result?.deployed || [])]
+        .filter(item => item.error)
+        .forEach(item => console.log(chalk.gray(`      ${item.scope}: ${item.error}`)));
+      continue;
+    }
 
-  // Determine which environments to rotate
-  let envsToRotate = [];
+    console.log(chalk.green(`  ✔ ${step.step}`));
 
-  if (options.all) {
-    envsToRotate = environments;
-  } else if (options.env) {
-    if (!environments.includes(options.env)) {
-      console.log(chalk.red(`Environment "${options.env}" not found`));
-      console.log(chalk.gray('\nAvailable environments:'));
-      environments.forEach(e => console.log(chalk.gray(`  - ${e}`)));
-      process.exit(1);
+    if (step.saved) {
+      step.saved.forEach(name => console.log(chalk.gray(`      saved ${name}`)));
+    }
+    if (step.applied) {
+      step.applied.forEach(a => console.log(chalk.gray(`      ${a.keyName} → ${a.scope}`)));
+    }
+    if (step.deployed) {
+      step.deployed.forEach(d => console.log(chalk.gray(`      deployed ${d.scope}${d.url ? ` ${d.url}` : ''}`)));
+    }
+    if (step.removed) {
+      console.log(chalk.gray(`      removed ${step.removed}`));
     }
-    envsToRotate = [options.env];
-  } else {
-    // Prompt user to select environments
-    const { selected } = await inquirer.prompt([{
-      type: 'checkbox',
-      name: 'selected',
-      message: 'Select environments to rotate:',
-      choices: environments.map(e => ({
-        name: e,
-        checked: e === 'production'
-      })),
-      validate: (input) => input.length > 0 || 'Select at least one environment'
-    }]);
-
-    envsToRotate = selected;
   }
+}
 
-  // Confirm rotation
-  console.log(chalk.yellow('\n⚠️  Key rotation will:'));
-  console.log(chalk.gray('  1. Generate new encryption keys'));
-  console.log(chalk.gray('  2. Re-encrypt all variables with new keys'));
-  console.log(chalk.gray('  3. Update .env.keys file'));
-  console.log(chalk.red('\n  Old keys will no longer work!'));
-
-  const { confirm } = await inquirer.prompt([{
-    type: 'confirm',
-    name: 'confirm',
-    message: `Rotate keys for ${envsToRotate.join(', ')}?`,
-    default: false
-  }]);
-
-  if (!confirm) {
-    console.log(chalk.gray('Aborted'));
-    process.exit(0);
-  }
+/**
+ * Rotate encryption keys for an environment
+ * @param {object} options - Command options
+ */
+export async function rotateCommand(options) {
+  const spinner = createSpinner();
 
-  // Backup current keys
-  if (keysExist) {
-    const keysPath = join(cwd, '.env.keys');
-    const backupPath = join(cwd, `.env.keys.backup.${Date.now()}`);
-    const keysContent = readFileSync(keysPath, 'utf-8');
-    writeFileSync(backupPath, keysContent);
-    console.log(chalk.gray(`\nBacked up current keys to ${backupPath}`));
-  }
+  console.log(chalk.bold('\n🔄 dotenvx-deploy rotate\n'));
 
-  // Rotate each environment
-  for (const env of envsToRotate) {
-    const envFile = `.env.${env}`;
-    const envPath = join(cwd, envFile);
-
-    console.log(chalk.cyan(`\nRotating ${envFile}...`));
-
-    // Step 1: Decrypt the file first
-    spinner.start('Decrypting current values...');
-    try {
-      // Get current decrypted values
-      const { stdout } = await dotenvx(['get', '-f', envFile, '--format', 'shell'], { cwd });
-
-      // Parse the decrypted values
-      const decryptedVars = {};
-      for (const line of stdout.split('\n')) {
-        const match = line.match(/^export\s+(\w+)="(.*)"/);
-        if (match && !match[1].startsWith('DOTENV_')) {
-          decryptedVars[match[1]] = match[2];
+  let result;
+  try {
+    result = await rotate({
+      ...options,
+      onProgress: spinnerProgress(spinner),
+      passphrase: askVaultPassphrase,
+
+      selectEnvironments: (environments) => ask({
+        type: 'checkbox',
+        message: 'Select environments to rotate:',
+        choices: environments.map(e => ({
+          name: e,
+          checked: e === 'production'
+        })),
+        validate: (input) => input.length > 0 || 'Select at least one environment'
+      }, { flag: '--env <environment> or --all' }),
+
+      confirm: (environments) => {
+        console.log(chalk.yellow('\n⚠️  Key rotation will:'));
+        console.log(chalk.gray('  1. Generate new encryption keys'));
+        console.log(chalk.gray('  2. Re-encrypt all variables with new keys'));
+        console.log(chalk.gray('  3. Update .env.keys file'));
+
+        if (options.propagate) {
+          console.log(chalk.gray('  4. Save the new keys as a version, push them to the deploy targets and redeploy'));
+          console.log(chalk.gray('  5. Make the new keys current in the secret store and delete the local backup'));
         }
-      }
-      spinner.succeed('Decrypted current values');
-
-      // Step 2: Remove old encryption
-      spinner.start('Removing old encryption...');
 
-      // Create a plain text version
-      const plainContent = Object.entries(decryptedVars)
-        .map(([key, value]) => `${key}="${value}"`)
-        .join('\n');
+        console.log(chalk.red('\n  Old keys will no longer work!'));
 
-      writeFileSync(envPath, `# ${env} environment\n${plainContent}\n`);
-      spinner.succeed('Removed old encryption');
-
-      // Step 3: Remove old key from .env.keys
-      const keysPath = join(cwd, '.env.keys');
-      if (existsSync(keysPath)) {
-        let keysContent = readFileSync(keysPath, 'utf-8');
-        const privateKeyName = `DOTENV_PRIVATE_KEY_${env.toUpperCase()}`;
-
-        // Remove the old key line
-        keysContent = keysContent
-          .split('\n')
-          .filter(line => !line.includes(privateKeyName))
-          .join('\n');
+        return ask({
+          type: 'confirm',
+          message: `Rotate keys for ${environments.join(', ')}?`,
+          default: false
+        }, { answer: true, requireYes: true });
+      }
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError && error.available) {
+      console.log(chalk.red(error.message));
+      console.log(chalk.gray('\nAvailable environments:'));
+      error.available.forEach(e => console.log(chalk.gray(`  - ${e}`)));
+      process.exit(1);
+    }
 
-        writeFileSync(keysPath, keysContent);
+    if (error instanceof NotReadyError) {
+      spinner.fail(error.message);
+      if (error.provider) {
+        error.provider.printSetupInstructions(error.status, 'rotate --propagate');
+      } else {
+        error.target.printSetupInstructions(error.status);
       }
+      console.log(chalk.gray('\nNothing was rotated'));
+      process.exit(1);
+    }
+
+    if (error instanceof PartialFailureError && error.result.propagation) {
+      spinner.stop();
+      printPropagation(error.result.propagation);
+      console.log(chalk.gray('\nThe env files and .env.keys hold the new keys. Fix the failed step, then run `dotenvx-deploy deploy` and `dotenvx-deploy keys save`'));
+    }
 
-      // Step 4: Re-encrypt with new keys
-      spinner.start('Generating new encryption keys...');
-      await dotenvx(['encrypt', '-f', envFile], { cwd });
-      spinner.succeed('Generated new encryption keys');
+    if (error instanceof RollbackError) {
+      error.result.results.filter(r => r.error).forEach(r => console.error(chalk.red(`${r.envName}: ${r.error}`)));
+      console.log(chalk.gray('\nEvery env file and .env.keys were left as they were'));
+    }
 
-      console.log(chalk.green(`✓ Rotated keys for ${env}`));
+    exitWithError(error, spinner);
+  }
 
-    } catch (error) {
-      spinner.fail(`Failed to rotate ${env}`);
-      console.error(chalk.red(error.message));
+  if (result.propagation) {
+    printPropagation(result.propagation);
+    console.log(chalk.bold.green('\n✅ Key rotation complete!\n'));
+    console.log(chalk.white('Next step:'));
+    console.log(chalk.gray('  Commit updated .env.* files'));
+    return;
+  }
 
-      // Try to provide recovery instructions
-      console.log(chalk.yellow('\nRecovery:'));
-      console.log(chalk.gray('  1. Check if .env.keys.backup.* exists'));
-      console.log(chalk.gray('  2. Restore from backup if needed'));
-      continue;
-    }
+  if (result.backupPaths.length > 0) {
+    console.log(chalk.gray(`\nBacked up previous keys to ${result.backupPaths.join(', ')}`));
   }
 
   // Summary
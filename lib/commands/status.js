@@ -1,29 +1,40 @@
 import chalk from 'chalk';
-import ora from 'ora';
-import { existsSync, readFileSync } from 'fs';
-import { join } from 'path';
-import {
-  detectProjectType,
-  getProjectName,
-  isDotenvxInstalled,
-  isVercelCliAvailable,
-  checkBitwardenCli,
-  getExistingEnvironments,
-  getEnvKeys
-} from '../utils/detect.js';
+import { status as getStatus } from '../api/status.js';
+import { isJsonOutput, emitJson, createSpinner, spinnerProgress, exitWithError } from '../utils/output.js';
 
 /**
  * Show current encryption and deployment status
+ * @param {object} options - Command options
+ * @param {object} [options.config] - Result of resolveConfig()
  */
-export async function statusCommand() {
-  const cwd = process.cwd();
-  const spinner = ora();
+export async function statusCommand(options = {}) {
+  const spinner = createSpinner();
 
-  console.log(chalk.bold('\n📊 dotenvx-deploy status\n'));
+  if (!isJsonOutput()) {
+    console.log(chalk.bold('\n📊 dotenvx-deploy status\n'));
+  }
+
+  let status;
+  try {
+    status = await getStatus({ ...options, onProgress: spinnerProgress(spinner) });
+  } catch (error) {
+    exitWithError(error, spinner);
+  }
+
+  if (isJsonOutput()) {
+    emitJson(status);
+    process.exit(status.ok ? 0 : 1);
+  }
+
+  printStatus(status);
+}
 
-  // Project info
-  const project = detectProjectType(cwd);
-  const projectName = getProjectName(cwd);
+/**
+ * Print a status document as text
+ * @param {object} status - Result of status()
+ */
+function printStatus(status) {
+  const { project, config, environments, keys, tools, security, recommendations } = status;
 
   console.log(chalk.white('Project:'));
   if (project.type !== 'unknown') {
@@ -32,83 +43,63 @@ export async function statusCommand() {
     console.log(chalk.yellow('  Type: Unknown (not a Next.js or Vite project)'));
   }
 
-  if (projectName) {
-    console.log(chalk.gray(`  Name: ${chalk.cyan(projectName)}`));
+  if (project.name) {
+    console.log(chalk.gray(`  Name: ${chalk.cyan(project.name)}`));
   }
 
-  // dotenvx installation
-  const dotenvxInstalled = isDotenvxInstalled(cwd);
-  console.log(chalk.gray(`  dotenvx: ${dotenvxInstalled ? chalk.green('✓ installed') : chalk.yellow('✗ not installed')}`));
+  console.log(chalk.gray(`  dotenvx: ${project.dotenvxInstalled ? chalk.green('✓ installed') : chalk.yellow('✗ not installed')}`));
+
+  // Resolved configuration
+  console.log(chalk.white(`\nConfiguration${config.file ? ` (${config.file})` : ''}:`));
+  printResolvedConfig(config);
 
   // Environment files
   console.log(chalk.white('\nEnvironments:'));
-  const environments = getExistingEnvironments(cwd);
 
   if (environments.length === 0) {
     console.log(chalk.yellow('  No .env files found'));
   } else {
     for (const env of environments) {
-      const envFile = `.env.${env}`;
-      const envPath = join(cwd, envFile);
-      const content = readFileSync(envPath, 'utf-8');
-
-      const hasPublicKey = content.includes('DOTENV_PUBLIC_KEY');
-      const hasEncrypted = content.includes('encrypted:');
-      const isEncrypted = hasPublicKey || hasEncrypted;
-
-      // Count variables (excluding DOTENV_* keys)
-      const varCount = content.split('\n')
-        .filter(line => line.match(/^\w+=/))
-        .filter(line => !line.startsWith('DOTENV_'))
-        .length;
-
-      const status = isEncrypted
+      const state = env.encrypted
         ? chalk.green('✓ encrypted')
         : chalk.yellow('✗ not encrypted');
 
-      console.log(chalk.gray(`  ${envFile}: ${status} (${varCount} variables)`));
+      const local = env.local ? chalk.gray(', local override') : '';
+      console.log(chalk.gray(`  ${env.file}: ${state} (${env.variables} variables${local})`));
     }
   }
 
   // Keys
   console.log(chalk.white('\nEncryption Keys:'));
-  const { exists: keysExist, keys } = getEnvKeys(cwd);
 
-  if (!keysExist) {
+  if (!keys.exists) {
     console.log(chalk.yellow('  No .env.keys file found'));
   } else {
-    const keyCount = Object.keys(keys).length;
-    console.log(chalk.gray(`  .env.keys: ${chalk.green('✓ exists')} (${keyCount} private key(s))`));
+    console.log(chalk.gray(`  .env.keys: ${chalk.green('✓ exists')} (${keys.names.length} private key(s))`));
+  }
 
-    // Check if keys match environments
-    for (const env of environments) {
-      const keyName = `DOTENV_PRIVATE_KEY_${env.toUpperCase()}`;
-      const hasKey = !!keys[keyName];
+  environments.filter(env => env.missingKey).forEach(env => {
+    console.log(chalk.yellow(`    ⚠️  Missing key for ${env.id} environment (${env.keysFile})`));
+  });
 
-      if (!hasKey) {
-        console.log(chalk.yellow(`    ⚠️  Missing key for ${env} environment`));
-      }
-    }
+  for (const env of environments.filter(e => e.keyAge)) {
+    const fingerprint = env.fingerprint ? chalk.dim(` [${env.fingerprint}]`) : '';
+    console.log(chalk.gray(`  ${env.id}: ${formatKeyAge(env.keyAge)}`) + fingerprint);
   }
 
   // External tools
   console.log(chalk.white('\nExternal Tools:'));
+  console.log(chalk.gray(`  Vercel CLI: ${tools.vercelCli ? chalk.green('✓ available') : chalk.yellow('✗ not available')}`));
 
-  // Vercel CLI
-  spinner.start('Checking Vercel CLI...');
-  const vercelAvailable = await isVercelCliAvailable();
-  spinner.stop();
-  console.log(chalk.gray(`  Vercel CLI: ${vercelAvailable ? chalk.green('✓ available') : chalk.yellow('✗ not available')}`));
-
-  // Bitwarden CLI
-  spinner.start('Checking Bitwarden CLI...');
-  const bwStatus = await checkBitwardenCli();
-  spinner.stop();
+  const vercelApi = !tools.vercelApi.token
+    ? chalk.yellow('✗ VERCEL_TOKEN not set')
+    : tools.vercelApi.projectId ? chalk.green(`✓ linked to ${tools.vercelApi.projectId}`) : chalk.yellow('✗ project not linked');
+  console.log(chalk.gray(`  Vercel API: ${vercelApi}`));
 
-  if (!bwStatus.available) {
+  if (!tools.bitwarden.available) {
     console.log(chalk.gray(`  Bitwarden CLI: ${chalk.yellow('✗ not installed')}`));
-  } else if (!bwStatus.loggedIn) {
-    console.log(chalk.gray(`  Bitwarden CLI: ${chalk.yellow(`✓ installed (${bwStatus.status})`)}`));
+  } else if (!tools.bitwarden.loggedIn) {
+    console.log(chalk.gray(`  Bitwarden CLI: ${chalk.yellow(`✓ installed (${tools.bitwarden.status})`)}`));
   } else {
     console.log(chalk.gray(`  Bitwarden CLI: ${chalk.green('✓ unlocked')}`));
   }
@@ -116,57 +107,91 @@ export async function statusCommand() {
   // Git ignore status
   console.log(chalk.white('\nSecurity:'));
 
-  const gitignorePath = join(cwd, '.gitignore');
-  if (existsSync(gitignorePath)) {
-    const gitignore = readFileSync(gitignorePath, 'utf-8');
-    const ignoresKeys = gitignore.includes('.env.keys');
-    console.log(chalk.gray(`  .gitignore protects .env.keys: ${ignoresKeys ? chalk.green('✓ yes') : chalk.red('✗ NO - ADD IT!')}`));
+  const protects = (ok) => ok ? chalk.green('✓ yes') : chalk.red('✗ NO - ADD IT!');
+
+  if (security.gitignore !== null) {
+    console.log(chalk.gray(`  .gitignore protects .env.keys: ${protects(security.gitignore)}`));
   } else {
     console.log(chalk.yellow('  No .gitignore file found'));
   }
 
-  const vercelignorePath = join(cwd, '.vercelignore');
-  if (existsSync(vercelignorePath)) {
-    const vercelignore = readFileSync(vercelignorePath, 'utf-8');
-    const ignoresKeys = vercelignore.includes('.env.keys');
-    console.log(chalk.gray(`  .vercelignore protects .env.keys: ${ignoresKeys ? chalk.green('✓ yes') : chalk.red('✗ NO - ADD IT!')}`));
+  if (security.vercelignore !== null) {
+    console.log(chalk.gray(`  .vercelignore protects .env.keys: ${protects(security.vercelignore)}`));
   } else {
     console.log(chalk.yellow('  No .vercelignore file found'));
   }
 
+  if (security.cloudflare) {
+    const { protected: isProtected, fix } = security.cloudflare;
+    console.log(chalk.gray(`  Cloudflare upload excludes .env.keys: ${isProtected ? chalk.green('✓ yes') : chalk.red(`✗ NO - ${fix}`)}`));
+  }
+
   // Recommendations
   console.log(chalk.white('\nRecommendations:'));
 
-  const recommendations = [];
-
-  if (!dotenvxInstalled) {
-    recommendations.push('Run `dotenvx-deploy init` to set up encryption');
+  if (recommendations.length === 0) {
+    console.log(chalk.green('  ✓ Everything looks good!'));
+  } else {
+    recommendations.forEach(r => console.log(chalk.yellow(`  • ${r}`)));
   }
 
-  if (environments.length > 0) {
-    const unencrypted = environments.filter(env => {
-      const content = readFileSync(join(cwd, `.env.${env}`), 'utf-8');
-      return !content.includes('encrypted:') && !content.includes('DOTENV_PUBLIC_KEY');
-    });
+  console.log('');
+}
 
-    if (unencrypted.length > 0) {
-      recommendations.push(`Encrypt: ${unencrypted.map(e => `.env.${e}`).join(', ')}`);
+/**
+ * Print each configuration value with where it came from
+ * @param {{ values: object, sources: Record<string, string> }} config - Resolved configuration
+ */
+function printResolvedConfig({ values, sources }) {
+  const format = (key, value) => {
+    if (key === 'environments' && value === null) {
+      return chalk.gray('(all env files)');
     }
-  }
+    if (value === null || value === undefined) {
+      return chalk.gray('(not set)');
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.join(', ') : chalk.gray('(none)');
+    }
+    if (key === 'maxKeyAge') {
+      const pairs = Object.entries(value).map(([env, days]) => `${env}: ${days} days`);
+      return pairs.length > 0 ? pairs.join(', ') : chalk.gray('(no limit)');
+    }
+    if (key === 'scopes') {
+      const pairs = Object.entries(value).flatMap(([target, map]) =>
+        Object.entries(map).map(([env, scope]) => `${target}:${env}→${scope}`)
+      );
+      return pairs.length > 0 ? pairs.join(', ') : chalk.gray('(target defaults)');
+    }
+    if (typeof value === 'object') {
+      return Object.values(value).join(', ');
+    }
+    return value;
+  };
 
-  if (keysExist && !bwStatus.available) {
-    recommendations.push('Install Bitwarden CLI to backup your keys');
+  const width = Math.max(...Object.keys(values).map(k => k.length));
+  for (const [key, value] of Object.entries(values)) {
+    const source = sources[key] === 'default' ? chalk.gray('default') : chalk.green(sources[key]);
+    console.log(chalk.gray(`  ${key.padEnd(width)}  ${chalk.cyan(format(key, value))}  ${source}`));
   }
+}
 
-  if (keysExist && bwStatus.available && bwStatus.loggedIn) {
-    recommendations.push('Run `dotenvx-deploy bw-save` to backup keys to Bitwarden');
+/**
+ * Describe a key's age and how it compares with the policy
+ * @param {object} keyAge - `keyAge` of a status environment
+ * @returns {string}
+ */
+export function formatKeyAge({ ageDays, maxAgeDays, overdue, rotated }) {
+  if (ageDays === null) {
+    return chalk.yellow('key age unknown (not created or rotated by dotenvx-deploy)');
   }
 
-  if (recommendations.length === 0) {
-    console.log(chalk.green('  ✓ Everything looks good!'));
-  } else {
-    recommendations.forEach(r => console.log(chalk.yellow(`  • ${r}`)));
-  }
+  const age = `key ${ageDays} day(s) old${rotated ? '' : ', never rotated'}`;
 
-  console.log('');
+  if (maxAgeDays === null) {
+    return age;
+  }
+  return overdue
+    ? chalk.red(`⚠️  ${age}, max ${maxAgeDays}: rotate it`)
+    : chalk.green(`✓ ${age}, max ${maxAgeDays}`);
 }
@@ -0,0 +1,42 @@
+import chalk from 'chalk';
+import { validate } from '../api/validate.js';
+import { isJsonOutput, emitJson, createSpinner, spinnerProgress, exitWithError } from '../utils/output.js';
+
+/**
+ * Check every env file against .env.schema, and exit non-zero on any violation
+ * @param {object} options - Command options
+ * @param {string[]} [options.env] - Only these environments
+ */
+export async function validateCommand(options = {}) {
+  const spinner = createSpinner();
+
+  if (!isJsonOutput()) {
+    console.log(chalk.bold('\n📋 dotenvx-deploy validate\n'));
+  }
+
+  let result;
+  try {
+    result = await validate({ ...options, onProgress: spinnerProgress(spinner) });
+  } catch (error) {
+    exitWithError(error, spinner);
+  }
+
+  if (isJsonOutput()) {
+    emitJson(result);
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  if (result.environments.length === 0) {
+    console.log(chalk.yellow('No env files found'));
+  }
+
+  if (result.ok) {
+    console.log(chalk.green('\n✓ Every env file matches its schema\n'));
+    return;
+  }
+
+  console.log(chalk.white('\nProblems:'));
+  result.problems.forEach(problem => console.log(chalk.red(`  ✗ ${problem}`)));
+  console.log('');
+  process.exit(1);
+}
@@ -0,0 +1,111 @@
+import chalk from 'chalk';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { createLocalVaultProvider } from '../providers/local-vault.js';
+import { decryptVault, readVaultFile, writeVaultFile } from '../utils/vault-file.js';
+import { createSpinner } from '../utils/output.js';
+import { ask, promptPassphrase, askVaultPassphrase } from '../utils/prompt.js';
+
+/**
+ * Export the encrypted key vault to another location (e.g. a USB stick)
+ * @param {string} destination - Target file path
+ * @param {object} options - Command options
+ */
+export async function vaultExportCommand(destination, options) {
+  const spinner = createSpinner();
+  const provider = createLocalVaultProvider(options);
+  const targetPath = resolve(destination);
+
+  console.log(chalk.bold('\n📦 dotenvx-deploy vault export\n'));
+
+  const document = readVaultFile(provider.path);
+
+  if (!document) {
+    console.log(chalk.red(`❌ No vault found at ${provider.path}`));
+    console.log(chalk.yellow('\nSave keys first:'));
+    console.log(chalk.cyan('  dotenvx-deploy vault save'));
+    process.exit(1);
+  }
+
+  if (existsSync(targetPath)) {
+    const overwrite = await ask({
+      type: 'confirm',
+      message: `${targetPath} already exists. Overwrite?`,
+      default: false
+    }, { answer: true, requireYes: true });
+
+    if (!overwrite) {
+      console.log(chalk.gray('Aborted'));
+      process.exit(0);
+    }
+  }
+
+  spinner.start(`Exporting to ${targetPath}...`);
+  try {
+    writeVaultFile(targetPath, document);
+    spinner.succeed(`Exported vault to ${targetPath}`);
+  } catch (error) {
+    spinner.fail('Failed to export vault');
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  console.log(chalk.gray('\nThe exported file stays encrypted with your vault passphrase'));
+  console.log(chalk.yellow('💡 Tip: Use `dotenvx-deploy vault import <file>` to restore it on another machine'));
+}
+
+/**
+ * Import keys from an exported vault file, merging them into the local vault
+ * @param {string} source - Exported vault file path
+ * @param {object} options - Command options
+ */
+export async function vaultImportCommand(source, options) {
+  const spinner = createSpinner();
+  const provider = createLocalVaultProvider({ ...options, passphrase: askVaultPassphrase });
+  const sourcePath = resolve(source);
+
+  console.log(chalk.bold('\n📦 dotenvx-deploy vault import\n'));
+
+  let document;
+  let incoming;
+
+  try {
+    document = readVaultFile(sourcePath);
+
+    if (!document) {
+      console.log(chalk.red(`❌ ${sourcePath} not found`));
+      process.exit(1);
+    }
+
+    const passphrase = await promptPassphrase(`Passphrase for ${sourcePath}:`);
+    incoming = decryptVault(document, passphrase).entries || [];
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.gray(`Found ${incoming.length} key(s) in ${sourcePath}`));
+
+  // No local vault yet: take the file as-is, passphrase included
+  if (!readVaultFile(provider.path)) {
+    writeVaultFile(provider.path, document);
+    console.log(chalk.bold.green(`\n✅ Created ${provider.path} from import\n`));
+    return;
+  }
+
+  try {
+    await provider.unlock();
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  spinner.start('Merging keys...');
+  const { added, updated, skipped } = await provider.merge(incoming);
+  spinner.succeed('Merged keys into local vault');
+
+  console.log(chalk.bold.green('\n✅ Import complete!\n'));
+  console.log(chalk.gray(`  Added:   ${added}`));
+  console.log(chalk.gray(`  Updated: ${updated}`));
+  console.log(chalk.gray(`  Skipped: ${skipped} (local copy is newer or the same)`));
+}
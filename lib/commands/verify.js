@@ -0,0 +1,47 @@
+import chalk from 'chalk';
+import { verify } from '../api/verify.js';
+import { isJsonOutput, emitJson, createSpinner, spinnerProgress, exitWithError } from '../utils/output.js';
+
+/**
+ * Verify that the private keys open every encrypted env file, and exit non-zero when they do not
+ * @param {object} options - Command options
+ * @param {string[]} [options.env] - Only these environments
+ */
+export async function verifyCommand(options = {}) {
+  const spinner = createSpinner();
+
+  if (!isJsonOutput()) {
+    console.log(chalk.bold('\n🔑 dotenvx-deploy verify\n'));
+  }
+
+  let result;
+  try {
+    result = await verify({ ...options, onProgress: spinnerProgress(spinner) });
+  } catch (error) {
+    exitWithError(error, spinner);
+  }
+
+  if (isJsonOutput()) {
+    emitJson(result);
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  if (result.environments.length === 0) {
+    console.log(chalk.yellow('No encrypted env files found'));
+  }
+
+  if (result.orphanKeys.length > 0) {
+    console.log(chalk.white('\nKeys without an env file:'));
+    result.orphanKeys.forEach(({ keyName, keysFile }) => console.log(chalk.yellow(`  ${keyName} (${keysFile})`)));
+  }
+
+  if (result.ok) {
+    console.log(chalk.green('\n✓ Every private key matches its env file and decrypts every value\n'));
+    return;
+  }
+
+  console.log(chalk.white('\nProblems:'));
+  result.problems.forEach(problem => console.log(chalk.red(`  ✗ ${problem}`)));
+  console.log('');
+  process.exit(1);
+}
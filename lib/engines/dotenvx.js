@@ -0,0 +1,87 @@
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { dotenvx } from '../utils/exec.js';
+import { readEnvFile, formatEnvValue } from '../utils/dotenv.js';
+import { describeEnvFile } from '../utils/environments.js';
+import { createNativeEngine } from './native.js';
+
+/**
+ * Read the public key from an encrypted env file
+ * @param {string} envPath - Env file path
+ * @returns {string | null}
+ */
+function readPublicKey(envPath) {
+  const doc = readEnvFile(envPath);
+  const keyName = doc?.keys().find(key => key.startsWith('DOTENV_PUBLIC_KEY'));
+  return keyName ? doc.get(keyName) : null;
+}
+
+/**
+ * Create the engine that runs the dotenvx CLI through npx for every operation
+ * but `set`
+ * @param {object} options - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {AbortSignal} [options.signal] - Cancels the running dotenvx command
+ * @returns {object} Engine
+ */
+export function createDotenvxEngine(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const run = (args) => dotenvx(args, { cwd, signal: options.signal });
+  // The .env.keys next to the env file, which dotenvx does not always pick by itself
+  const keysFileFor = (envFile) => describeEnvFile(cwd, envFile).keysFile;
+  const native = createNativeEngine(options);
+
+  return {
+    name: 'dotenvx',
+    label: 'dotenvx CLI',
+
+    async encrypt(envFile) {
+      await run(['encrypt', '-f', envFile, '-fk', keysFileFor(envFile)]);
+      return { publicKey: readPublicKey(join(cwd, envFile)) };
+    },
+
+    // `dotenvx set` only takes the value as an argument, which other users
+    // can read from the process list, so the value is encrypted in process
+    async set(envFile, key, value) {
+      return native.set(envFile, key, value);
+    },
+
+    async decrypt(envFile) {
+      const { stdout } = await run(['get', '-f', envFile, '-fk', keysFileFor(envFile)]);
+      return JSON.parse(stdout);
+    },
+
+    /**
+     * dotenvx only encrypts files, so the values go to a private temporary
+     * directory that is removed as soon as dotenvx is done. The project
+     * itself never holds plaintext. The temporary file keeps the env file's
+     * name, so dotenvx picks the same key names (DOTENV_PRIVATE_KEY for .env).
+     */
+    async encryptWithNewKey(envFile, values) {
+      const { file, keyName, publicKeyName } = describeEnvFile(cwd, envFile);
+      const dir = mkdtempSync(join(tmpdir(), 'dotenvx-deploy-'));
+      const envPath = join(dir, basename(file));
+      const keysPath = join(dir, '.env.keys');
+
+      try {
+        const content = Object.entries(values).map(([key, value]) => `${key}=${formatEnvValue(value)}\n`).join('');
+        writeFileSync(envPath, content, { mode: 0o600 });
+
+        await run(['encrypt', '-f', envPath, '-fk', keysPath]);
+
+        const doc = readEnvFile(envPath);
+        const privateKey = readEnvFile(keysPath)?.get(keyName);
+        const publicKey = doc.get(publicKeyName);
+
+        if (!privateKey || !publicKey) {
+          throw new Error(`dotenvx did not generate a key pair for ${file}`);
+        }
+
+        return { encrypted: doc.toObject(), publicKey, privateKey };
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
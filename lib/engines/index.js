@@ -0,0 +1,51 @@
+import { createNativeEngine } from './native.js';
+import { createDotenvxEngine } from './dotenvx.js';
+import { ConfigError } from '../errors.js';
+
+/**
+ * Encryption engines, keyed by the `engine` setting
+ *
+ * Both read and write dotenvx's format, so files and keys from one work with
+ * the other. An engine is an object with:
+ *   name, label                          - identification for messages
+ *   encrypt(envFile)                     - { publicKey } encrypt every plain value, creating
+ *                                          a key pair when the file has none
+ *   set(envFile, key, value)             - { publicKey } set one encrypted value
+ *   decrypt(envFile)                     - every value by name, decrypted
+ *   encryptWithNewKey(envFile, values)   - { encrypted, publicKey, privateKey } encrypt values
+ *                                          with a new key pair, without touching any file
+ *
+ * `envFile` is relative to the engine's `cwd`; .env.keys is read from and
+ * written to the env file's directory.
+ */
+const ENGINES = {
+  native: createNativeEngine,
+  dotenvx: createDotenvxEngine
+};
+
+/**
+ * Names of all registered engines
+ * @returns {string[]}
+ */
+export function listEngines() {
+  return Object.keys(ENGINES);
+}
+
+/**
+ * Create an engine by name
+ * @param {string} name - Engine name
+ * @param {object} options - Options
+ * @param {string} [options.cwd] - Project directory
+ * @param {AbortSignal} [options.signal] - Cancels running subprocesses (dotenvx engine)
+ * @returns {object} Engine
+ * @throws {ConfigError} For unknown engine names
+ */
+export function getEngine(name = 'native', options = {}) {
+  const factory = ENGINES[name];
+
+  if (!factory) {
+    throw new ConfigError(`Unknown engine "${name}". Available: ${listEngines().join(', ')}`);
+  }
+
+  return factory(options);
+}
@@ -0,0 +1,146 @@
+import { existsSync, readFileSync } from 'fs';
+import { basename, join } from 'path';
+import { parseEnv, readEnvFile } from '../utils/dotenv.js';
+import { mergeEnvKeys, privateKeysFor } from '../utils/keys.js';
+import { describeEnvFile } from '../utils/environments.js';
+import { getEnvKeys } from '../utils/detect.js';
+import { generateKeyPair, publicKeyFromPrivate, encryptValue, decryptValue, isEncryptedValue } from '../utils/ecies.js';
+import { createFileTransaction } from '../utils/transaction.js';
+import { NotFoundError } from '../errors.js';
+
+/**
+ * Block dotenvx puts above the public key of an encrypted env file
+ */
+const PUBLIC_KEY_HEADER = `#/-------------------[DOTENV_PUBLIC_KEY]--------------------/
+#/            public-key encryption for .env files          /
+#/       [how it works](https://dotenvx.com/encryption)     /
+#/----------------------------------------------------------/
+`;
+
+/**
+ * Create the engine that encrypts and decrypts in process
+ *
+ * Values are encrypted with ECIES over secp256k1 in dotenvx's `encrypted:`
+ * format, and files get the same public key header, so dotenvx reads them
+ * and this engine reads what dotenvx writes. Private keys come from the
+ * environment (`DOTENV_PRIVATE_KEY_<ENV>`, comma-separated for several) or
+ * the .env.keys next to the env file, as with dotenvx. Unlike `dotenvx get`, decrypted values are
+ * returned as stored, without `${VAR}` expansion.
+ * @param {object} options - Options
+ * @param {string} [options.cwd] - Project directory
+ * @returns {object} Engine
+ */
+export function createNativeEngine(options = {}) {
+  const cwd = options.cwd || process.cwd();
+
+  /**
+   * Parse an env file and make sure it has a public key. A file without
+   * one gets dotenvx's header, with the public key of the environment's
+   * private key, or of a new key pair that is staged into .env.keys.
+   */
+  const openWithKey = (envFile, transaction) => {
+    const env = describeEnvFile(cwd, envFile);
+    const { path: envPath, keyName, publicKeyName } = env;
+    const content = existsSync(envPath) ? readFileSync(envPath, 'utf-8') : '';
+    const doc = parseEnv(content);
+
+    if (doc.get(publicKeyName)) {
+      return { envPath, doc, publicKey: doc.get(publicKeyName) };
+    }
+
+    const { privateKeys: [privateKey] } = privateKeysFor(env, getEnvKeys(join(cwd, env.dir)).keys);
+    let publicKey;
+
+    if (privateKey) {
+      publicKey = publicKeyFromPrivate(privateKey);
+    } else {
+      const pair = generateKeyPair();
+      publicKey = pair.publicKey;
+      const keysPath = join(cwd, env.keysFile);
+      transaction.stage(keysPath, mergeEnvKeys(transaction.read(keysPath), { [keyName]: pair.privateKey }, { [keyName]: basename(envFile) }));
+    }
+
+    const header = `${PUBLIC_KEY_HEADER}${publicKeyName}="${publicKey}"\n\n# ${basename(envFile)}\n`;
+    return { envPath, doc: parseEnv(header + content), publicKey };
+  };
+
+  return {
+    name: 'native',
+    label: 'built-in engine',
+
+    async encrypt(envFile) {
+      const transaction = createFileTransaction();
+      const { envPath, doc, publicKey } = openWithKey(envFile, transaction);
+
+      // Duplicate keys all take the last value, which is the one dotenv uses
+      for (const key of doc.keys()) {
+        const value = doc.get(key);
+        if (!key.startsWith('DOTENV_PUBLIC_KEY') && !isEncryptedValue(value)) {
+          doc.set(key, encryptValue(publicKey, value));
+        }
+      }
+
+      transaction.stage(envPath, doc.toString());
+      transaction.commit();
+      return { publicKey };
+    },
+
+    async set(envFile, key, value) {
+      const transaction = createFileTransaction();
+      const { envPath, doc, publicKey } = openWithKey(envFile, transaction);
+
+      doc.set(key, encryptValue(publicKey, value));
+      transaction.stage(envPath, doc.toString());
+      transaction.commit();
+      return { publicKey };
+    },
+
+    async decrypt(envFile) {
+      const env = describeEnvFile(cwd, envFile);
+      const doc = readEnvFile(env.path);
+
+      if (!doc) {
+        throw new NotFoundError(`${envFile} not found`);
+      }
+
+      const { keyName } = env;
+      const { privateKeys } = privateKeysFor(env, getEnvKeys(join(cwd, env.dir)).keys);
+      const values = doc.toObject();
+
+      for (const [key, value] of Object.entries(values)) {
+        if (!isEncryptedValue(value)) {
+          continue;
+        }
+
+        if (privateKeys.length === 0) {
+          throw new NotFoundError(`No private key for ${envFile}`, {
+            hint: `Set ${keyName}, or pull it into ${env.keysFile} with \`dotenvx-deploy keys pull\``
+          });
+        }
+
+        const decrypted = privateKeys.map(privateKey => {
+          try {
+            return decryptValue(privateKey, value);
+          } catch {
+            return null;
+          }
+        }).find(result => result !== null);
+
+        if (decrypted === undefined) {
+          throw new Error(`Could not decrypt ${key} in ${envFile}: ${keyName} does not match`);
+        }
+        values[key] = decrypted;
+      }
+
+      return values;
+    },
+
+    async encryptWithNewKey(envFile, values) {
+      const { privateKey, publicKey } = generateKeyPair();
+      const encrypted = Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, encryptValue(publicKey, value)])
+      );
+      return { encrypted, publicKey, privateKey };
+    }
+  };
+}
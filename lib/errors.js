@@ -0,0 +1,128 @@
+/**
+ * Base class for every error the library throws on purpose
+ *
+ * `code` is stable and meant for programs; `message` is meant for people.
+ * `hint` optionally says what to do about it.
+ */
+export class DotenvxDeployError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options] - Options
+   * @param {string} [options.code] - Machine-readable code
+   * @param {string} [options.hint] - Suggested fix
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code = 'EDOTENVXDEPLOY', hint, cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = code;
+    this.hint = hint || null;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Invalid configuration or arguments (unknown provider, bad .dotenvx-deploy.json, ...)
+ */
+export class ConfigError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ECONFIG', ...options });
+  }
+}
+
+/**
+ * Something the operation needs does not exist (.env.keys, an env file, saved keys, ...)
+ */
+export class NotFoundError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ENOTFOUND', ...options });
+  }
+}
+
+/**
+ * A provider or deploy target is not set up. `status` is the result of its
+ * check(), and `provider` or `target` the object that failed it.
+ */
+export class NotReadyError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ENOTREADY', ...options });
+  }
+}
+
+/**
+ * A question needs an answer, but prompts are disabled
+ */
+export class PromptError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EPROMPT', ...options });
+  }
+}
+
+/**
+ * The operation was declined (a confirm hook or prompt answered no)
+ */
+export class AbortedError extends DotenvxDeployError {
+  constructor(message = 'Aborted', options = {}) {
+    super(message, { code: 'EABORTED', ...options });
+  }
+}
+
+/**
+ * The operation would expose a secret, e.g. deploying an unencrypted env file
+ */
+export class UnsafeError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EUNSAFE', ...options });
+  }
+}
+
+/**
+ * Env file values do not match .env.schema. `violations` lists them as
+ * { file, variable, message }.
+ */
+export class ValidationError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EINVALID', ...options });
+  }
+}
+
+/**
+ * Some steps failed after others were applied. `result` holds the same
+ * result object a successful call returns, with per-item `ok` flags.
+ */
+export class PartialFailureError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EPARTIAL', ...options });
+  }
+}
+
+/**
+ * A subprocess failed. `reason` is 'exit' (non-zero `exitCode`), 'missing',
+ * 'timeout', 'aborted' or 'output' (too much output); `stdout` and `stderr`
+ * hold what it printed.
+ */
+export class CommandError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ECOMMAND', ...options });
+  }
+}
+
+/**
+ * An HTTP API request failed. `reason` is 'status' (a non-2xx `status`, with
+ * the parsed response in `body`), 'timeout', 'aborted' or 'network'.
+ */
+export class HttpError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EHTTP', ...options });
+  }
+}
+
+/**
+ * Some steps failed, and every change already made was undone. `result`
+ * holds the per-item results.
+ */
+export class RollbackError extends DotenvxDeployError {
+  constructor(message, options = {}) {
+    super(message, { code: 'EROLLBACK', ...options });
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * dotenvx-deploy library API
+ *
+ * Every function is async, takes one options object and resolves to a plain
+ * result object. Options that are configuration keys (project, environments,
+ * provider, target, ...) override .dotenvx-deploy.json in `options.cwd`, the
+ * same way command-line flags do. Nothing is printed and nothing prompts:
+ * progress goes to `options.onProgress`, decisions and the local vault
+ * passphrase go to the documented hooks, and failures are thrown as
+ * subclasses of DotenvxDeployError. Providers and targets from getProvider()
+ * and getTarget() only print from their print* methods, which the CLI calls
+ * to show setup instructions; no library function calls them.
+ *
+ * @example
+ * import { deploy, NotReadyError } from 'dotenvx-deploy';
+ *
+ * const { plan, applied } = await deploy({ target: 'k8s', env: ['production'] });
+ */
+export { init } from './api/init.js';
+export { encrypt, encryptAll } from './api/encrypt.js';
+export { rotate } from './api/rotate.js';
+export { deploy, planDeploy, applyDeploy } from './api/deploy.js';
+export { saveKeys, pullKeys, listKeys } from './api/keys.js';
+export { status } from './api/status.js';
+export { check } from './api/check.js';
+export { verify } from './api/verify.js';
+export { drift } from './api/drift.js';
+export { validate } from './api/validate.js';
+export { diff } from './api/diff.js';
+
+export { resolveConfig, loadConfig, validateConfig } from './utils/config.js';
+export { parseEnv, readEnvFile, formatEnvValue } from './utils/dotenv.js';
+export { discoverEnvironments } from './utils/environments.js';
+export { getProvider, listProviders } from './providers/index.js';
+export { getTarget, listTargets } from './targets/index.js';
+export { getEngine, listEngines } from './engines/index.js';
+
+export {
+  DotenvxDeployError,
+  ConfigError,
+  NotFoundError,
+  NotReadyError,
+  PromptError,
+  AbortedError,
+  UnsafeError,
+  ValidationError,
+  PartialFailureError,
+  CommandError,
+  HttpError,
+  RollbackError
+} from './errors.js';
@@ -0,0 +1,217 @@
+import chalk from 'chalk';
+import { checkBitwardenCli } from '../utils/detect.js';
+import { bw } from '../utils/exec.js';
+import { buildItemName } from '../utils/keys.js';
+
+/**
+ * Print Bitwarden setup instructions based on current status
+ * @param {object} status - Result of checkBitwardenCli()
+ * @param {string} commandName - Command to suggest re-running
+ */
+function printBitwardenSetupInstructions(status, commandName) {
+  console.log(chalk.yellow('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.yellow.bold('  Bitwarden CLI Setup Required'));
+  console.log(chalk.yellow('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+  if (!status.available) {
+    console.log(chalk.white('1. Install Bitwarden CLI:\n'));
+    console.log(chalk.cyan('   npm install -g @bitwarden/cli'));
+    console.log(chalk.gray('   # or'));
+    console.log(chalk.cyan('   brew install bitwarden-cli\n'));
+    console.log(chalk.white('2. Login to your Bitwarden account:\n'));
+    console.log(chalk.cyan('   bw login\n'));
+    console.log(chalk.white('3. Unlock your vault and set the session:\n'));
+    console.log(chalk.cyan('   export BW_SESSION=$(bw unlock --raw)\n'));
+    console.log(chalk.white('4. Run this command again:\n'));
+    console.log(chalk.cyan(`   dotenvx-deploy ${commandName}\n`));
+  } else if (status.status === 'unauthenticated') {
+    console.log(chalk.white('1. Login to your Bitwarden account:\n'));
+    console.log(chalk.cyan('   bw login\n'));
+    console.log(chalk.white('2. Unlock your vault and set the session:\n'));
+    console.log(chalk.cyan('   export BW_SESSION=$(bw unlock --raw)\n'));
+    console.log(chalk.white('3. Run this command again:\n'));
+    console.log(chalk.cyan(`   dotenvx-deploy ${commandName}\n`));
+  } else if (status.status === 'locked') {
+    console.log(chalk.white('Your vault is locked. Unlock it:\n'));
+    console.log(chalk.cyan('   export BW_SESSION=$(bw unlock --raw)\n'));
+    console.log(chalk.white('Then run this command again:\n'));
+    console.log(chalk.cyan(`   dotenvx-deploy ${commandName}\n`));
+  } else {
+    console.log(chalk.white(`Current status: ${status.status}\n`));
+    console.log(chalk.white('Try logging in again:\n'));
+    console.log(chalk.cyan('   bw logout'));
+    console.log(chalk.cyan('   bw login'));
+    console.log(chalk.cyan('   export BW_SESSION=$(bw unlock --raw)\n'));
+  }
+
+  console.log(chalk.gray('For more info: https://bitwarden.com/help/cli/\n'));
+}
+
+/**
+ * Convert a Bitwarden item into a key entry
+ * @param {object} item - Bitwarden item
+ * @returns {object} Key entry
+ */
+function itemToEntry(item) {
+  const field = (name) => item.fields?.find(f => f.name === name)?.value || null;
+  const parts = item.name.split('/');
+  const version = field('version');
+
+  // Get the key value from fields (preferred) or notes
+  let value = field('DOTENV_PRIVATE_KEY') || item.notes || null;
+
+  // If notes contains a note prefix, extract just the key
+  if (value && value.includes('\n---\n')) {
+    value = value.split('\n---\n').pop();
+  }
+
+  return {
+    id: item.id,
+    name: item.name,
+    // Older items store "unknown" when there was no project name
+    project: field('project') && field('project') !== 'unknown' ? field('project') : parts[0],
+    environment: field('environment') || (version ? parts.slice(-2, -1)[0] : parts[1]) || 'unknown',
+    version: version || (parts.length > 2 ? parts.slice(2).join('/') : null),
+    note: field('note'),
+    value,
+    created: field('created'),
+    updated: field('updated')
+  };
+}
+
+/**
+ * Create a Bitwarden secret store provider backed by the `bw` CLI
+ * @param {object} options - Provider options
+ * @param {string} [options.folder] - Bitwarden folder name
+ * @returns {object} Provider
+ */
+export function createBitwardenProvider(options = {}) {
+  const folderName = options.folder || 'dotenvx-keys';
+  let folderId = null;
+
+  /**
+   * Run bw; encoded JSON goes through stdin so key values never appear in argv
+   */
+  const runBw = (args, runOptions = {}) => bw(args, { signal: options.signal, ...runOptions });
+
+  return {
+    name: 'bitwarden',
+    label: 'Bitwarden',
+    location: `folder "${folderName}"`,
+
+    async check() {
+      const status = await checkBitwardenCli();
+
+      if (!status.available) {
+        return { ...status, ready: false, message: 'Bitwarden CLI not installed' };
+      }
+
+      if (!status.loggedIn) {
+        return { ...status, ready: false, message: `Bitwarden vault not accessible (${status.status})` };
+      }
+
+      return { ...status, ready: true, message: 'Bitwarden CLI ready' };
+    },
+
+    printSetupInstructions(status, commandName) {
+      printBitwardenSetupInstructions(status, commandName);
+    },
+
+    async open({ create = false } = {}) {
+      const { stdout } = await runBw(['list', 'folders', '--search', folderName]);
+      const folders = JSON.parse(stdout);
+      const existingFolder = folders.find(f => f.name === folderName);
+
+      if (existingFolder) {
+        folderId = existingFolder.id;
+        return { exists: true, created: false };
+      }
+
+      if (!create) {
+        return { exists: false, created: false };
+      }
+
+      const folderData = Buffer.from(JSON.stringify({ name: folderName })).toString('base64');
+      const { stdout: createOutput } = await runBw(['create', 'folder'], { input: folderData });
+      folderId = JSON.parse(createOutput).id;
+      return { exists: true, created: true };
+    },
+
+    async sync() {
+      await runBw(['sync']);
+    },
+
+    async save({ project, environment, version, note, value }) {
+      const itemName = buildItemName(project, environment, version, options.naming);
+
+      // Check if item already exists (exact match)
+      const { stdout: searchOutput } = await runBw(['list', 'items', '--search', itemName, '--folderid', folderId], { check: false });
+      const existingItems = JSON.parse(searchOutput || '[]');
+      const existingItem = existingItems.find(i => i.name === itemName);
+
+      // Build notes content
+      const notesContent = note ? `${note}\n\n---\n${value}` : value;
+
+      // Build fields array
+      const fields = [
+        { name: 'DOTENV_PRIVATE_KEY', value, type: 0 }, // Text field
+        { name: 'environment', value: environment, type: 0 },
+        { name: 'project', value: project || 'unknown', type: 0 }
+      ];
+
+      if (version) {
+        fields.push({ name: 'version', value: version, type: 0 });
+      }
+
+      if (note) {
+        fields.push({ name: 'note', value: note, type: 0 });
+      }
+
+      if (existingItem) {
+        const itemData = {
+          ...existingItem,
+          notes: notesContent,
+          fields: [...fields, { name: 'updated', value: new Date().toISOString(), type: 0 }]
+        };
+
+        const encodedItem = Buffer.from(JSON.stringify(itemData)).toString('base64');
+        await runBw(['edit', 'item', existingItem.id], { input: encodedItem });
+        return { action: 'updated', name: itemName };
+      }
+
+      const itemData = {
+        organizationId: null,
+        folderId,
+        type: 2, // Secure Note
+        name: itemName,
+        notes: notesContent,
+        secureNote: { type: 0 },
+        fields: [...fields, { name: 'created', value: new Date().toISOString(), type: 0 }]
+      };
+
+      const encodedItem = Buffer.from(JSON.stringify(itemData)).toString('base64');
+      await runBw(['create', 'item'], { input: encodedItem });
+      return { action: 'created', name: itemName };
+    },
+
+    async list() {
+      const { stdout } = await runBw(['list', 'items', '--folderid', folderId]);
+      return JSON.parse(stdout).map(itemToEntry);
+    },
+
+    async versions({ project, environment }) {
+      const entries = await this.list();
+      return entries.filter(e => e.project === (project || 'dotenvx') && e.environment === environment);
+    },
+
+    async fetch({ project, environment, version = null }) {
+      const itemName = buildItemName(project, environment, version, options.naming);
+      const entries = await this.list();
+      return entries.find(e => e.name === itemName) || null;
+    },
+
+    async delete(entry) {
+      await runBw(['delete', 'item', entry.id]);
+    }
+  };
+}
@@ -0,0 +1,117 @@
+import chalk from 'chalk';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+import { randomUUID } from 'crypto';
+import { buildItemName } from '../utils/keys.js';
+
+/**
+ * Default location of the plaintext file store
+ * @returns {string}
+ */
+export function defaultStorePath() {
+  return process.env.DOTENVX_DEPLOY_STORE || join(homedir(), '.config', 'dotenvx-deploy', 'keys-store.json');
+}
+
+/**
+ * Create a provider that keeps key entries in a local JSON file, or in memory
+ * when no path is given. Entries are stored unencrypted, so this is meant for
+ * exercising the save/pull/list flow without a real vault.
+ * @param {object} options - Provider options
+ * @param {string | null} [options.store] - Path to the JSON store (null for in-memory)
+ * @returns {object} Provider
+ */
+export function createFileProvider(options = {}) {
+  const storePath = options.store === undefined ? defaultStorePath() : options.store;
+  let memory = [];
+
+  const load = () => {
+    if (!storePath) {
+      return memory;
+    }
+    if (!existsSync(storePath)) {
+      return [];
+    }
+    return JSON.parse(readFileSync(storePath, 'utf-8')).entries || [];
+  };
+
+  const persist = (entries) => {
+    if (!storePath) {
+      memory = entries;
+      return;
+    }
+    mkdirSync(dirname(storePath), { recursive: true });
+    writeFileSync(storePath, JSON.stringify({ entries }, null, 2) + '\n', { mode: 0o600 });
+  };
+
+  return {
+    name: storePath ? 'file' : 'memory',
+    label: storePath ? 'File store' : 'Memory store',
+    location: storePath ? `store "${storePath}"` : 'in-memory store',
+
+    async check() {
+      return { ready: true, message: `${this.label} ready` };
+    },
+
+    printSetupInstructions() {
+      console.log(chalk.gray(`\nCheck that ${storePath} is readable and writable\n`));
+    },
+
+    async open({ create = false } = {}) {
+      if (!storePath || existsSync(storePath)) {
+        return { exists: true, created: false };
+      }
+
+      if (!create) {
+        return { exists: false, created: false };
+      }
+
+      persist([]);
+      return { exists: true, created: true };
+    },
+
+    async save({ project, environment, version, note, value }) {
+      const entries = load();
+      const name = buildItemName(project, environment, version, options.naming);
+      const now = new Date().toISOString();
+      const existing = entries.find(e => e.name === name);
+
+      if (existing) {
+        Object.assign(existing, { value, note: note || null, updated: now });
+        persist(entries);
+        return { action: 'updated', name };
+      }
+
+      entries.push({
+        id: randomUUID(),
+        name,
+        project: project || 'dotenvx',
+        environment,
+        version: version || null,
+        note: note || null,
+        value,
+        created: now,
+        updated: null
+      });
+      persist(entries);
+      return { action: 'created', name };
+    },
+
+    async list() {
+      return load();
+    },
+
+    async versions({ project, environment }) {
+      return load().filter(e => e.project === (project || 'dotenvx') && e.environment === environment);
+    },
+
+    async fetch({ project, environment, version = null }) {
+      const name = buildItemName(project, environment, version, options.naming);
+      return load().find(e => e.name === name) || null;
+    },
+
+    async delete(entry) {
+      persist(load().filter(e => e.id !== entry.id));
+    }
+  };
+}
@@ -0,0 +1,221 @@
+import chalk from 'chalk';
+import { requestJson } from '../utils/http.js';
+
+/**
+ * Print HashiCorp Vault setup instructions based on current status
+ * @param {object} status - Result of check()
+ * @param {string} commandName - Command to suggest re-running
+ */
+function printVaultSetupInstructions(status, commandName) {
+  console.log(chalk.yellow('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.yellow.bold('  HashiCorp Vault Setup Required'));
+  console.log(chalk.yellow('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+  if (!status.configured) {
+    console.log(chalk.white('1. Point to your Vault server:\n'));
+    console.log(chalk.cyan('   export VAULT_ADDR=https://vault.example.com:8200\n'));
+    console.log(chalk.white('2. Provide a token with read/write access to the KV v2 mount:\n'));
+    console.log(chalk.cyan('   export VAULT_TOKEN=$(vault print token)\n'));
+  } else {
+    console.log(chalk.white(`Vault at ${status.address} rejected the request:\n`));
+    console.log(chalk.gray(`   ${status.error}\n`));
+    console.log(chalk.white('Log in again and export a fresh token:\n'));
+    console.log(chalk.cyan('   vault login'));
+    console.log(chalk.cyan('   export VAULT_TOKEN=$(vault print token)\n'));
+  }
+
+  console.log(chalk.white('Then run this command again:\n'));
+  console.log(chalk.cyan(`   dotenvx-deploy ${commandName}\n`));
+  console.log(chalk.gray('For more info: https://developer.hashicorp.com/vault/docs/secrets/kv/kv-v2\n'));
+}
+
+/**
+ * Create a HashiCorp Vault KV v2 secret store provider
+ *
+ * Each key is stored at <mount>/<project>/<env>. Every save creates a new KV
+ * version, so versions are KV version numbers rather than item name suffixes.
+ * A --name passed to save is kept as a label on that version.
+ * @param {object} options - Provider options
+ * @param {string} [options.mount] - KV v2 mount path
+ * @returns {object} Provider
+ */
+export function createHashicorpVaultProvider(options = {}) {
+  const mount = (options.mount || 'secret').replace(/^\/+|\/+$/g, '');
+  const address = (process.env.VAULT_ADDR || '').replace(/\/+$/, '');
+  const token = process.env.VAULT_TOKEN;
+
+  /**
+   * Call the Vault HTTP API
+   * @param {string} method - HTTP method (LIST is sent as GET ?list=true)
+   * @param {string} path - API path below /v1/
+   * @param {object} [body] - JSON body
+   * @returns {Promise<object | null>} Parsed response, or null on 404
+   * @throws {HttpError} When Vault answers with another error, or does not answer in time
+   */
+  async function request(method, path, body) {
+    const url = new URL(`${address}/v1/${path}`);
+    if (method === 'LIST') {
+      url.searchParams.set('list', 'true');
+    }
+
+    const headers = { 'X-Vault-Token': token };
+    if (process.env.VAULT_NAMESPACE) {
+      headers['X-Vault-Namespace'] = process.env.VAULT_NAMESPACE;
+    }
+
+    try {
+      return (await requestJson(url, { method: method === 'LIST' ? 'GET' : method, headers, body, signal: options.signal })) || {};
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  const secretPath = (project, environment) => `${project || 'dotenvx'}/${environment}`;
+
+  /**
+   * Read one version of a secret as a key entry
+   */
+  async function readEntry(path, version, createdTime) {
+    const result = await request('GET', `${mount}/data/${path}?version=${version}`);
+    const data = result?.data?.data;
+
+    if (!data) {
+      return null;
+    }
+
+    const [project, environment] = path.split('/');
+    return {
+      id: `${path}@${version}`,
+      name: `${path}@${version}`,
+      project,
+      environment: data.environment || environment,
+      version: String(version),
+      label: data.label || null,
+      note: data.note || null,
+      value: data.DOTENV_PRIVATE_KEY || null,
+      created: createdTime || result.data.metadata?.created_time || null,
+      updated: null
+    };
+  }
+
+  /**
+   * Read every live version of a secret, oldest first
+   */
+  async function readVersions(path) {
+    const metadata = await request('GET', `${mount}/metadata/${path}`);
+    if (!metadata) {
+      return [];
+    }
+
+    const entries = [];
+    const versions = Object.entries(metadata.data.versions || {})
+      .filter(([, info]) => !info.destroyed && !info.deletion_time)
+      .sort(([a], [b]) => Number(a) - Number(b));
+
+    for (const [version, info] of versions) {
+      const entry = await readEntry(path, version, info.created_time);
+      if (entry) {
+        entry.current = Number(version) === metadata.data.current_version;
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  return {
+    name: 'hashicorp-vault',
+    label: 'HashiCorp Vault',
+    location: `KV mount "${mount}"`,
+
+    async check() {
+      if (!address || !token) {
+        return { ready: false, configured: false, message: 'VAULT_ADDR and VAULT_TOKEN must be set' };
+      }
+
+      try {
+        await request('GET', 'auth/token/lookup-self');
+        return { ready: true, configured: true, address, message: `HashiCorp Vault ready (${address})` };
+      } catch (error) {
+        return { ready: false, configured: true, address, error: error.message, message: 'HashiCorp Vault token rejected' };
+      }
+    },
+
+    printSetupInstructions(status, commandName) {
+      printVaultSetupInstructions(status, commandName);
+    },
+
+    async open() {
+      // Readable by any token with access to the mount, unlike sys/mounts
+      const info = (await request('GET', `sys/internal/ui/mounts/${mount}`))?.data;
+
+      if (info && info.options?.version !== '2') {
+        throw new Error(`Mount "${mount}" is not a KV version 2 secrets engine`);
+      }
+
+      return { exists: !!info, created: false };
+    },
+
+    async save({ project, environment, version, note, value }) {
+      const path = secretPath(project, environment);
+      const data = {
+        DOTENV_PRIVATE_KEY: value,
+        environment,
+        project: project || 'unknown'
+      };
+
+      if (version) {
+        data.label = version;
+      }
+
+      if (note) {
+        data.note = note;
+      }
+
+      const result = await request('POST', `${mount}/data/${path}`, { data });
+      const kvVersion = result.data.version;
+      return { action: kvVersion > 1 ? 'updated' : 'created', name: `${path}@${kvVersion}` };
+    },
+
+    /**
+     * Current version of every secret, plus older versions saved with a label
+     */
+    async list() {
+      const entries = [];
+      const projects = (await request('LIST', `${mount}/metadata`))?.data?.keys || [];
+
+      for (const projectKey of projects.filter(k => k.endsWith('/'))) {
+        const envs = (await request('LIST', `${mount}/metadata/${projectKey}`))?.data?.keys || [];
+
+        for (const envKey of envs.filter(k => !k.endsWith('/'))) {
+          const versions = await readVersions(`${projectKey}${envKey}`);
+          entries.push(...versions.filter(e => e.current || e.label));
+        }
+      }
+
+      return entries;
+    },
+
+    async versions({ project, environment }) {
+      return readVersions(secretPath(project, environment));
+    },
+
+    async fetch({ project, environment, version = null }) {
+      const versions = await readVersions(secretPath(project, environment));
+
+      if (!version) {
+        return versions.find(e => e.current) || null;
+      }
+
+      return versions.find(e => e.version === String(version) || e.label === version) || null;
+    },
+
+    async delete(entry) {
+      const [path, version] = entry.id.split('@');
+      await request('POST', `${mount}/delete/${path}`, { versions: [Number(version)] });
+    }
+  };
+}
@@ -0,0 +1,60 @@
+import { createBitwardenProvider } from './bitwarden.js';
+import { createFileProvider } from './file.js';
+import { createOnePasswordProvider } from './onepassword.js';
+import { createHashicorpVaultProvider } from './hashicorp-vault.js';
+import { createLocalVaultProvider } from './local-vault.js';
+import { ConfigError } from '../errors.js';
+
+/**
+ * Secret store providers, keyed by the name used with --provider
+ *
+ * A provider is an object with:
+ *   name, label, location            - identification for messages
+ *   check()                          - { ready, message, ... } tool/auth status
+ *   printSetupInstructions(status, commandName)
+ *   unlock({ create })               - optional, get credentials (e.g. the passphrase option) before open()
+ *   open({ create })                 - { exists, created } prepare the storage location
+ *   sync()                           - optional, refresh from a remote server
+ *   save(entry)                      - { action: 'created' | 'updated', name }
+ *   list()                           - all stored key entries
+ *   versions({ project, environment })
+ *   fetch({ project, environment, version })
+ *   delete(entry)
+ *
+ * Key entries have the shape
+ *   { id, name, project, environment, version, note, value, created, updated }
+ * and may carry a `label` when the provider numbers versions itself.
+ */
+const PROVIDERS = {
+  bitwarden: createBitwardenProvider,
+  '1password': createOnePasswordProvider,
+  'hashicorp-vault': createHashicorpVaultProvider,
+  'local-vault': createLocalVaultProvider,
+  file: createFileProvider,
+  memory: (options) => createFileProvider({ ...options, store: null })
+};
+
+/**
+ * Names of all registered providers
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @param {object} options - Command options passed through to the provider
+ * @returns {object} Provider
+ * @throws {ConfigError} For unknown provider names
+ */
+export function getProvider(name = 'bitwarden', options = {}) {
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new ConfigError(`Unknown provider "${name}". Available: ${listProviders().join(', ')}`);
+  }
+
+  return factory(options);
+}
@@ -0,0 +1,159 @@
+import chalk from 'chalk';
+import { randomUUID } from 'crypto';
+import { buildItemName } from '../utils/keys.js';
+import { PromptError } from '../errors.js';
+import {
+  defaultVaultPath,
+  encryptVault,
+  decryptVault,
+  readVaultFile,
+  writeVaultFile
+} from '../utils/vault-file.js';
+
+/**
+ * Create a provider that keeps every project's keys in one passphrase-encrypted
+ * file (scrypt + AES-256-GCM), for offline backups
+ *
+ * The passphrase is the `passphrase` option when it is a string, else
+ * DOTENVX_DEPLOY_VAULT_PASSPHRASE, else what the `passphrase` hook returns.
+ * @param {object} options - Provider options
+ * @param {string} [options.file] - Path to the vault file
+ * @param {string | ((request: { create: boolean, path: string }) => Promise<string>)} [options.passphrase] -
+ *   Vault passphrase, or a hook that asks for it (`create` is true for a new vault)
+ * @returns {object} Provider
+ */
+export function createLocalVaultProvider(options = {}) {
+  const vaultPath = options.file || defaultVaultPath();
+  let passphrase = null;
+  let entries = null;
+
+  const getPassphrase = async (create) => {
+    if (typeof options.passphrase === 'string') {
+      return options.passphrase;
+    }
+    if (process.env.DOTENVX_DEPLOY_VAULT_PASSPHRASE) {
+      return process.env.DOTENVX_DEPLOY_VAULT_PASSPHRASE;
+    }
+    if (typeof options.passphrase === 'function') {
+      return options.passphrase({ create, path: vaultPath });
+    }
+    throw new PromptError(`The local vault at ${vaultPath} needs a passphrase`, {
+      hint: 'Set DOTENVX_DEPLOY_VAULT_PASSPHRASE, or pass `passphrase`'
+    });
+  };
+
+  const persist = () => {
+    writeVaultFile(vaultPath, encryptVault({ entries }, passphrase));
+  };
+
+  return {
+    name: 'local-vault',
+    label: 'Local vault',
+    location: `vault file "${vaultPath}"`,
+    path: vaultPath,
+
+    async check() {
+      return { ready: true, message: 'Local vault ready' };
+    },
+
+    printSetupInstructions() {
+      console.log(chalk.gray(`\nCheck that ${vaultPath} is readable and writable\n`));
+    },
+
+    async unlock({ create = false } = {}) {
+      const document = readVaultFile(vaultPath);
+
+      if (document) {
+        passphrase = await getPassphrase(false);
+        entries = decryptVault(document, passphrase).entries || [];
+      } else if (create) {
+        passphrase = await getPassphrase(true);
+        entries = [];
+      }
+    },
+
+    async open({ create = false } = {}) {
+      if (readVaultFile(vaultPath)) {
+        return { exists: true, created: false };
+      }
+
+      if (!create) {
+        return { exists: false, created: false };
+      }
+
+      persist();
+      return { exists: true, created: true };
+    },
+
+    async save({ project, environment, version, note, value }) {
+      const name = buildItemName(project, environment, version, options.naming);
+      const now = new Date().toISOString();
+      const existing = entries.find(e => e.name === name);
+
+      if (existing) {
+        Object.assign(existing, { value, note: note || null, updated: now });
+        persist();
+        return { action: 'updated', name };
+      }
+
+      entries.push({
+        id: randomUUID(),
+        name,
+        project: project || 'dotenvx',
+        environment,
+        version: version || null,
+        note: note || null,
+        value,
+        created: now,
+        updated: null
+      });
+      persist();
+      return { action: 'created', name };
+    },
+
+    async list() {
+      return entries;
+    },
+
+    async versions({ project, environment }) {
+      return entries.filter(e => e.project === (project || 'dotenvx') && e.environment === environment);
+    },
+
+    async fetch({ project, environment, version = null }) {
+      const name = buildItemName(project, environment, version, options.naming);
+      return entries.find(e => e.name === name) || null;
+    },
+
+    async delete(entry) {
+      entries = entries.filter(e => e.id !== entry.id);
+      persist();
+    },
+
+    /**
+     * Merge entries from another vault, keeping the most recently changed copy
+     * @param {object[]} incoming - Entries to merge
+     * @returns {{ added: number, updated: number, skipped: number }}
+     */
+    async merge(incoming) {
+      const result = { added: 0, updated: 0, skipped: 0 };
+      const changedAt = (e) => e.updated || e.created || '';
+
+      for (const entry of incoming) {
+        const existing = entries.find(e => e.name === entry.name);
+
+        if (!existing) {
+          entries.push(entry);
+          result.added++;
+        } else if (changedAt(entry) > changedAt(existing)) {
+          Object.assign(existing, entry, { id: existing.id });
+          result.updated++;
+        } else {
+          result.skipped++;
+        }
+      }
+
+      persist();
+      return result;
+    }
+  };
+}
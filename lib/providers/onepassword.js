@@ -0,0 +1,207 @@
+import chalk from 'chalk';
+import { checkOnePasswordCli } from '../utils/detect.js';
+import { op } from '../utils/exec.js';
+import { buildItemName } from '../utils/keys.js';
+
+const ITEM_TAG = 'dotenvx-deploy';
+
+/**
+ * Item templates are piped in, so the private key never appears in argv
+ */
+const STDIN_TEMPLATE = '/dev/stdin';
+
+/**
+ * Print 1Password setup instructions based on current status
+ * @param {object} status - Result of checkOnePasswordCli()
+ * @param {string} commandName - Command to suggest re-running
+ */
+function printOnePasswordSetupInstructions(status, commandName) {
+  console.log(chalk.yellow('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.yellow.bold('  1Password CLI Setup Required'));
+  console.log(chalk.yellow('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
+
+  if (!status.available) {
+    console.log(chalk.white('1. Install 1Password CLI:\n'));
+    console.log(chalk.cyan('   brew install 1password-cli'));
+    console.log(chalk.gray('   # or see https://developer.1password.com/docs/cli/get-started/\n'));
+    console.log(chalk.white('2. Sign in to your account:\n'));
+    console.log(chalk.cyan('   eval $(op signin)\n'));
+    console.log(chalk.white('3. Run this command again:\n'));
+    console.log(chalk.cyan(`   dotenvx-deploy ${commandName}\n`));
+  } else {
+    console.log(chalk.white('Sign in to your account:\n'));
+    console.log(chalk.cyan('   eval $(op signin)\n'));
+    console.log(chalk.gray('   # or, in CI, use a service account'));
+    console.log(chalk.cyan('   export OP_SERVICE_ACCOUNT_TOKEN=<token>\n'));
+    console.log(chalk.white('Then run this command again:\n'));
+    console.log(chalk.cyan(`   dotenvx-deploy ${commandName}\n`));
+  }
+
+  console.log(chalk.gray('For more info: https://developer.1password.com/docs/cli/\n'));
+}
+
+/**
+ * Convert a 1Password item (from `op item get`) into a key entry
+ * @param {object} item - 1Password item
+ * @returns {object} Key entry
+ */
+function itemToEntry(item) {
+  const field = (label) => item.fields?.find(f => f.label === label)?.value || null;
+  const parts = item.title.split('/');
+
+  return {
+    id: item.id,
+    name: item.title,
+    // Older items store "unknown" when there was no project name
+    project: field('project') && field('project') !== 'unknown' ? field('project') : parts[0],
+    environment: field('environment') || parts[1] || 'unknown',
+    version: field('version') || (parts.length > 2 ? parts.slice(2).join('/') : null),
+    note: field('note'),
+    value: field('DOTENV_PRIVATE_KEY'),
+    created: field('created') || item.created_at || null,
+    updated: field('updated')
+  };
+}
+
+/**
+ * Set fields on a 1Password item template by label
+ * @param {object} item - Item JSON (from `op item get` or a new template)
+ * @param {Record<string, string>} values - Field values keyed by label
+ * @returns {object} The item
+ */
+function applyFields(item, values) {
+  item.fields ??= [];
+
+  for (const [label, value] of Object.entries(values)) {
+    const type = label === 'DOTENV_PRIVATE_KEY' ? 'CONCEALED' : 'STRING';
+    const field = item.fields.find(f => f.label === label);
+
+    if (field) {
+      field.value = value;
+    } else {
+      item.fields.push({ id: label, label, type, value });
+    }
+  }
+  return item;
+}
+
+/**
+ * Create a 1Password secret store provider backed by the `op` CLI
+ * @param {object} options - Provider options
+ * @param {string} [options.vault] - 1Password vault name
+ * @returns {object} Provider
+ */
+export function createOnePasswordProvider(options = {}) {
+  const vaultName = options.vault || 'dotenvx-keys';
+
+  /**
+   * Run op with the caller's cancellation signal
+   */
+  const runOp = (args, runOptions = {}) => op(args, { signal: options.signal, ...runOptions });
+
+  return {
+    name: '1password',
+    label: '1Password',
+    location: `vault "${vaultName}"`,
+
+    async check() {
+      const status = await checkOnePasswordCli();
+
+      if (!status.available) {
+        return { ...status, ready: false, message: '1Password CLI not installed' };
+      }
+
+      if (!status.loggedIn) {
+        return { ...status, ready: false, message: `1Password CLI not signed in (${status.status})` };
+      }
+
+      return { ...status, ready: true, message: `1Password CLI ready (${status.account})` };
+    },
+
+    printSetupInstructions(status, commandName) {
+      printOnePasswordSetupInstructions(status, commandName);
+    },
+
+    async open({ create = false } = {}) {
+      const { stdout } = await runOp(['vault', 'list', '--format', 'json']);
+      const vaults = JSON.parse(stdout || '[]');
+
+      if (vaults.some(v => v.name === vaultName)) {
+        return { exists: true, created: false };
+      }
+
+      if (!create) {
+        return { exists: false, created: false };
+      }
+
+      await runOp(['vault', 'create', vaultName, '--format', 'json']);
+      return { exists: true, created: true };
+    },
+
+    async save({ project, environment, version, note, value }) {
+      const itemName = buildItemName(project, environment, version, options.naming);
+      const existing = (await this.list()).find(e => e.name === itemName);
+      const now = new Date().toISOString();
+
+      const fields = {
+        DOTENV_PRIVATE_KEY: value,
+        environment,
+        project: project || 'unknown'
+      };
+
+      if (version) {
+        fields.version = version;
+      }
+
+      if (note || existing) {
+        // An empty value clears a note left over from an earlier save
+        fields.note = note || '';
+      }
+
+      if (existing) {
+        const { stdout } = await runOp(['item', 'get', existing.id, '--vault', vaultName, '--format', 'json']);
+        const item = applyFields(JSON.parse(stdout), { ...fields, updated: now });
+
+        await runOp(['item', 'edit', existing.id, '--vault', vaultName, '--template', STDIN_TEMPLATE], {
+          input: JSON.stringify(item)
+        });
+        return { action: 'updated', name: itemName };
+      }
+
+      const item = applyFields({ title: itemName, category: 'SECURE_NOTE', tags: [ITEM_TAG], fields: [] }, { ...fields, created: now });
+
+      await runOp(['item', 'create', '--vault', vaultName, '--template', STDIN_TEMPLATE], {
+        input: JSON.stringify(item)
+      });
+      return { action: 'created', name: itemName };
+    },
+
+    async list() {
+      const { stdout } = await runOp(['item', 'list', '--vault', vaultName, '--tags', ITEM_TAG, '--format', 'json']);
+      const summaries = JSON.parse(stdout || '[]');
+
+      // `op item list` omits field values, so fetch each item in full
+      const entries = [];
+      for (const summary of summaries) {
+        const { stdout: itemOutput } = await runOp(['item', 'get', summary.id, '--vault', vaultName, '--format', 'json']);
+        entries.push(itemToEntry(JSON.parse(itemOutput)));
+      }
+      return entries;
+    },
+
+    async versions({ project, environment }) {
+      const entries = await this.list();
+      return entries.filter(e => e.project === (project || 'dotenvx') && e.environment === environment);
+    },
+
+    async fetch({ project, environment, version = null }) {
+      const itemName = buildItemName(project, environment, version, options.naming);
+      const entries = await this.list();
+      return entries.find(e => e.name === itemName) || null;
+    },
+
+    async delete(entry) {
+      await runOp(['item', 'delete', entry.id, '--vault', vaultName]);
+    }
+  };
+}
@@ -0,0 +1,277 @@
+import chalk from 'chalk';
+import { existsSync, readFileSync, writeFileSync, appendFileSync, mkdirSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { getProjectName } from '../utils/detect.js';
+import { keyFingerprint } from '../utils/keys.js';
+
+/**
+ * Make sure the artifact directory is git-ignored, since it holds private keys
+ * @param {string} cwd - Current working directory
+ * @param {string} outDir - Artifact directory (relative to cwd)
+ * @returns {boolean} True if .gitignore was updated
+ */
+function ensureIgnored(cwd, outDir) {
+  const gitignorePath = join(cwd, '.gitignore');
+  const entry = `${outDir.replace(/\/+$/, '')}/`;
+  const gitignore = existsSync(gitignorePath) ? readFileSync(gitignorePath, 'utf-8') : '';
+
+  if (gitignore.split('\n').some(line => line.trim() === entry || line.trim() === entry.slice(0, -1))) {
+    return false;
+  }
+
+  appendFileSync(gitignorePath, `\n# dotenvx-deploy generated secrets\n${entry}\n`);
+  return true;
+}
+
+/**
+ * Write a file readable only by the current user
+ * @param {string} path - File path
+ * @param {string} content - File content
+ */
+function writePrivateFile(path, content) {
+  writeFileSync(path, content, { mode: 0o600 });
+}
+
+/**
+ * Compare a file on disk with the content that would be written
+ * @param {string} path - File path
+ * @param {string} content - New content
+ * @returns {'add' | 'replace' | 'unchanged'}
+ */
+function planFile(path, content) {
+  if (!existsSync(path)) {
+    return 'add';
+  }
+  return readFileSync(path, 'utf-8') === content ? 'unchanged' : 'replace';
+}
+
+/**
+ * Describe the key a written file holds, for readSecret()
+ * @param {string} path - File path
+ * @param {(content: string) => string | null} readValue - Finds the key's value in the file content
+ * @returns {{ fingerprint: string | null, updated: string } | null} Null when the file or the key is missing
+ */
+function readSecretFile(path, readValue) {
+  if (!existsSync(path)) {
+    return null;
+  }
+
+  const value = readValue(readFileSync(path, 'utf-8'));
+  if (value === null) {
+    return null;
+  }
+
+  return { fingerprint: keyFingerprint(value), updated: statSync(path).mtime.toISOString() };
+}
+
+/**
+ * Turn a string into a valid Kubernetes resource name (DNS-1123 subdomain)
+ * @param {string} name - Raw name
+ * @returns {string}
+ */
+function toResourceName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '').slice(0, 253);
+}
+
+/**
+ * Create the Kubernetes deploy target, which writes a Secret manifest
+ * @param {object} options - Command options
+ * @param {string} [options.out] - Output directory (default: .secrets)
+ * @param {'secret' | 'sealed' | 'sops'} [options.format] - Manifest flavour
+ * @param {string} [options.namespace] - Secret namespace
+ * @param {string} [options.secretName] - Secret name
+ * @returns {object} Deploy target
+ */
+export function createKubernetesTarget(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const outDir = options.out || '.secrets';
+  const format = options.format || 'secret';
+  const projectName = options.project || getProjectName(cwd) || 'dotenvx';
+
+  const renderManifest = (keyName, value, envName) => {
+    const name = toResourceName(options.secretName || `${projectName}-dotenvx-${envName}`);
+    const suffix = { secret: '', sealed: '.unsealed', sops: '.sops' }[format];
+
+    const content = [
+      'apiVersion: v1',
+      'kind: Secret',
+      'metadata:',
+      `  name: ${name}`,
+      ...(options.namespace ? [`  namespace: ${options.namespace}`] : []),
+      '  labels:',
+      '    app.kubernetes.io/managed-by: dotenvx-deploy',
+      `    dotenvx.com/environment: ${toResourceName(envName)}`,
+      'type: Opaque',
+      // Base64 needs no YAML quoting, and kubeseal and sops both encrypt data
+      'data:',
+      `  ${keyName}: ${Buffer.from(value).toString('base64')}`,
+      ''
+    ].join('\n');
+
+    return { filePath: join(cwd, outDir, `${name}${suffix}.yaml`), content };
+  };
+
+  return {
+    name: 'k8s',
+    label: 'Kubernetes manifest',
+
+    async check() {
+      if (!['secret', 'sealed', 'sops'].includes(format)) {
+        return { ready: false, message: `Unknown --format "${format}"` };
+      }
+      return { ready: true, message: `Writing ${format} manifests to ${outDir}/` };
+    },
+
+    printSetupInstructions() {
+      console.log(chalk.yellow('\nUse --format secret, sealed or sops'));
+    },
+
+    scopeFor(envName) {
+      return envName;
+    },
+
+    async planSecret(keyName, value, envName) {
+      const { filePath, content } = renderManifest(keyName, value, envName);
+      return { action: planFile(filePath, content) };
+    },
+
+    async setSecret(keyName, value, envName) {
+      const { filePath, content } = renderManifest(keyName, value, envName);
+
+      mkdirSync(join(cwd, outDir), { recursive: true });
+      const ignoreUpdated = ensureIgnored(cwd, outDir);
+      const existed = existsSync(filePath);
+      writePrivateFile(filePath, content);
+
+      return {
+        action: existed ? 'updated' : 'created',
+        files: [relative(cwd, filePath), ...(ignoreUpdated ? ['.gitignore'] : [])]
+      };
+    },
+
+    // Sealed manifests are only readable until they are sealed, and sops values once encrypted are not
+    async readSecret(keyName, envName) {
+      const { filePath } = renderManifest(keyName, '', envName);
+
+      return readSecretFile(filePath, (content) => {
+        const line = content.match(new RegExp(`^  ${keyName}: (.+)$`, 'm'))?.[1];
+        return line ? Buffer.from(line, 'base64').toString() : null;
+      });
+    },
+
+    printManualInstructions(keyName, value, envName) {
+      console.log(chalk.yellow('\nManual setup:'));
+      console.log(chalk.cyan(`  kubectl create secret generic ${projectName}-dotenvx-${envName} --from-env-file=<file with ${keyName}=...>`));
+    },
+
+    printNextSteps(files) {
+      const manifests = files.filter(file => file.endsWith('.yaml'));
+      console.log(chalk.white('\nNext steps:'));
+
+      if (format === 'sealed') {
+        const sealed = manifests.map(manifest => manifest.replace('.unsealed.yaml', '.sealed.yaml'));
+        console.log(chalk.gray('  1. Seal the manifests:'));
+        manifests.forEach((manifest, i) => console.log(chalk.gray(`       kubeseal --format yaml < ${manifest} > ${sealed[i]}`)));
+        console.log(chalk.gray(`  2. rm ${manifests.join(' ')}`));
+        console.log(chalk.gray(`  3. Commit ${sealed.join(', ')} and apply them with your GitOps tooling`));
+      } else if (format === 'sops') {
+        console.log(chalk.gray('  1. Encrypt the manifests:'));
+        manifests.forEach(manifest => console.log(chalk.gray(`       sops --encrypt --encrypted-regex '^(data|stringData)$' --in-place ${manifest}`)));
+        console.log(chalk.gray(`  2. Commit the encrypted ${manifests.join(', ')}`));
+      } else {
+        console.log(chalk.gray(`  1. kubectl apply ${manifests.map(manifest => `-f ${manifest}`).join(' ')}`));
+        console.log(chalk.gray('  2. Reference them from your Deployments with envFrom.secretRef'));
+        console.log(chalk.yellow(`  ⚠️  ${manifests.join(', ')} hold private keys. Do not commit them.`));
+      }
+    }
+  };
+}
+
+/**
+ * Create the docker-compose deploy target, which writes an env file with the
+ * private key and a matching docker-compose.override.yml snippet
+ * @param {object} options - Command options
+ * @param {string} [options.out] - Output directory (default: .secrets)
+ * @param {string} [options.service] - Compose service name (default: app)
+ * @returns {object} Deploy target
+ */
+export function createComposeTarget(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const outDir = options.out || '.secrets';
+  const service = options.service || 'app';
+
+  const renderFiles = (envName) => {
+    const envFilePath = join(cwd, outDir, `dotenvx-${envName}.env`);
+    const snippetPath = join(cwd, outDir, `docker-compose.override.${envName}.yml`);
+
+    const snippet = [
+      '# Merge into docker-compose.override.yml, or pass with:',
+      `#   docker compose -f docker-compose.yml -f ${relative(cwd, snippetPath)} up`,
+      'services:',
+      `  ${service}:`,
+      '    env_file:',
+      `      - ${relative(cwd, envFilePath)}`,
+      ''
+    ].join('\n');
+
+    return { envFilePath, snippetPath, snippet };
+  };
+
+  return {
+    name: 'compose',
+    label: 'docker-compose files',
+
+    async check() {
+      return { ready: true, message: `Writing compose secrets to ${outDir}/` };
+    },
+
+    printSetupInstructions() {},
+
+    scopeFor(envName) {
+      return envName;
+    },
+
+    async planSecret(keyName, value, envName) {
+      const { envFilePath, snippetPath, snippet } = renderFiles(envName);
+      const action = planFile(envFilePath, `${keyName}=${value}\n`);
+      return { action: action === 'unchanged' && planFile(snippetPath, snippet) !== 'unchanged' ? 'replace' : action };
+    },
+
+    async setSecret(keyName, value, envName) {
+      const { envFilePath, snippetPath, snippet } = renderFiles(envName);
+      const envFileRef = relative(cwd, envFilePath);
+
+      mkdirSync(join(cwd, outDir), { recursive: true });
+      const ignoreUpdated = ensureIgnored(cwd, outDir);
+      const existed = existsSync(envFilePath);
+      writePrivateFile(envFilePath, `${keyName}=${value}\n`);
+      writeFileSync(snippetPath, snippet);
+
+      return {
+        action: existed ? 'updated' : 'created',
+        files: [envFileRef, relative(cwd, snippetPath), ...(ignoreUpdated ? ['.gitignore'] : [])]
+      };
+    },
+
+    async readSecret(keyName, envName) {
+      const { envFilePath } = renderFiles(envName);
+
+      return readSecretFile(envFilePath, (content) => {
+        return content.match(new RegExp(`^${keyName}=(.*)$`, 'm'))?.[1] ?? null;
+      });
+    },
+
+    printManualInstructions(keyName) {
+      console.log(chalk.yellow('\nManual setup:'));
+      console.log(chalk.gray(`  Add ${keyName} to the environment of the "${service}" service`));
+    },
+
+    printNextSteps(files) {
+      console.log(chalk.white('\nNext steps:'));
+      files
+        .filter(file => file.endsWith('.yml'))
+        .forEach(snippet => console.log(chalk.gray(`  docker compose -f docker-compose.yml -f ${snippet} up`)));
+      console.log(chalk.yellow(`  ⚠️  ${files.filter(file => file.endsWith('.env')).join(', ')} hold private keys. Do not commit them.`));
+    }
+  };
+}
@@ -0,0 +1,153 @@
+import chalk from 'chalk';
+import { existsSync, readFileSync } from 'fs';
+import { join, relative, resolve, isAbsolute } from 'path';
+import { wrangler } from '../utils/exec.js';
+import { readWranglerConfig } from '../utils/wrangler.js';
+
+/**
+ * Check that .env.keys cannot end up in the uploaded static assets
+ * @param {string} cwd - Current working directory
+ * @param {object} config - Result of readWranglerConfig()
+ * @returns {{ protected: boolean, dir?: string, fix?: string }}
+ */
+export function checkKeysExcluded(cwd, config) {
+  const uploadDir = config.pagesOutputDir || config.assetsDir;
+
+  // Worker scripts are bundled from imports, so only asset uploads can leak files
+  if (!uploadDir) {
+    return { protected: true };
+  }
+
+  const dir = resolve(cwd, uploadDir);
+  const fromDir = relative(dir, join(cwd, '.env.keys'));
+
+  if (fromDir.startsWith('..') || isAbsolute(fromDir)) {
+    return { protected: true, dir: uploadDir };
+  }
+
+  if (config.pagesOutputDir) {
+    return { protected: false, dir: uploadDir, fix: 'Build Pages into a subdirectory (e.g. pages_build_output_dir = "./dist")' };
+  }
+
+  const ignorePath = join(dir, '.assetsignore');
+  const ignored = existsSync(ignorePath) && readFileSync(ignorePath, 'utf-8').split('\n').some(l => l.trim() === '.env.keys');
+
+  return ignored
+    ? { protected: true, dir: uploadDir }
+    : { protected: false, dir: uploadDir, fix: `echo ".env.keys" >> ${join(uploadDir, '.assetsignore')}` };
+}
+
+/**
+ * Create the Cloudflare deploy target (Workers or Pages secrets via wrangler)
+ * @param {object} options - Command options
+ * @param {string} [options.wranglerEnv] - Override the wrangler --env name
+ * @returns {object} Deploy target
+ */
+export function createCloudflareTarget(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = readWranglerConfig(cwd);
+  const isPages = !!config?.pagesOutputDir;
+  const env = config?.accountId && !process.env.CLOUDFLARE_ACCOUNT_ID
+    ? { ...process.env, CLOUDFLARE_ACCOUNT_ID: config.accountId }
+    : process.env;
+
+  /**
+   * wrangler arguments selecting the Worker environment or Pages project
+   */
+  const scopeArgs = (scope) => {
+    if (isPages) {
+      return ['--project-name', config.name, ...(scope === 'production' ? [] : ['--env', 'preview'])];
+    }
+
+    if (config.envs[scope]) {
+      return ['--env', scope];
+    }
+
+    // Production without an [env.production] table is the top-level Worker
+    if (scope === 'production') {
+      return [];
+    }
+
+    throw new Error(`No env.${scope} in ${config.file} (use --wrangler-env to pick another)`);
+  };
+
+  return {
+    name: 'cloudflare',
+    label: isPages ? 'Cloudflare Pages' : 'Cloudflare Workers',
+
+    async check() {
+      if (!config?.name) {
+        return { ready: false, reason: 'config', message: config ? `No name in ${config.file}` : 'No wrangler.toml or wrangler.json found' };
+      }
+
+      const exclusion = checkKeysExcluded(cwd, config);
+      if (!exclusion.protected) {
+        return { ready: false, reason: 'exposed', ...exclusion, message: `.env.keys would be uploaded from ${exclusion.dir}` };
+      }
+
+      try {
+        await wrangler(['--version'], { cwd, env, signal: options.signal, timeout: 60000 });
+      } catch {
+        return { ready: false, reason: 'cli', message: 'Wrangler CLI not found' };
+      }
+
+      return { ready: true, message: `${isPages ? 'Pages project' : 'Worker'} "${config.name}" ready` };
+    },
+
+    printSetupInstructions(status) {
+      if (status.reason === 'config') {
+        console.log(chalk.yellow('\nCreate a wrangler.toml or wrangler.json with your Worker or Pages project name:'));
+        console.log(chalk.cyan('  npx wrangler init'));
+      } else if (status.reason === 'exposed') {
+        console.log(chalk.red('\nPrivate keys must never be deployed. Fix it with:'));
+        console.log(chalk.cyan(`  ${status.fix}`));
+      } else {
+        console.log(chalk.yellow('\nInstall Wrangler and log in:'));
+        console.log(chalk.cyan('  npm install -D wrangler'));
+        console.log(chalk.cyan('  npx wrangler login'));
+      }
+    },
+
+    scopeFor(envName) {
+      if (options.wranglerEnv || options.scopes?.[envName]) {
+        return options.wranglerEnv || options.scopes[envName];
+      }
+      if (isPages) {
+        return envName === 'production' ? 'production' : 'preview';
+      }
+      return envName;
+    },
+
+    async setSecret(keyName, value, scope, onProgress = () => {}) {
+      const args = isPages
+        ? ['pages', 'secret', 'put', keyName, ...scopeArgs(scope)]
+        : ['secret', 'put', keyName, ...scopeArgs(scope)];
+
+      onProgress(`Putting ${keyName} with wrangler...`);
+      // The value goes through stdin, never argv
+      await wrangler(args, { cwd, env, signal: options.signal, input: `${value}\n` });
+
+      // wrangler does not report whether the secret already existed
+      return { action: 'updated' };
+    },
+
+    printManualInstructions(keyName, value, scope) {
+      const command = isPages
+        ? `npx wrangler pages secret put ${keyName} ${scopeArgs(scope).join(' ')}`
+        : `npx wrangler secret put ${keyName} ${scopeArgs(scope).join(' ')}`;
+      console.log(chalk.yellow('\nManual setup:'));
+      console.log(chalk.cyan(`  ${command.trim()}`));
+      console.log(chalk.gray('  and paste the value from .env.keys when prompted'));
+    },
+
+    async deploy({ envName, scope }) {
+      const args = isPages
+        ? ['pages', 'deploy', config.pagesOutputDir, '--project-name', config.name, ...(scope === 'production' ? [] : ['--branch', envName])]
+        : ['deploy', ...scopeArgs(scope)];
+
+      const { stdout } = await wrangler(args, { cwd, env, signal: options.signal });
+      const urlMatch = stdout.match(/https:\/\/[^\s]+\.(?:workers|pages)\.dev/);
+      return { url: urlMatch ? urlMatch[0] : null, output: stdout };
+    }
+  };
+}
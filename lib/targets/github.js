@@ -0,0 +1,157 @@
+import chalk from 'chalk';
+import sodium from 'libsodium-wrappers';
+import { run } from '../utils/exec.js';
+import { requestJson } from '../utils/http.js';
+
+/**
+ * Find the GitHub repository from GITHUB_REPOSITORY or the origin remote
+ * @param {string} cwd - Current working directory
+ * @returns {Promise<string | null>} "owner/repo"
+ */
+async function getGitHubRepository(cwd) {
+  if (process.env.GITHUB_REPOSITORY) {
+    return process.env.GITHUB_REPOSITORY;
+  }
+
+  const { stdout } = await run('git', ['config', '--get', 'remote.origin.url'], { cwd, check: false });
+  const match = stdout.trim().match(/github\.com[:/]([^/]+\/[^/]+?)(?:\.git)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Encrypt a secret for the GitHub API with a libsodium sealed box
+ * @param {string} value - Secret value
+ * @param {string} publicKey - Base64 repository or environment public key
+ * @returns {Promise<string>} Base64 encrypted value
+ */
+export async function sealSecret(value, publicKey) {
+  await sodium.ready;
+  const key = sodium.from_base64(publicKey, sodium.base64_variants.ORIGINAL);
+  const sealed = sodium.crypto_box_seal(sodium.from_string(value), key);
+  return sodium.to_base64(sealed, sodium.base64_variants.ORIGINAL);
+}
+
+/**
+ * Create the GitHub Actions deploy target (repository or environment secrets)
+ *
+ * By default `.env.<env>` maps to the GitHub Environment of the same name.
+ * With --repo-secret the key is written as a repository secret instead.
+ * @param {object} options - Command options
+ * @param {boolean} [options.repoSecret] - Write repository secrets
+ * @returns {object} Deploy target
+ */
+export function createGitHubTarget(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const apiUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+  const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  let repository = null;
+
+  const api = (method, path, body) => requestJson(`${apiUrl}${path}`, {
+    method,
+    body,
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${token}`,
+      'User-Agent': 'dotenvx-deploy',
+      'X-GitHub-Api-Version': '2022-11-28'
+    },
+    signal: options.signal
+  });
+
+  const secretsPath = (scope) => scope === 'repository'
+    ? `/repos/${repository}/actions/secrets`
+    : `/repos/${repository}/environments/${encodeURIComponent(scope)}/secrets`;
+
+  const getSecret = async (keyName, scope) => {
+    try {
+      return await api('GET', `${secretsPath(scope)}/${keyName}`);
+    } catch (error) {
+      // A missing environment also means a missing secret
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'github',
+    label: 'GitHub Actions',
+
+    async check() {
+      if (!token) {
+        return { ready: false, reason: 'token', message: 'GITHUB_TOKEN not set' };
+      }
+
+      repository = await getGitHubRepository(cwd);
+      if (!repository) {
+        return { ready: false, reason: 'repo', message: 'Could not determine the GitHub repository' };
+      }
+
+      try {
+        await api('GET', `/repos/${repository}`);
+        return { ready: true, message: `GitHub repository ${repository} ready` };
+      } catch (error) {
+        return { ready: false, reason: 'api', error: error.message, message: 'GitHub API request failed' };
+      }
+    },
+
+    printSetupInstructions(status) {
+      if (status.reason === 'token') {
+        console.log(chalk.yellow('\nExport a token with repository administration and secrets access:'));
+        console.log(chalk.cyan('  export GITHUB_TOKEN=$(gh auth token)'));
+      } else if (status.reason === 'repo') {
+        console.log(chalk.yellow('\nAdd a GitHub origin remote, or name the repository explicitly:'));
+        console.log(chalk.cyan('  export GITHUB_REPOSITORY=owner/repo'));
+      } else {
+        console.log(chalk.red(`\n${status.error}`));
+      }
+    },
+
+    scopeFor(envName) {
+      return options.repoSecret ? 'repository' : options.scopes?.[envName] || envName;
+    },
+
+    // Secrets are write-only, so an existing one is always replaced
+    async planSecret(keyName, value, scope) {
+      return { action: await getSecret(keyName, scope) ? 'replace' : 'add' };
+    },
+
+    async setSecret(keyName, value, scope, onProgress = () => {}) {
+      if (scope !== 'repository') {
+        // Creating an environment is idempotent
+        onProgress(`Ensuring GitHub Environment "${scope}" exists...`);
+        await api('PUT', `/repos/${repository}/environments/${encodeURIComponent(scope)}`, {});
+      }
+
+      const exists = !!await getSecret(keyName, scope);
+
+      onProgress(`Encrypting ${keyName} with the ${scope} public key...`);
+      const { key, key_id: keyId } = await api('GET', `${secretsPath(scope)}/public-key`);
+      const encryptedValue = await sealSecret(value, key);
+
+      await api('PUT', `${secretsPath(scope)}/${keyName}`, {
+        encrypted_value: encryptedValue,
+        key_id: keyId
+      });
+
+      return { action: exists ? 'updated' : 'created' };
+    },
+
+    // Only the update time can be compared with the local key
+    async readSecret(keyName, scope) {
+      const secret = await getSecret(keyName, scope);
+      return secret ? { fingerprint: null, updated: secret.updated_at || null } : null;
+    },
+
+    printManualInstructions(keyName, value, scope) {
+      console.log(chalk.yellow('\nManual setup:'));
+      if (scope === 'repository') {
+        console.log(chalk.cyan(`  gh secret set ${keyName}`));
+      } else {
+        console.log(chalk.cyan(`  gh secret set ${keyName} --env ${scope}`));
+      }
+      console.log(chalk.gray('  and paste the value from .env.keys when prompted'));
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import { createVercelTarget } from './vercel.js';
+import { createNetlifyTarget } from './netlify.js';
+import { createCloudflareTarget } from './cloudflare.js';
+import { createGitHubTarget } from './github.js';
+import { createKubernetesTarget, createComposeTarget } from './artifacts.js';
+import { ConfigError } from '../errors.js';
+
+/**
+ * Deploy targets, keyed by the name used with --target
+ *
+ * A target is an object with:
+ *   name, label                          - identification for messages
+ *   check()                              - { ready, message, ... } tool/auth status
+ *   printSetupInstructions(status)
+ *   scopeFor(envName)                    - target scope/context for an environment, honoring options.scopes
+ *   planSecret(keyName, value, scope)    - optional, { action: 'add' | 'replace' | 'unchanged' }
+ *   setSecret(keyName, value, scope, onProgress)
+ *                                        - { action: 'created' | 'updated', files? }
+ *   readSecret(keyName, scope)           - optional, { fingerprint, updated } of the key that is set, or null;
+ *                                          `fingerprint` is null when the value cannot be read back
+ *   printManualInstructions(keyName, value, scope)
+ *   canDeploy(scope)                     - optional, whether deploy() supports the scope
+ *   deploy({ envName, scope, prod })     - optional, { url, output, id? } trigger a deployment
+ *   waitForDeployment(deployment, { onProgress, signal })
+ *                                        - optional, resolve once a deployment from deploy() is live;
+ *                                          targets without it finish deploying inside deploy()
+ *   printNextSteps(files)                - optional, follow-up for targets that write files
+ */
+const TARGETS = {
+  vercel: createVercelTarget,
+  netlify: createNetlifyTarget,
+  cloudflare: createCloudflareTarget,
+  github: createGitHubTarget,
+  k8s: createKubernetesTarget,
+  compose: createComposeTarget
+};
+
+/**
+ * Names of all registered deploy targets
+ * @returns {string[]}
+ */
+export function listTargets() {
+  return Object.keys(TARGETS);
+}
+
+/**
+ * Create a deploy target by name
+ * @param {string} name - Target name
+ * @param {object} options - Command options passed through to the target
+ * @returns {object} Deploy target
+ * @throws {ConfigError} For unknown target names
+ */
+export function getTarget(name = 'vercel', options = {}) {
+  const factory = TARGETS[name];
+
+  if (!factory) {
+    throw new ConfigError(`Unknown deploy target "${name}". Available: ${listTargets().join(', ')}`);
+  }
+
+  // Scope mappings in .dotenvx-deploy.json are keyed by target name
+  return factory({ ...options, scopes: options.scopes?.[name] || {} });
+}
@@ -0,0 +1,235 @@
+import chalk from 'chalk';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { requestJson } from '../utils/http.js';
+import { keyFingerprint } from '../utils/keys.js';
+import { NotReadyError } from '../errors.js';
+
+const POLL_INTERVAL = 5000;
+const DEPLOY_TIMEOUT = 20 * 60 * 1000;
+
+/**
+ * Map a dotenvx environment to a Netlify deploy context
+ * @param {string} envName - Environment name
+ * @returns {string}
+ */
+export function netlifyContextFor(envName) {
+  switch (envName) {
+    case 'production':
+      return 'production';
+    case 'preview':
+      return 'deploy-preview';
+    case 'development':
+    case 'local':
+      return 'dev';
+    default:
+      return 'branch-deploy';
+  }
+}
+
+/**
+ * Read the linked Netlify site ID from NETLIFY_SITE_ID or .netlify/state.json
+ * @param {string} cwd - Current working directory
+ * @returns {string | null}
+ */
+function getNetlifySiteId(cwd) {
+  if (process.env.NETLIFY_SITE_ID) {
+    return process.env.NETLIFY_SITE_ID;
+  }
+
+  const statePath = join(cwd, '.netlify', 'state.json');
+  if (!existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(statePath, 'utf-8')).siteId || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the Netlify deploy target (Netlify REST API)
+ * @param {object} options - Command options
+ * @param {string} [options.context] - Override the deploy context
+ * @returns {object} Deploy target
+ */
+export function createNetlifyTarget(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const apiUrl = (process.env.NETLIFY_API_URL || 'https://api.netlify.com/api/v1').replace(/\/+$/, '');
+  const token = process.env.NETLIFY_AUTH_TOKEN;
+  const siteId = getNetlifySiteId(cwd);
+  let site = null;
+
+  const api = (method, path, body) => requestJson(`${apiUrl}${path}`, {
+    method,
+    body,
+    headers: { Authorization: `Bearer ${token}` },
+    signal: options.signal
+  });
+
+  // What check() reports when the token or the site is missing
+  const missingSetup = () => {
+    if (!token) {
+      return { ready: false, reason: 'token', message: 'NETLIFY_AUTH_TOKEN not set' };
+    }
+    if (!siteId) {
+      return { ready: false, reason: 'site', message: 'No linked Netlify site found' };
+    }
+    return null;
+  };
+
+  // Fetched once, by check() or by the first call that needs it
+  const getSite = async () => {
+    if (!site) {
+      const status = missingSetup();
+      if (status) {
+        throw new NotReadyError(status.message, { status, hint: 'Run `dotenvx-deploy deploy --target netlify` for setup instructions' });
+      }
+      site = await api('GET', `/sites/${siteId}`);
+    }
+    return site;
+  };
+
+  const envPath = async (keyName) => {
+    const { account_id: accountId, account_slug: accountSlug } = await getSite();
+    return `/accounts/${encodeURIComponent(accountId || accountSlug)}/env${keyName ? `/${keyName}` : ''}?site_id=${siteId}`;
+  };
+
+  const getEnv = async (keyName) => {
+    try {
+      return await api('GET', await envPath(keyName));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'netlify',
+    label: 'Netlify',
+
+    async check() {
+      const status = missingSetup();
+      if (status) {
+        return status;
+      }
+
+      try {
+        const { name } = await getSite();
+        return { ready: true, message: `Netlify site "${name}" ready` };
+      } catch (error) {
+        return { ready: false, reason: 'api', error: error.message, message: 'Netlify API request failed' };
+      }
+    },
+
+    printSetupInstructions(status) {
+      if (status.reason === 'token') {
+        console.log(chalk.yellow('\nCreate a personal access token and export it:'));
+        console.log(chalk.gray('  https://app.netlify.com/user/applications#personal-access-tokens'));
+        console.log(chalk.cyan('  export NETLIFY_AUTH_TOKEN=<token>'));
+      } else if (status.reason === 'site') {
+        console.log(chalk.yellow('\nLink this directory to a Netlify site:'));
+        console.log(chalk.cyan('  npx netlify-cli link'));
+        console.log(chalk.gray('  # or'));
+        console.log(chalk.cyan('  export NETLIFY_SITE_ID=<site id>'));
+      } else {
+        console.log(chalk.red(`\n${status.error}`));
+      }
+    },
+
+    scopeFor(envName) {
+      return options.context || options.scopes?.[envName] || netlifyContextFor(envName);
+    },
+
+    async planSecret(keyName, value, context) {
+      const existing = await getEnv(keyName);
+      if (!existing) {
+        return { action: 'add' };
+      }
+
+      // Secret values are not returned by the API, so they compare as changed
+      const current = existing.values?.find(v => v.context === context);
+      return { action: current?.value === value ? 'unchanged' : 'replace' };
+    },
+
+    async setSecret(keyName, value, context, onProgress = () => {}) {
+      const existing = await getEnv(keyName);
+
+      if (existing) {
+        onProgress(`Updating ${keyName} for ${context}...`);
+        await api('PATCH', await envPath(keyName), { context, value });
+        return { action: 'updated' };
+      }
+
+      onProgress(`Adding ${keyName} to Netlify...`);
+      await api('POST', await envPath(), [{
+        key: keyName,
+        scopes: ['builds', 'functions', 'runtime'],
+        values: [{ value, context }],
+        is_secret: true
+      }]);
+      return { action: 'created' };
+    },
+
+    // Secret values are not returned by the API, so only the update time is known for them
+    async readSecret(keyName, context) {
+      const existing = await getEnv(keyName);
+      const current = existing?.values?.find(v => v.context === context || v.context === 'all');
+      if (!current) {
+        return null;
+      }
+
+      return {
+        fingerprint: current.value ? keyFingerprint(current.value) : null,
+        updated: existing.updated_at || null
+      };
+    },
+
+    printManualInstructions(keyName, value, context) {
+      console.log(chalk.yellow('\nManual setup:'));
+      console.log(chalk.gray('  1. Go to Site configuration → Environment variables'));
+      console.log(chalk.gray(`  2. Add ${keyName} for the "${context}" deploy context with value:`));
+      console.log(chalk.cyan(`     ${value}`));
+    },
+
+    // Preview and branch deploys are built from git pushes
+    canDeploy(context) {
+      return context === 'production';
+    },
+
+    async deploy() {
+      const { name } = await getSite();
+      const build = await api('POST', `/sites/${siteId}/builds`, {});
+      return {
+        id: build.deploy_id,
+        url: `https://app.netlify.com/sites/${name}/deploys/${build.deploy_id}`,
+        output: null
+      };
+    },
+
+    async waitForDeployment({ id }, { timeout = DEPLOY_TIMEOUT, onProgress = () => {}, signal } = {}) {
+      const deadline = Date.now() + timeout;
+
+      while (Date.now() < deadline) {
+        const deploy = await api('GET', `/deploys/${id}`);
+
+        if (deploy.state === 'ready') {
+          return { url: deploy.ssl_url || deploy.url || null };
+        }
+        if (deploy.state === 'error' || deploy.state === 'rejected') {
+          throw new Error(`Netlify deploy ${id} failed: ${deploy.error_message || deploy.state}`);
+        }
+
+        onProgress(`Waiting for Netlify deploy (${deploy.state})...`);
+        await sleep(POLL_INTERVAL, undefined, { signal });
+      }
+
+      throw new Error(`Netlify deploy ${id} was not ready after ${Math.round(timeout / 60000)} minutes`);
+    }
+  };
+}
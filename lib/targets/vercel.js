@@ -0,0 +1,156 @@
+import chalk from 'chalk';
+import { vercel } from '../utils/exec.js';
+import { createVercelClient, readVercelProject } from '../utils/vercel.js';
+import { keyFingerprint } from '../utils/keys.js';
+
+const FINGERPRINT_COMMENT = 'dotenvx-deploy fingerprint';
+
+/**
+ * Fingerprint setSecret() left in a variable's comment
+ * @param {{ comment?: string }} env - Variable from the Vercel API
+ * @returns {string | null}
+ */
+function commentFingerprint(env) {
+  return env.comment?.match(new RegExp(`${FINGERPRINT_COMMENT} ([0-9a-f]{12})`))?.[1] || null;
+}
+
+/**
+ * Fingerprint of a variable's value: computed when the value can be read, else from its comment
+ * @param {object} client - Vercel API client
+ * @param {{ id: string, type: string, comment?: string }} env - Variable from the Vercel API
+ * @returns {Promise<string | null>}
+ */
+async function currentFingerprint(client, env) {
+  if (env.type === 'sensitive') {
+    return commentFingerprint(env);
+  }
+
+  const value = await client.getEnvValue(env.id);
+  return (value && keyFingerprint(value)) || commentFingerprint(env);
+}
+
+/**
+ * Map a dotenvx environment to a Vercel environment scope
+ * @param {string} envName - Environment name
+ * @returns {'production' | 'preview' | 'development'}
+ */
+export function vercelScopeFor(envName) {
+  if (envName === 'preview' || envName === 'staging') {
+    return 'preview';
+  }
+  if (envName === 'development') {
+    return 'development';
+  }
+  return 'production';
+}
+
+/**
+ * Create the Vercel deploy target (Vercel REST API)
+ *
+ * Environment variables are set through the API with VERCEL_TOKEN and the
+ * project linked in .vercel/project.json. Deployments still use the Vercel CLI.
+ * @param {object} options - Command options
+ * @returns {object} Deploy target
+ */
+export function createVercelTarget(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const token = process.env.VERCEL_TOKEN;
+  const project = readVercelProject(cwd);
+  const client = token && project ? createVercelClient({ token, ...project, signal: options.signal }) : null;
+
+  return {
+    name: 'vercel',
+    label: 'Vercel',
+
+    async check() {
+      if (!token) {
+        return { ready: false, reason: 'token', message: 'VERCEL_TOKEN not set' };
+      }
+
+      if (!project) {
+        return { ready: false, reason: 'project', message: 'No linked Vercel project found' };
+      }
+
+      try {
+        const { name } = await client.getProject();
+        return { ready: true, message: `Vercel project "${name}" ready` };
+      } catch (error) {
+        return { ready: false, reason: 'api', error: error.message, code: error.apiCode, message: 'Vercel API request failed' };
+      }
+    },
+
+    printSetupInstructions(status) {
+      if (status.reason === 'token') {
+        console.log(chalk.yellow('\nCreate an access token and export it:'));
+        console.log(chalk.gray('  https://vercel.com/account/tokens'));
+        console.log(chalk.cyan('  export VERCEL_TOKEN=<token>'));
+      } else if (status.reason === 'project') {
+        console.log(chalk.yellow('\nLink this directory to a Vercel project:'));
+        console.log(chalk.cyan('  npx vercel link'));
+        console.log(chalk.gray('  # or'));
+        console.log(chalk.cyan('  export VERCEL_PROJECT_ID=<project id> VERCEL_ORG_ID=<team id>'));
+      } else {
+        console.log(chalk.red(`\n${status.error}`));
+        if (status.code === 'forbidden') {
+          console.log(chalk.gray('  Make sure the token has access to the team that owns the project'));
+        }
+      }
+    },
+
+    scopeFor(envName) {
+      return options.scopes?.[envName] || vercelScopeFor(envName);
+    },
+
+    async planSecret(keyName, value, scope) {
+      const existing = await client.findEnv(keyName, scope);
+      if (!existing) {
+        return { action: 'add' };
+      }
+
+      // Sensitive variables cannot be read back; setSecret() left the fingerprint in the comment
+      const current = await currentFingerprint(client, existing);
+      return { action: current === keyFingerprint(value) && existing.target.length === 1 ? 'unchanged' : 'replace' };
+    },
+
+    async setSecret(keyName, value, scope, onProgress = () => {}) {
+      onProgress(`Setting ${keyName} through the Vercel API...`);
+      return client.upsertEnv(keyName, value, scope, {
+        comment: `${FINGERPRINT_COMMENT} ${keyFingerprint(value)}`
+      });
+    },
+
+    async readSecret(keyName, scope) {
+      const existing = await client.findEnv(keyName, scope);
+      if (!existing) {
+        return null;
+      }
+
+      return {
+        fingerprint: await currentFingerprint(client, existing),
+        updated: existing.updatedAt ? new Date(existing.updatedAt).toISOString() : null
+      };
+    },
+
+    printManualInstructions(keyName, value) {
+      console.log(chalk.yellow('\nManual setup:'));
+      console.log(chalk.gray(`  1. Go to your Vercel project settings`));
+      console.log(chalk.gray(`  2. Navigate to Environment Variables`));
+      console.log(chalk.gray(`  3. Add ${keyName} with value:`));
+      console.log(chalk.cyan(`     ${value}`));
+    },
+
+    async deploy({ envName, prod }) {
+      const deployArgs = ['deploy'];
+
+      if (prod || envName === 'production') {
+        deployArgs.push('--prod');
+      }
+
+      const { stdout } = await vercel(deployArgs, { cwd, signal: options.signal });
+
+      // Extract URL from output
+      const urlMatch = stdout.match(/https:\/\/[^\s]+\.vercel\.app/);
+      return { url: urlMatch ? urlMatch[0] : null, output: stdout };
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { getProjectName } from './detect.js';
+import { ConfigError } from '../errors.js';
+
+export const CONFIG_FILE = '.dotenvx-deploy.json';
+
+export const CONFIG_SCHEMA = JSON.parse(
+  readFileSync(new URL('./config.schema.json', import.meta.url), 'utf-8')
+);
+
+/**
+ * Built-in defaults for every configuration value
+ */
+export const DEFAULT_CONFIG = {
+  project: null,
+  environments: null,
+  provider: 'bitwarden',
+  folder: 'dotenvx-keys',
+  vault: 'dotenvx-keys',
+  mount: 'secret',
+  target: 'vercel',
+  targets: [],
+  engine: 'native',
+  scopes: {},
+  maxKeyAge: {},
+  naming: {
+    item: '{project}/{env}',
+    version: '{project}/{env}/{version}'
+  }
+};
+
+/**
+ * Validate a value against the subset of JSON Schema used by config.schema.json
+ * @param {any} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} path - Property path for messages
+ * @returns {string[]} Error messages
+ */
+function validate(value, schema, path) {
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && schema.type !== type) {
+    return [`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} is invalid: ${schema.description || `must match ${schema.pattern}`}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, i) => errors.push(...validate(item, schema.items || {}, `${path}[${i}]`)));
+  }
+
+  if (type === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (childSchema === false || (childSchema === undefined && schema.additionalProperties === false)) {
+        errors.push(`${path}.${key} is not a known setting`);
+      } else if (childSchema && childSchema !== true) {
+        errors.push(...validate(child, childSchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a parsed JSON file against a schema written in the same subset of
+ * JSON Schema as config.schema.json
+ * @param {any} value - Parsed file
+ * @param {object} schema - Schema
+ * @param {string} file - File name for messages
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateJson(value, schema, file) {
+  return validate(value, schema, file).map(e => e.replace(`${file}.`, ''));
+}
+
+/**
+ * Check a parsed configuration object against the schema
+ * @param {object} config - Parsed .dotenvx-deploy.json
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateConfig(config) {
+  return validateJson(config, CONFIG_SCHEMA, CONFIG_FILE);
+}
+
+/**
+ * Read and validate .dotenvx-deploy.json
+ * @param {string} cwd - Current working directory
+ * @returns {{ path: string, config: object } | null} Null when there is no config file
+ * @throws {ConfigError} When the file is not valid JSON or fails validation
+ */
+export function loadConfig(cwd = process.cwd()) {
+  const path = join(cwd, CONFIG_FILE);
+
+  if (!existsSync(path)) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`${CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid ${CONFIG_FILE}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return { path, config };
+}
+
+/**
+ * Resolve every configuration value from CLI flags, .dotenvx-deploy.json,
+ * package.json and the built-in defaults, in that order
+ * @param {string} cwd - Current working directory
+ * @param {object} flags - Options given explicitly on the command line
+ * @returns {{ values: object, sources: Record<string, string>, file: string | null }}
+ *   `sources` maps each setting to "flag", the config file name, "package.json" or "default"
+ */
+export function resolveConfig(cwd = process.cwd(), flags = {}) {
+  const loaded = loadConfig(cwd);
+  const fileConfig = loaded?.config || {};
+  const values = {};
+  const sources = {};
+
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (flags[key] !== undefined) {
+      values[key] = flags[key];
+      sources[key] = 'flag';
+    } else if (fileConfig[key] !== undefined) {
+      // Nested settings fall back to the defaults key by key
+      values[key] = key === 'naming'
+        ? { ...DEFAULT_CONFIG.naming, ...fileConfig.naming }
+        : fileConfig[key];
+      sources[key] = CONFIG_FILE;
+    } else if (key === 'project' && getProjectName(cwd)) {
+      values[key] = getProjectName(cwd);
+      sources[key] = 'package.json';
+    } else {
+      values[key] = DEFAULT_CONFIG[key];
+      sources[key] = 'default';
+    }
+  }
+
+  return { values, sources, file: loaded ? CONFIG_FILE : null };
+}
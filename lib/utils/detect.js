@@ -1,5 +1,7 @@
-import { existsSync, readFileSync, readdirSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
+import { parseEnv, readEnvFile, listVariables, isEncryptedEnv } from './dotenv.js';
+import { discoverEnvironments } from './environments.js';
 
 /**
  * Detect the project type (Next.js, Vite, or unknown)
@@ -92,17 +94,20 @@ export function isDotenvxInstalled(cwd = process.cwd()) {
   }
 }
 
+/**
+ * How long a CLI gets to answer --version or a status query
+ */
+const CLI_CHECK_TIMEOUT = 30000;
+
 /**
  * Check if Vercel CLI is available
  * @returns {Promise<boolean>}
  */
 export async function isVercelCliAvailable() {
-  const { exec } = await import('child_process');
-  const { promisify } = await import('util');
-  const execAsync = promisify(exec);
+  const { run } = await import('./exec.js');
 
   try {
-    await execAsync('vercel --version');
+    await run('vercel', ['--version'], { timeout: CLI_CHECK_TIMEOUT });
     return true;
   } catch {
     return false;
@@ -114,18 +119,16 @@ export async function isVercelCliAvailable() {
  * @returns {Promise<{ available: boolean, loggedIn: boolean, status?: string }>}
  */
 export async function checkBitwardenCli() {
-  const { exec } = await import('child_process');
-  const { promisify } = await import('util');
-  const execAsync = promisify(exec);
+  const { bw } = await import('./exec.js');
 
   try {
-    await execAsync('bw --version');
+    await bw(['--version'], { timeout: CLI_CHECK_TIMEOUT });
   } catch {
     return { available: false, loggedIn: false };
   }
 
   try {
-    const { stdout } = await execAsync('bw status');
+    const { stdout } = await bw(['status'], { timeout: CLI_CHECK_TIMEOUT });
     const status = JSON.parse(stdout);
     return {
       available: true,
@@ -138,75 +141,49 @@ export async function checkBitwardenCli() {
 }
 
 /**
- * Get existing environments from .env files
- * @param {string} cwd - Current working directory
- * @returns {string[]}
+ * Check if 1Password CLI is available and signed in
+ * @returns {Promise<{ available: boolean, loggedIn: boolean, status?: string, account?: string }>}
  */
-export function getExistingEnvironments(cwd = process.cwd()) {
-  const envFiles = [
-    '.env.production',
-    '.env.preview',
-    '.env.development',
-    '.env.local',
-    '.env.staging',
-    '.env.test'
-  ];
-
-  return envFiles
-    .filter(file => existsSync(join(cwd, file)))
-    .map(file => file.replace('.env.', ''));
+export async function checkOnePasswordCli() {
+  const { op } = await import('./exec.js');
+
+  try {
+    await op(['--version'], { timeout: CLI_CHECK_TIMEOUT });
+  } catch {
+    return { available: false, loggedIn: false };
+  }
+
+  try {
+    const { stdout } = await op(['whoami', '--format', 'json'], { timeout: CLI_CHECK_TIMEOUT });
+    const account = JSON.parse(stdout);
+    return {
+      available: true,
+      loggedIn: true,
+      status: 'signed in',
+      account: account.email || account.url
+    };
+  } catch {
+    return { available: true, loggedIn: false, status: 'signed out' };
+  }
 }
 
 /**
- * Find all .env* files in the directory
+ * Find every environment's env file, with its encryption state and variables
  * @param {string} cwd - Current working directory
- * @returns {Array<{ file: string, name: string, path: string, isEncrypted: boolean, varCount: number, variables: string[] }>}
+ * @returns {object[]} Entries from discoverEnvironments(), with { isEncrypted, varCount, variables }
  */
 export function findAllEnvFiles(cwd = process.cwd()) {
-  try {
-    const files = readdirSync(cwd);
-    const envFiles = files.filter(f =>
-      f.startsWith('.env') &&
-      !f.endsWith('.keys') &&
-      !f.includes('.backup') &&
-      !f.endsWith('.example') &&
-      !f.endsWith('.sample')
-    );
-
-    return envFiles.map(file => {
-      const filePath = join(cwd, file);
-      const content = readFileSync(filePath, 'utf-8');
-
-      // Check if encrypted
-      const isEncrypted = content.includes('encrypted:') || content.includes('DOTENV_PUBLIC_KEY');
-
-      // Parse variables (excluding DOTENV_* keys)
-      const variables = [];
-      for (const line of content.split('\n')) {
-        const match = line.match(/^([A-Z_][A-Z0-9_]*)=/i);
-        if (match && !match[1].startsWith('DOTENV_')) {
-          variables.push(match[1]);
-        }
-      }
-
-      // Determine environment name
-      let name = file.replace('.env.', '').replace('.env', 'root');
-      if (file === '.env') {
-        name = 'root';
-      }
+  return discoverEnvironments(cwd).map(env => {
+    const doc = parseEnv(readFileSync(env.path, 'utf-8'));
+    const variables = listVariables(doc);
 
-      return {
-        file,
-        name,
-        path: filePath,
-        isEncrypted,
-        varCount: variables.length,
-        variables
-      };
-    });
-  } catch {
-    return [];
-  }
+    return {
+      ...env,
+      isEncrypted: isEncryptedEnv(doc),
+      varCount: variables.length,
+      variables
+    };
+  });
 }
 
 /**
@@ -215,24 +192,17 @@ export function findAllEnvFiles(cwd = process.cwd()) {
  * @returns {{ exists: boolean, keys: Record<string, string> }}
  */
 export function getEnvKeys(cwd = process.cwd()) {
-  const keysPath = join(cwd, '.env.keys');
-
-  if (!existsSync(keysPath)) {
-    return { exists: false, keys: {} };
-  }
-
   try {
-    const content = readFileSync(keysPath, 'utf-8');
-    const keys = {};
-
-    for (const line of content.split('\n')) {
-      // Match DOTENV_PRIVATE_KEY (for .env) or DOTENV_PRIVATE_KEY_<ENV> (for .env.<env>)
-      const match = line.match(/^(DOTENV_PRIVATE_KEY(?:_\w+)?)="?([^"]+)"?$/);
-      if (match) {
-        keys[match[1]] = match[2];
-      }
+    const doc = readEnvFile(join(cwd, '.env.keys'));
+
+    if (!doc) {
+      return { exists: false, keys: {} };
     }
 
+    // DOTENV_PRIVATE_KEY (for .env) or DOTENV_PRIVATE_KEY_<ENV> (for .env.<env>)
+    const keys = Object.fromEntries(Object.entries(doc.toObject())
+      .filter(([name, value]) => /^DOTENV_PRIVATE_KEY(?:_[\w-]+)?$/.test(name) && value));
+
     return { exists: true, keys };
   } catch {
     return { exists: false, keys: {} };
@@ -0,0 +1,332 @@
+import { existsSync, readFileSync } from 'fs';
+
+/**
+ * `[export] KEY=` or `KEY: ` at the start of an entry
+ */
+const ENTRY_START = /^(\s*)(export\s+)?([\w.-]+)(\s*=\s*|:\s+)/;
+
+const QUOTES = ['"', "'", '`'];
+
+/**
+ * Characters that can go unquoted without changing meaning
+ */
+const UNQUOTED_SAFE = /^[\w.:/@+=,-]*$/;
+
+/**
+ * Find the quote that closes a quoted value
+ * @param {string} content - File content
+ * @param {number} from - Index after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(content, from, quote) {
+  for (let i = from; i < content.length; i++) {
+    if (quote === '"' && content[i] === '\\') {
+      i++;
+    } else if (content[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Decode the escapes dotenv understands in double-quoted values: only `\n`
+ * and `\r`. Any other backslash is kept.
+ * @param {string} value - Raw value between the quotes
+ * @returns {string}
+ */
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\n/g, '\n').replace(/\\r/g, '\r');
+}
+
+/**
+ * Read an unquoted value as dotenv does: up to the first `#`, trimmed, and
+ * without a pair of surrounding quotes (`'a'b'` is `a'b`)
+ * @param {string} text - Value text, without the comment
+ * @returns {{ value: string, quote: string }}
+ */
+function readUnquoted(text) {
+  const value = text.trim();
+  const quoted = value.match(/^(['"`])([\s\S]*)\1$/);
+
+  if (!quoted) {
+    return { value, quote: '' };
+  }
+  return { value: quoted[1] === '"' ? unescapeDoubleQuoted(quoted[2]) : quoted[2], quote: quoted[1] };
+}
+
+/**
+ * Split the text after a value into whitespace and an inline comment
+ * @param {string} text - Rest of the line, without the line ending
+ * @returns {string | null} Comment without the leading `#`
+ */
+function inlineComment(text) {
+  const match = text.match(/(?:^|\s)#\s?(.*)$/);
+  return match ? match[1].trimEnd() : null;
+}
+
+/**
+ * Split env file content into nodes, each holding its exact source text
+ * @param {string} content - File content
+ * @returns {object[]} Nodes of type 'blank', 'comment', 'entry' or 'invalid'
+ */
+function parseNodes(content) {
+  const nodes = [];
+  let pos = 0;
+
+  const lineEndAfter = (index) => {
+    const newline = content.indexOf('\n', index);
+    return newline === -1 ? content.length : newline + 1;
+  };
+
+  while (pos < content.length) {
+    const lineEnd = lineEndAfter(pos);
+    const line = content.slice(pos, lineEnd).replace(/\r?\n$/, '');
+    const start = line.match(ENTRY_START);
+
+    if (line.trim() === '') {
+      nodes.push({ type: 'blank', raw: content.slice(pos, lineEnd) });
+      pos = lineEnd;
+      continue;
+    }
+
+    if (line.trimStart().startsWith('#') || !start) {
+      nodes.push({ type: line.trimStart().startsWith('#') ? 'comment' : 'invalid', raw: content.slice(pos, lineEnd) });
+      pos = lineEnd;
+      continue;
+    }
+
+    const prefix = start[0];
+    let quote = QUOTES.find(q => line[prefix.length] === q) || '';
+    let value;
+    let valueEnd;
+
+    if (quote) {
+      const close = findClosingQuote(content, pos + prefix.length + 1, quote);
+
+      if (close === -1) {
+        nodes.push({ type: 'invalid', raw: content.slice(pos, lineEnd) });
+        pos = lineEnd;
+        continue;
+      }
+
+      // Text after the closing quote makes dotenv read the line as unquoted
+      if (/^[^\S\n]*(#.*)?\r?(\n|$)/.test(content.slice(close + 1, lineEndAfter(close)))) {
+        const inner = content.slice(pos + prefix.length + 1, close);
+        value = quote === '"' ? unescapeDoubleQuoted(inner) : inner;
+        valueEnd = close + 1;
+      }
+    }
+
+    if (valueEnd === undefined) {
+      const rest = line.slice(prefix.length);
+      const text = rest.includes('#') ? rest.slice(0, rest.indexOf('#')) : rest;
+      ({ value, quote } = readUnquoted(text));
+      valueEnd = pos + prefix.length + text.trimEnd().length;
+    }
+
+    const end = lineEndAfter(valueEnd);
+    const suffix = content.slice(valueEnd, end);
+
+    nodes.push({
+      type: 'entry',
+      key: start[3],
+      value,
+      quote,
+      exported: !!start[2],
+      comment: inlineComment(suffix.replace(/\r?\n$/, '')),
+      prefix,
+      suffix,
+      raw: content.slice(pos, end)
+    });
+    pos = end;
+  }
+
+  return nodes;
+}
+
+/**
+ * Quote a value so dotenv and dotenvx read it back unchanged
+ *
+ * Double quotes are preferred, as dotenvx writes them; line breaks in them
+ * are written as `\n` and `\r`, the only escapes dotenv decodes. Values with
+ * `"`, `\` or `$` use single quotes or backticks, which are taken literally.
+ * A value with all three quotes is wrapped in single quotes as it is, which
+ * dotenv reads back as long as it is one line without `#`.
+ * @param {string} value - Value
+ * @param {string} [preferred] - Quote to keep when it fits (the entry's current quote)
+ * @returns {string}
+ * @throws {Error} For values no quoting keeps intact
+ */
+export function formatEnvValue(value, preferred = '"') {
+  const fits = {
+    '': UNQUOTED_SAFE.test(value),
+    '"': !/["\\$]/.test(value),
+    "'": !/['\r]/.test(value),
+    '`': !/[`\r]/.test(value)
+  };
+
+  const quote = [preferred, '"', "'", '`'].find(q => fits[q]);
+
+  if (quote === '"') {
+    return `"${value.replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+  }
+  if (quote !== undefined) {
+    return `${quote}${value}${quote}`;
+  }
+
+  if (/[\r\n#]/.test(value) || value.includes("\\'")) {
+    throw new Error('Cannot write this value to an env file: it has every kind of quote and a line break, # or \\\'');
+  }
+  return `'${value}'`;
+}
+
+/**
+ * Parse env file content into an editable document
+ *
+ * Comments, blank lines, `export` prefixes, quoting and unparseable lines
+ * are kept, so `toString()` returns the original content until something is
+ * changed, and only the changed entries afterwards.
+ * @param {string} [content] - File content
+ * @returns {{ nodes: object[], entries: () => object[], keys: () => string[], has: (key: string) => boolean,
+ *   get: (key: string) => string | undefined, set: (key: string, value: string, options?: object) => void,
+ *   delete: (key: string, options?: object) => boolean,
+ *   toObject: () => Record<string, string>, toString: () => string }}
+ */
+export function parseEnv(content = '') {
+  const nodes = parseNodes(content);
+
+  const entries = () => nodes.filter(node => node.type === 'entry');
+
+  /**
+   * Add text at the end, after finishing an unterminated last line
+   */
+  const append = (node) => {
+    const last = nodes[nodes.length - 1];
+    if (last && !last.raw.endsWith('\n')) {
+      last.raw += '\n';
+      if (last.type === 'entry') {
+        last.suffix += '\n';
+      }
+    }
+    nodes.push(node);
+  };
+
+  return {
+    nodes,
+    entries,
+
+    keys() {
+      return [...new Set(entries().map(entry => entry.key))];
+    },
+
+    has(key) {
+      return entries().some(entry => entry.key === key);
+    },
+
+    // Later entries win, as in dotenv
+    get(key) {
+      return entries().filter(entry => entry.key === key).pop()?.value;
+    },
+
+    /**
+     * Set a value in place, or append an entry (after `comment`, if given,
+     * on its own line) when the key is new. New entries use `quote` when
+     * the value fits it.
+     */
+    set(key, value, { comment, quote = '"' } = {}) {
+      const existing = entries().filter(entry => entry.key === key);
+
+      for (const entry of existing) {
+        const formatted = formatEnvValue(value, entry.quote);
+        entry.value = value;
+        entry.quote = formatted === value ? '' : formatted[0];
+        entry.raw = entry.prefix + formatted + entry.suffix;
+      }
+
+      if (existing.length > 0) {
+        return;
+      }
+
+      if (comment) {
+        if (nodes.length > 0) {
+          append({ type: 'blank', raw: '\n' });
+        }
+        append({ type: 'comment', raw: `${comment}\n` });
+      }
+
+      const formatted = formatEnvValue(value, quote);
+      const prefix = `${key}=`;
+      append({ type: 'entry', key, value, quote: formatted === value ? '' : formatted[0], exported: false, comment: null, prefix, suffix: '\n', raw: `${prefix}${formatted}\n` });
+    },
+
+    /**
+     * Remove every entry for a key. With `comments`, the comment lines
+     * directly above each entry go too.
+     */
+    delete(key, { comments = false } = {}) {
+      const existing = entries().filter(entry => entry.key === key);
+
+      for (const entry of existing) {
+        const index = nodes.indexOf(entry);
+        let from = index;
+
+        while (comments && nodes[from - 1]?.type === 'comment') {
+          from--;
+        }
+
+        const block = nodes.splice(from, index - from + 1);
+        if (from > 0 && nodes[from - 1]?.type === 'blank' && block[0].type === 'comment') {
+          nodes.splice(from - 1, 1);
+        }
+      }
+
+      return existing.length > 0;
+    },
+
+    toObject() {
+      return Object.fromEntries(entries().map(entry => [entry.key, entry.value]));
+    },
+
+    toString() {
+      return nodes.map(node => node.raw).join('');
+    }
+  };
+}
+
+/**
+ * Read and parse an env file
+ * @param {string} path - File path
+ * @returns {ReturnType<typeof parseEnv> | null} Document, or null when the file does not exist
+ */
+export function readEnvFile(path) {
+  return existsSync(path) ? parseEnv(readFileSync(path, 'utf-8')) : null;
+}
+
+/**
+ * Variable names in an env file, without the DOTENV_* keys dotenvx adds
+ * @param {ReturnType<typeof parseEnv>} doc - Parsed env file
+ * @returns {string[]}
+ */
+export function listVariables(doc) {
+  return doc.keys().filter(key => !key.startsWith('DOTENV_'));
+}
+
+/**
+ * Whether any value in an env file is encrypted by dotenvx
+ * @param {ReturnType<typeof parseEnv>} doc - Parsed env file
+ * @returns {boolean}
+ */
+export function hasEncryptedValues(doc) {
+  return doc.entries().some(entry => entry.value.startsWith('encrypted:'));
+}
+
+/**
+ * Whether dotenvx has encrypted an env file: it has a public key or encrypted values
+ * @param {ReturnType<typeof parseEnv>} doc - Parsed env file
+ * @returns {boolean}
+ */
+export function isEncryptedEnv(doc) {
+  return doc.keys().some(key => key.startsWith('DOTENV_PUBLIC_KEY')) || hasEncryptedValues(doc);
+}
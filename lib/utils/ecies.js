@@ -0,0 +1,151 @@
+import { createECDH, createCipheriv, createDecipheriv, hkdfSync, randomBytes } from 'crypto';
+import { secp256k1 } from '@noble/curves/secp256k1';
+
+/**
+ * Prefix of values encrypted by dotenvx
+ */
+export const ENCRYPTED_PREFIX = 'encrypted:';
+
+const NONCE_LENGTH = 16;
+const TAG_LENGTH = 16;
+const UNCOMPRESSED_LENGTH = 65;
+
+/**
+ * Parse a hex private key
+ * @param {string} privateKey - 64 hex characters
+ * @returns {Buffer}
+ * @throws {Error} For keys that are not valid secp256k1 scalars
+ */
+function parsePrivateKey(privateKey) {
+  if (!/^[0-9a-f]{64}$/i.test(privateKey)) {
+    throw new Error('Invalid private key: expected 64 hex characters');
+  }
+  const bytes = Buffer.from(privateKey, 'hex');
+  if (!secp256k1.utils.isValidPrivateKey(bytes)) {
+    throw new Error('Invalid private key: out of range');
+  }
+  return bytes;
+}
+
+/**
+ * The shared point of a private key and a public key, which the AES key is derived from.
+ * Node's ECDH only returns its x coordinate, and dotenvx hashes the whole point.
+ * @param {Buffer} privateKey - 32-byte private key
+ * @param {Buffer} publicKey - SEC1-encoded public key
+ * @returns {Buffer} Uncompressed SEC1 encoding
+ * @throws {Error} For malformed public keys or points off the curve
+ */
+function sharedPoint(privateKey, publicKey) {
+  try {
+    return Buffer.from(secp256k1.getSharedSecret(privateKey, publicKey, false));
+  } catch {
+    throw new Error('Invalid public key: not a secp256k1 point');
+  }
+}
+
+/**
+ * AES key for a message: HKDF-SHA256 over the ephemeral public key and the shared point
+ * @param {Buffer} ephemeralPublicKey - Uncompressed ephemeral public key
+ * @param {Buffer} shared - Uncompressed shared point
+ * @returns {Buffer}
+ */
+function deriveKey(ephemeralPublicKey, shared) {
+  return Buffer.from(hkdfSync('sha256', Buffer.concat([ephemeralPublicKey, shared]), Buffer.alloc(0), Buffer.alloc(0), 32));
+}
+
+/**
+ * Generate a key pair in the format dotenvx writes
+ * @returns {{ privateKey: string, publicKey: string }} 64-character hex private key and
+ *   66-character hex compressed public key
+ */
+export function generateKeyPair() {
+  const ecdh = createECDH('secp256k1');
+  ecdh.generateKeys();
+
+  return {
+    privateKey: ecdh.getPrivateKey('hex').padStart(64, '0'),
+    publicKey: ecdh.getPublicKey('hex', 'compressed')
+  };
+}
+
+/**
+ * Derive the compressed public key for a private key
+ * @param {string} privateKey - 64 hex characters
+ * @returns {string} 66 hex characters
+ * @throws {Error} For invalid private keys
+ */
+export function publicKeyFromPrivate(privateKey) {
+  parsePrivateKey(privateKey);
+  const ecdh = createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(privateKey, 'hex'));
+  return ecdh.getPublicKey('hex', 'compressed');
+}
+
+/**
+ * Whether a value is encrypted by dotenvx
+ * @param {string} value - Env value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt a value for a public key, as dotenvx does (ECIES with secp256k1)
+ *
+ * The payload is the uncompressed ephemeral public key, a 16-byte nonce,
+ * the AES-256-GCM tag and the ciphertext, base64-encoded after `encrypted:`.
+ * The AES key is HKDF-SHA256 of the ephemeral public key and the shared point.
+ * @param {string} publicKey - Hex public key (compressed or uncompressed)
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} `encrypted:<base64>`
+ */
+export function encryptValue(publicKey, plaintext) {
+  const ephemeral = createECDH('secp256k1');
+  ephemeral.generateKeys();
+
+  const ephemeralPublicKey = ephemeral.getPublicKey(null, 'uncompressed');
+  const ephemeralPrivateKey = Buffer.from(ephemeral.getPrivateKey('hex').padStart(64, '0'), 'hex');
+  const shared = sharedPoint(ephemeralPrivateKey, Buffer.from(publicKey, 'hex'));
+  const nonce = randomBytes(NONCE_LENGTH);
+
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(ephemeralPublicKey, shared), nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+  const payload = Buffer.concat([ephemeralPublicKey, nonce, cipher.getAuthTag(), ciphertext]);
+  return `${ENCRYPTED_PREFIX}${payload.toString('base64')}`;
+}
+
+/**
+ * Decrypt a value encrypted by dotenvx or encryptValue()
+ * @param {string} privateKey - 64 hex characters
+ * @param {string} value - `encrypted:<base64>`
+ * @returns {string} Plaintext
+ * @throws {Error} When the value is malformed or was encrypted for another key
+ */
+export function decryptValue(privateKey, value) {
+  if (!isEncryptedValue(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const payload = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64');
+
+  if (payload.length < UNCOMPRESSED_LENGTH + NONCE_LENGTH + TAG_LENGTH) {
+    throw new Error('Encrypted value is too short');
+  }
+
+  const ephemeralPublicKey = payload.subarray(0, UNCOMPRESSED_LENGTH);
+  const nonce = payload.subarray(UNCOMPRESSED_LENGTH, UNCOMPRESSED_LENGTH + NONCE_LENGTH);
+  const tag = payload.subarray(UNCOMPRESSED_LENGTH + NONCE_LENGTH, UNCOMPRESSED_LENGTH + NONCE_LENGTH + TAG_LENGTH);
+  const ciphertext = payload.subarray(UNCOMPRESSED_LENGTH + NONCE_LENGTH + TAG_LENGTH);
+
+  const shared = sharedPoint(parsePrivateKey(privateKey), ephemeralPublicKey);
+  const decipher = createDecipheriv('aes-256-gcm', deriveKey(ephemeralPublicKey, shared), nonce);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new Error('Could not decrypt value: wrong private key or corrupted data');
+  }
+}
@@ -0,0 +1,162 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { validateJson } from './config.js';
+import { ConfigError } from '../errors.js';
+
+export const ENV_SCHEMA_FILE = '.env.schema';
+
+export const ENV_SCHEMA_SCHEMA = JSON.parse(
+  readFileSync(new URL('./env-schema.schema.json', import.meta.url), 'utf-8')
+);
+
+/**
+ * Checks for each variable type; each returns whether a value has the type
+ */
+const TYPE_CHECKS = {
+  string: () => true,
+  number: (value) => value.trim() !== '' && Number.isFinite(Number(value)),
+  integer: (value) => /^[-+]?\d+$/.test(value.trim()),
+  boolean: (value) => ['true', 'false', '1', '0', 'yes', 'no'].includes(value.toLowerCase()),
+  url: (value) => {
+    try {
+      return !!new URL(value).protocol;
+    } catch {
+      return false;
+    }
+  },
+  port: (value) => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 65535,
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  json: (value) => {
+    try {
+      JSON.parse(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+const TYPE_NAMES = {
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean (true, false, 1, 0, yes or no)',
+  url: 'a URL',
+  port: 'a port number (1-65535)',
+  email: 'an email address',
+  json: 'valid JSON'
+};
+
+/**
+ * Read the .env.schema that applies to env files in a directory: the one in
+ * that directory, else the project's
+ * @param {string} cwd - Project directory
+ * @param {string} [dir] - Directory of the env file, relative to cwd
+ * @returns {{ file: string, strict: boolean, variables: Record<string, object> } | null}
+ *   Null when there is no schema
+ * @throws {ConfigError} When the file is not valid JSON or not a valid schema
+ */
+export function readEnvSchema(cwd, dir = '') {
+  const file = [dir && `${dir}/${ENV_SCHEMA_FILE}`, ENV_SCHEMA_FILE].find(candidate => candidate && existsSync(join(cwd, candidate)));
+
+  if (!file) {
+    return null;
+  }
+
+  let schema;
+  try {
+    schema = JSON.parse(readFileSync(join(cwd, file), 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`${file} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateJson(schema, ENV_SCHEMA_SCHEMA, file);
+
+  for (const [name, spec] of Object.entries(schema?.variables || {})) {
+    try {
+      new RegExp(spec?.pattern ?? '');
+    } catch (error) {
+      errors.push(`variables.${name}.pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return { file, strict: !!schema.strict, variables: schema.variables || {} };
+}
+
+/**
+ * Whether an environment must set a variable
+ * @param {object} spec - Variable from .env.schema
+ * @param {{ id: string, name: string }} env - Environment from discoverEnvironments()
+ * @returns {boolean}
+ */
+function isRequired(spec, env) {
+  if (spec.requiredIn) {
+    return spec.requiredIn.includes(env.id) || spec.requiredIn.includes(env.name);
+  }
+  return spec.required !== false;
+}
+
+/**
+ * Check one value against its declaration
+ * @param {object} spec - Variable from .env.schema
+ * @param {string} value - Decrypted value
+ * @returns {string | null} What is wrong, or null when the value is valid
+ */
+export function checkValue(spec, value) {
+  const type = spec.type || 'string';
+
+  if (!TYPE_CHECKS[type](value)) {
+    return `must be ${TYPE_NAMES[type]}`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (spec.pattern && !new RegExp(`^(?:${spec.pattern})$`).test(value)) {
+    return `must match ${spec.pattern}`;
+  }
+  return null;
+}
+
+/**
+ * Check an environment's values against a schema
+ *
+ * Values that could not be decrypted (null) only count as present. With
+ * `partial`, only the given values are checked and nothing is reported
+ * missing.
+ * @param {{ strict: boolean, variables: Record<string, object> }} schema - From readEnvSchema()
+ * @param {{ id: string, name: string }} env - Environment from discoverEnvironments()
+ * @param {Record<string, string | null>} values - Values by name, decrypted
+ * @param {object} [options] - Options
+ * @param {boolean} [options.partial] - Only check the given values
+ * @returns {{ variable: string, message: string }[]} Violations
+ */
+export function validateValues(schema, env, values, { partial = false } = {}) {
+  const violations = [];
+
+  for (const [variable, spec] of Object.entries(schema.variables)) {
+    const value = values[variable];
+
+    if (value === undefined || value === '') {
+      if (!partial && isRequired(spec, env)) {
+        violations.push({ variable, message: 'is required' });
+      }
+      continue;
+    }
+
+    const message = value === null ? null : checkValue(spec, value);
+    if (message) {
+      violations.push({ variable, message });
+    }
+  }
+
+  if (schema.strict) {
+    Object.keys(values)
+      .filter(variable => !variable.startsWith('DOTENV_') && !schema.variables[variable])
+      .forEach(variable => violations.push({ variable, message: 'is not declared in .env.schema' }));
+  }
+
+  return violations;
+}
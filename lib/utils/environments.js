@@ -0,0 +1,170 @@
+import { readdirSync } from 'fs';
+import { join, posix } from 'path';
+import { keyNameForEnv } from './keys.js';
+
+/**
+ * Name of the environment of the base `.env` file
+ */
+export const ROOT_ENVIRONMENT = 'root';
+
+/**
+ * Suffix parts that mark a `.env.*` file as something other than an environment
+ */
+const NOT_ENVIRONMENTS = ['keys', 'vault', 'example', 'sample', 'template', 'schema', 'backup', 'bak', 'orig'];
+
+/**
+ * Directories that are never searched for env files, besides hidden ones
+ */
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'out', 'coverage', 'vendor'];
+
+/**
+ * How many directories deep discovery looks below the project directory
+ */
+const MAX_DEPTH = 3;
+
+/**
+ * Whether a file name is an environment's env file: `.env` or `.env.<name>`,
+ * but not .env.keys, its backups and metadata, or example files
+ * @param {string} fileName - File name without directory
+ * @returns {boolean}
+ */
+export function isEnvFileName(fileName) {
+  if (fileName === '.env') {
+    return true;
+  }
+  if (!fileName.startsWith('.env.') || fileName.length === '.env.'.length) {
+    return false;
+  }
+  return !fileName.slice('.env.'.length).split('.').some(part => NOT_ENVIRONMENTS.includes(part.toLowerCase()));
+}
+
+/**
+ * Environment name for an env file: `.env` is root, `.env.<name>` is <name>
+ * @param {string} file - Env file path
+ * @returns {string}
+ */
+export function envNameForFile(file) {
+  const fileName = posix.basename(file.replace(/\\/g, '/'));
+  return fileName === '.env' ? ROOT_ENVIRONMENT : fileName.slice('.env.'.length);
+}
+
+/**
+ * Env file for an environment. Environments in subdirectories are named by
+ * their directory: `apps/web/production` is apps/web/.env.production.
+ * @param {string} id - Environment name, or directory and name
+ * @returns {string} Path relative to the project directory
+ */
+export function envFileFor(id) {
+  const slash = id.lastIndexOf('/');
+  const dir = slash === -1 ? '' : id.slice(0, slash);
+  const name = id.slice(slash + 1);
+  const file = name === ROOT_ENVIRONMENT ? '.env' : `.env.${name}`;
+  return dir ? `${dir}/${file}` : file;
+}
+
+/**
+ * Describe the environment of an env file
+ *
+ * Key names follow dotenvx: `.env.production.local` is decrypted with
+ * DOTENV_PRIVATE_KEY_PRODUCTION_LOCAL. Each directory has its own .env.keys,
+ * so apps/web/.env.production uses apps/web/.env.keys.
+ * @param {string} cwd - Project directory
+ * @param {string} file - Env file path relative to `cwd`
+ * @returns {{ id: string, name: string, file: string, dir: string, path: string, keysFile: string,
+ *   keyName: string, publicKeyName: string, local: boolean }} `id` is `name`, prefixed with
+ *   `dir/` for files in subdirectories; `local` marks `*.local` overrides
+ */
+export function describeEnvFile(cwd, file) {
+  const normalized = posix.normalize(file.replace(/\\/g, '/'));
+  const dir = posix.dirname(normalized) === '.' ? '' : posix.dirname(normalized);
+  const name = envNameForFile(normalized);
+  const keyName = keyNameForEnv(name);
+
+  return {
+    id: dir ? `${dir}/${name}` : name,
+    name,
+    file: normalized,
+    dir,
+    path: join(cwd, normalized),
+    keysFile: dir ? `${dir}/.env.keys` : '.env.keys',
+    keyName,
+    publicKeyName: keyName.replace('PRIVATE', 'PUBLIC'),
+    local: name === 'local' || name.endsWith('.local')
+  };
+}
+
+/**
+ * Env files in a directory and, with `depth` left, its subdirectories
+ * @param {string} cwd - Project directory
+ * @param {string} dir - Directory relative to `cwd`
+ * @param {number} depth - Subdirectory levels left to search
+ * @returns {string[]}
+ */
+function findEnvFiles(cwd, dir, depth) {
+  let entries;
+  try {
+    entries = readdirSync(join(cwd, dir), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries.flatMap(entry => {
+    const path = dir ? `${dir}/${entry.name}` : entry.name;
+
+    if (entry.isFile()) {
+      return isEnvFileName(entry.name) ? [path] : [];
+    }
+    if (entry.isDirectory() && depth > 0 && !entry.name.startsWith('.') && !IGNORED_DIRECTORIES.includes(entry.name)) {
+      return findEnvFiles(cwd, path, depth - 1);
+    }
+    return [];
+  });
+}
+
+/**
+ * Whether an environment is in a list from the `environments` setting. A
+ * name matches that environment in every directory, a `dir/name` only
+ * the one in that directory.
+ * @param {object} env - Entry from describeEnvFile()
+ * @param {string[]} list - Environment names or ids
+ * @returns {boolean}
+ */
+function isListed(env, list) {
+  return list.includes(env.id) || list.includes(env.name);
+}
+
+/**
+ * Find every environment of a project from its env files
+ *
+ * This is how every command finds environments: the root `.env`,
+ * `.env.<name>` with any name, `*.local` overrides, and the same files in
+ * subdirectories (hidden directories, node_modules and build output are
+ * skipped). Project directory files come first, root first, then by name.
+ * @param {string} [cwd] - Project directory
+ * @param {object} [options] - Options
+ * @param {string[] | null} [options.environments] - Only these environments (default: all)
+ * @param {boolean} [options.recursive] - Search subdirectories (default: true)
+ * @returns {object[]} Entries from describeEnvFile()
+ */
+export function discoverEnvironments(cwd = process.cwd(), { environments = null, recursive = true } = {}) {
+  const found = findEnvFiles(cwd, '', recursive ? MAX_DEPTH : 0)
+    .map(file => describeEnvFile(cwd, file))
+    .filter(env => !environments?.length || isListed(env, environments));
+
+  const order = (env) => [env.dir ? 1 : 0, env.dir, env.name === ROOT_ENVIRONMENT ? '' : env.name];
+  return found.sort((a, b) => {
+    const [x, y] = [order(a), order(b)];
+    return x[0] - y[0] || x[1].localeCompare(y[1]) || x[2].localeCompare(y[2]);
+  });
+}
+
+/**
+ * Find an environment by id (`production`, `apps/web/production`) or env file path
+ * @param {object[]} environments - Entries from discoverEnvironments()
+ * @param {string} ref - Environment id or file
+ * @returns {object | undefined}
+ */
+export function findEnvironment(environments, ref) {
+  const file = posix.normalize(ref.replace(/\\/g, '/'));
+  return environments.find(env => env.id === ref || env.file === file);
+}
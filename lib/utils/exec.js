@@ -1,107 +1,223 @@
-import { exec, spawn } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
+import { CommandError } from '../errors.js';
 
-const execAsync = promisify(exec);
+const MAX_BUFFER = 1024 * 1024 * 10;
 
 /**
- * Execute a command and return the result
- * @param {string} command - Command to execute
- * @param {object} options - Options
- * @returns {Promise<{ stdout: string, stderr: string }>}
+ * Time a timed-out or cancelled command gets to exit after SIGTERM
  */
-export async function run(command, options = {}) {
-  const { cwd = process.cwd(), silent = false } = options;
-
-  try {
-    const result = await execAsync(command, { cwd, maxBuffer: 1024 * 1024 * 10 });
-    return result;
-  } catch (error) {
-    if (!silent) {
-      throw error;
-    }
-    return { stdout: '', stderr: error.message };
-  }
-}
+const KILL_GRACE = 2000;
 
 /**
- * Execute a command with live output streaming
- * @param {string} command - Command to execute
- * @param {string[]} args - Command arguments
- * @param {object} options - Options
- * @returns {Promise<number>}
+ * Run a program without a shell
+ *
+ * Arguments are passed verbatim, so spaces, quotes and `$` need no escaping.
+ * Secrets belong in `input`, which is written to stdin: argv is visible to
+ * every user on the machine. stdin is always closed, so a program that reads
+ * it never waits for a terminal.
+ * @param {string} file - Program to run
+ * @param {string[]} args - Arguments
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Working directory
+ * @param {object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.input] - Written to stdin
+ * @param {number} [options.timeout] - Milliseconds before the program is killed (default: none)
+ * @param {AbortSignal} [options.signal] - Kills the program when aborted
+ * @param {boolean} [options.check] - Reject when the program fails (default: true). With false,
+ *   failures resolve too, with `code` null when the program did not run to completion
+ * @param {string} [options.name] - Command name for error messages (default: file and first argument)
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string }>}
+ * @throws {CommandError} With `reason` 'exit', 'missing', 'timeout', 'aborted' or 'output'
  */
-export function runWithOutput(command, args = [], options = {}) {
-  const { cwd = process.cwd(), env = process.env } = options;
+export function run(file, args = [], options = {}) {
+  const {
+    cwd = process.cwd(),
+    env = process.env,
+    input,
+    timeout,
+    signal,
+    check = true,
+    name = [file, args[0]].filter(Boolean).join(' ')
+  } = options;
 
   return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      cwd,
-      env,
-      stdio: 'inherit',
-      shell: true
-    });
+    let stdout = '';
+    let stderr = '';
+    let reason = null;
+    let settled = false;
+    let timer = null;
+    let killTimer = null;
 
-    child.on('close', (code) => {
-      resolve(code);
-    });
+    function onAbort() {
+      stop('aborted');
+    }
+
+    const finish = (code, error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (!error) {
+        resolve({ code, stdout, stderr });
+      } else if (check) {
+        reject(error);
+      } else {
+        resolve({ code, stdout, stderr: stderr || error.message });
+      }
+    };
+
+    const fail = (failReason, message, details = {}) => {
+      const output = stderr.trim();
+      finish(details.exitCode ?? null, new CommandError(output ? `${message}\n${output}` : message, {
+        command: name,
+        reason: failReason,
+        exitCode: null,
+        stdout,
+        stderr,
+        ...details
+      }));
+    };
+
+    if (signal?.aborted) {
+      fail('aborted', `Command cancelled: ${name}`, { cause: signal.reason });
+      return;
+    }
+
+    const child = spawn(file, args, { cwd, env, shell: false, windowsHide: true, stdio: ['pipe', 'pipe', 'pipe'] });
+
+    const stop = (stopReason) => {
+      reason ??= stopReason;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    if (timeout > 0) {
+      timer = setTimeout(() => stop('timeout'), timeout);
+    }
+
+    const collect = (append) => (chunk) => {
+      if (stdout.length + stderr.length + chunk.length > MAX_BUFFER) {
+        stop('output');
+        return;
+      }
+      append(chunk.toString());
+    };
+
+    child.stdout.on('data', collect((text) => { stdout += text; }));
+    child.stderr.on('data', collect((text) => { stderr += text; }));
 
     child.on('error', (error) => {
-      reject(error);
+      if (error.code === 'ENOENT') {
+        fail('missing', `Command not found: ${file}`, { cause: error });
+      } else {
+        fail('exit', `Command failed: ${name}`, { cause: error });
+      }
+    });
+
+    child.on('close', (code, killSignal) => {
+      if (reason === 'timeout') {
+        fail('timeout', `Command timed out after ${timeout}ms: ${name}`);
+      } else if (reason === 'aborted') {
+        fail('aborted', `Command cancelled: ${name}`, { cause: signal.reason });
+      } else if (reason === 'output') {
+        fail('output', `Command output exceeded ${MAX_BUFFER} bytes: ${name}`);
+      } else if (code !== 0) {
+        fail('exit', `Command failed: ${name}${killSignal ? ` (${killSignal})` : ''}`, { exitCode: code });
+      } else {
+        finish(code);
+      }
     });
+
+    // A program that exits without reading stdin closes the pipe early
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
   });
 }
 
 /**
- * Execute npm/npx command
+ * Run an npm command
  * @param {string} command - npm command (install, run, etc.)
  * @param {string[]} args - Arguments
- * @param {object} options - Options
- * @returns {Promise<{ stdout: string, stderr: string }>}
+ * @param {object} options - Options for run()
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
  */
 export async function npm(command, args = [], options = {}) {
-  const fullCommand = `npm ${command} ${args.join(' ')}`.trim();
-  return run(fullCommand, options);
+  return run('npm', [command, ...args], { name: `npm ${command}`, ...options });
 }
 
 /**
- * Execute npx command
- * @param {string} command - npx command
+ * Run a package binary with npx
+ * @param {string} pkg - Package to run
  * @param {string[]} args - Arguments
- * @param {object} options - Options
- * @returns {Promise<{ stdout: string, stderr: string }>}
+ * @param {object} options - Options for run()
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
  */
-export async function npx(command, args = [], options = {}) {
-  const fullCommand = `npx ${command} ${args.join(' ')}`.trim();
-  return run(fullCommand, options);
+export async function npx(pkg, args = [], options = {}) {
+  return run('npx', [pkg, ...args], { name: [pkg, args[0]].filter(Boolean).join(' '), ...options });
 }
 
 /**
  * Run dotenvx command
  * @param {string[]} args - Arguments for dotenvx
- * @param {object} options - Options
- * @returns {Promise<{ stdout: string, stderr: string }>}
+ * @param {object} options - Options for run()
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
  */
 export async function dotenvx(args = [], options = {}) {
-  return npx('@dotenvx/dotenvx', args, options);
+  return npx('@dotenvx/dotenvx', args, { name: `dotenvx ${args[0] || ''}`.trim(), ...options });
 }
 
 /**
  * Run Vercel CLI command
  * @param {string[]} args - Arguments for vercel
- * @param {object} options - Options
- * @returns {Promise<{ stdout: string, stderr: string }>}
+ * @param {object} options - Options for run()
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
  */
 export async function vercel(args = [], options = {}) {
-  return npx('vercel@latest', args, options);
+  return npx('vercel@latest', args, { name: `vercel ${args[0] || ''}`.trim(), ...options });
 }
 
 /**
  * Run Bitwarden CLI command
  * @param {string[]} args - Arguments for bw
- * @param {object} options - Options
- * @returns {Promise<{ stdout: string, stderr: string }>}
+ * @param {object} options - Options for run() (pass `input` for encoded JSON)
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
  */
 export async function bw(args = [], options = {}) {
-  const fullCommand = `bw ${args.join(' ')}`.trim();
-  return run(fullCommand, options);
+  return run('bw', args, options);
+}
+
+/**
+ * Run 1Password CLI command
+ * @param {string[]} args - Arguments for op
+ * @param {object} options - Options for run() (pass `input` for item templates)
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export async function op(args = [], options = {}) {
+  return run('op', args, options);
+}
+
+/**
+ * Run Cloudflare Wrangler CLI command
+ * @param {string[]} args - Arguments for wrangler
+ * @param {object} options - Options for run() (pass `input` to feed secrets through stdin)
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export async function wrangler(args = [], options = {}) {
+  return npx('wrangler', args, { name: `wrangler ${args[0] || ''}`.trim(), ...options });
+}
+
+/**
+ * Run git command
+ * @param {string[]} args - Arguments for git
+ * @param {object} options - Options for run()
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export async function git(args = [], options = {}) {
+  return run('git', args, options);
 }
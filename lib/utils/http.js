@@ -0,0 +1,76 @@
+import { HttpError } from '../errors.js';
+
+/**
+ * Milliseconds before a request is given up (default for requestJson)
+ */
+export const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Make a JSON HTTP request
+ * @param {string | URL} url - Request URL
+ * @param {object} options - Options
+ * @param {string} [options.method] - HTTP method
+ * @param {Record<string, string>} [options.headers] - Extra headers
+ * @param {any} [options.body] - JSON body
+ * @param {number} [options.timeout] - Milliseconds before the request is given up (default: 30 seconds)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<any>} Parsed response body (null when empty)
+ * @throws {HttpError} With `reason` 'status' (and `status` and `body`) when the response is not 2xx,
+ *   'timeout', 'aborted' or 'network'
+ */
+export async function requestJson(url, options = {}) {
+  const { method = 'GET', headers = {}, body, timeout = REQUEST_TIMEOUT, signal } = options;
+  const name = `${method} ${new URL(url).pathname}`;
+
+  // One signal for both the timeout and the caller's signal; its reason tells them apart
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort('timeout'), timeout);
+  const onAbort = () => controller.abort('aborted');
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let response;
+  let text;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    text = await response.text();
+  } catch (error) {
+    const reason = controller.signal.aborted ? controller.signal.reason : 'network';
+    const messages = {
+      timeout: `${name} timed out after ${timeout / 1000}s`,
+      aborted: `${name} was cancelled`,
+      network: `${name} failed: ${error.cause?.message || error.message}`
+    };
+    throw new HttpError(messages[reason], { reason, status: null, body: null, cause: error });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = text;
+  }
+
+  if (!response.ok) {
+    const detail = data?.message || data?.error?.message || data?.error || data?.errors?.join?.(', ') || response.statusText;
+    throw new HttpError(`${name} failed (${response.status}): ${detail}`, { reason: 'status', status: response.status, body: data });
+  }
+
+  return data;
+}
@@ -0,0 +1,131 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { readEnvFile } from './dotenv.js';
+import { describeEnvFile, envFileFor } from './environments.js';
+import { ConfigError } from '../errors.js';
+
+/**
+ * When each environment's key pair was created and last rotated. Holds
+ * public keys and dates only, so it can be committed for CI to check.
+ */
+export const KEY_METADATA_FILE = '.env.keys.meta.json';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the key metadata file
+ * @param {string} cwd - Project directory
+ * @returns {Record<string, { publicKey: string, created: string, rotated: string | null }>}
+ *   Records by environment id; empty when the file does not exist
+ * @throws {ConfigError} When the file is not valid JSON
+ */
+export function readKeyMetadata(cwd) {
+  const path = join(cwd, KEY_METADATA_FILE);
+
+  if (!existsSync(path)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8')).keys || {};
+  } catch (error) {
+    throw new ConfigError(`${KEY_METADATA_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Serialize key metadata records for the metadata file
+ * @param {object} records - Records by environment id
+ * @returns {string}
+ */
+export function formatKeyMetadata(records) {
+  const sorted = Object.fromEntries(Object.entries(records).sort(([a], [b]) => a.localeCompare(b)));
+  return JSON.stringify({ keys: sorted }, null, 2) + '\n';
+}
+
+/**
+ * Read the public key of an environment from its env file
+ * @param {string} cwd - Project directory
+ * @param {string} envId - Environment id (`production`, `apps/web/production`)
+ * @returns {string | null}
+ */
+export function readPublicKeyForEnv(cwd, envId) {
+  const { path, publicKeyName } = describeEnvFile(cwd, envFileFor(envId));
+  return readEnvFile(path)?.get(publicKeyName) || null;
+}
+
+/**
+ * Record key pairs in metadata records
+ *
+ * A rotation sets `rotated` and keeps the environment's first `created`.
+ * Otherwise a public key that is already recorded is left alone, and a new
+ * one starts a fresh record.
+ * @param {object} records - Current records by environment id
+ * @param {Record<string, string>} publicKeys - Public key by environment id
+ * @param {object} [options] - Options
+ * @param {boolean} [options.rotated] - The keys replace older ones
+ * @param {string} [options.at] - ISO timestamp (default: now)
+ * @returns {object} New records
+ */
+export function stampKeys(records, publicKeys, { rotated = false, at = new Date().toISOString() } = {}) {
+  const next = { ...records };
+
+  for (const [envName, publicKey] of Object.entries(publicKeys)) {
+    const current = records[envName];
+
+    if (rotated) {
+      next[envName] = { publicKey, created: current?.created || at, rotated: at };
+    } else if (current?.publicKey !== publicKey) {
+      next[envName] = { publicKey, created: at, rotated: null };
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Record key pairs in the metadata file, when any of them is new
+ * @param {string} cwd - Project directory
+ * @param {Record<string, string>} publicKeys - Public key by environment id
+ * @param {object} [options] - Options for stampKeys()
+ * @returns {boolean} Whether the file changed
+ */
+export function recordKeys(cwd, publicKeys, options = {}) {
+  const records = readKeyMetadata(cwd);
+  const next = stampKeys(records, publicKeys, options);
+
+  if (JSON.stringify(next) === JSON.stringify(records)) {
+    return false;
+  }
+
+  writeFileSync(join(cwd, KEY_METADATA_FILE), formatKeyMetadata(next));
+  return true;
+}
+
+/**
+ * Age of an environment's current key
+ * @param {object | undefined} record - Metadata record for the environment
+ * @param {string | null} publicKey - Public key in the env file
+ * @param {Date} [now] - Current time
+ * @returns {{ created: string, rotated: string | null, days: number } | null} Null when the current
+ *   key is not recorded, or the env file has a key the record does not know
+ */
+export function keyAge(record, publicKey, now = new Date()) {
+  if (!record || !publicKey || record.publicKey !== publicKey) {
+    return null;
+  }
+
+  const since = new Date(record.rotated || record.created);
+  return { created: record.created, rotated: record.rotated, days: Math.floor((now - since) / DAY) };
+}
+
+/**
+ * Maximum key age for an environment: its own entry in `maxKeyAge`, else
+ * its name's (for environments in subdirectories), else `*`
+ * @param {Record<string, number>} policy - `maxKeyAge` from the configuration
+ * @param {string} envId - Environment id
+ * @returns {number | null} Days, or null when no maximum applies
+ */
+export function maxKeyAgeFor(policy, envId) {
+  return policy?.[envId] ?? policy?.[envId.slice(envId.lastIndexOf('/') + 1)] ?? policy?.['*'] ?? null;
+}
@@ -0,0 +1,129 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseEnv } from './dotenv.js';
+import { publicKeyFromPrivate } from './ecies.js';
+
+const KEYS_FILE_HEADER = `#/------------------!DOTENV_PRIVATE_KEYS!-------------------/
+#/ private decryption keys. DO NOT commit to source control /
+#/     [how it works](https://dotenvx.com/encryption)       /
+#/----------------------------------------------------------/
+`;
+
+/**
+ * Get the private key name for an environment
+ * The base .env file uses DOTENV_PRIVATE_KEY (no suffix) and is called "root".
+ * Like dotenvx, dots become underscores: production.local is DOTENV_PRIVATE_KEY_PRODUCTION_LOCAL
+ * @param {string} envName - Environment name (e.g., production, root)
+ * @returns {string}
+ */
+export function keyNameForEnv(envName) {
+  if (envName.toLowerCase() === 'root') {
+    return 'DOTENV_PRIVATE_KEY';
+  }
+  return `DOTENV_PRIVATE_KEY_${envName.replace(/\./g, '_').toUpperCase()}`;
+}
+
+/**
+ * Get the environment name for a private key name
+ * @param {string} keyName - Private key name (e.g., DOTENV_PRIVATE_KEY_PRODUCTION)
+ * @returns {string}
+ */
+export function envNameForKey(keyName) {
+  if (keyName === 'DOTENV_PRIVATE_KEY') {
+    return 'root';
+  }
+  return keyName.replace('DOTENV_PRIVATE_KEY_', '').toLowerCase();
+}
+
+/**
+ * Short fingerprint of a key pair, from its public key
+ *
+ * Safe to print and store anywhere: it is a hash of the public key, which
+ * is already in the env file, so a private key and the env file it opens
+ * have the same fingerprint.
+ * @param {string} publicKey - Hex public key, as in DOTENV_PUBLIC_KEY_<ENV>
+ * @returns {string} 12 hex characters
+ */
+export function fingerprintPublicKey(publicKey) {
+  return createHash('sha256').update(Buffer.from(publicKey, 'hex')).digest('hex').slice(0, 12);
+}
+
+/**
+ * Short fingerprint of a private key; see fingerprintPublicKey()
+ * @param {string | null} privateKey - Hex private key
+ * @returns {string | null} Null when the value is not a private key
+ */
+export function keyFingerprint(privateKey) {
+  try {
+    return fingerprintPublicKey(publicKeyFromPrivate(privateKey));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Private keys for an environment, from the process environment first, as dotenvx reads them
+ * @param {{ keyName: string, keysFile: string }} env - Environment from discoverEnvironments()
+ * @param {Record<string, string>} keys - Keys from the .env.keys in the environment's directory
+ * @returns {{ source: string | null, privateKeys: string[] }} `source` is `env` or the .env.keys path
+ */
+export function privateKeysFor(env, keys) {
+  const value = process.env[env.keyName] || keys[env.keyName] || '';
+  const privateKeys = value.split(',').map(key => key.trim()).filter(Boolean);
+
+  if (privateKeys.length === 0) {
+    return { source: null, privateKeys };
+  }
+  return { source: process.env[env.keyName] ? 'env' : env.keysFile, privateKeys };
+}
+
+/**
+ * Build the stored item name for a key: {project}/{env}[/{version}] by default
+ * @param {string | null} projectName - Project name from the config or package.json
+ * @param {string} envName - Environment name
+ * @param {string | null} versionName - Optional version name
+ * @param {{ item?: string, version?: string }} [naming] - Name templates from .dotenvx-deploy.json
+ * @returns {string}
+ */
+export function buildItemName(projectName, envName, versionName = null, naming = {}) {
+  const template = versionName
+    ? naming.version || '{project}/{env}/{version}'
+    : naming.item || '{project}/{env}';
+
+  const values = { project: projectName || 'dotenvx', env: envName, version: versionName };
+  return template.replace(/\{(project|env|version)\}/g, (_, key) => values[key]);
+}
+
+/**
+ * Merge private keys into .env.keys content
+ * @param {string | null} content - Current .env.keys content (null when the file does not exist)
+ * @param {Record<string, string>} keysToWrite - Key name to private key value
+ * @param {Record<string, string>} [files] - Env file name for the comment above each new key
+ *   (default: guessed from the key name)
+ * @returns {string} New content
+ */
+export function mergeEnvKeys(content, keysToWrite, files = {}) {
+  const doc = parseEnv(content ?? KEYS_FILE_HEADER);
+
+  for (const [keyName, keyValue] of Object.entries(keysToWrite)) {
+    // New keys get a comment naming their env file and no quotes, like dotenvx writes them
+    const envName = envNameForKey(keyName);
+    const file = files[keyName] || (envName === 'root' ? '.env' : `.env.${envName}`);
+    doc.set(keyName, keyValue, { comment: `# ${file}`, quote: '' });
+  }
+
+  return doc.toString();
+}
+
+/**
+ * Merge private keys into .env.keys, creating the file if needed
+ * @param {string} cwd - Current working directory
+ * @param {Record<string, string>} keysToWrite - Key name to private key value
+ * @param {Record<string, string>} [files] - Env file name for the comment above each new key
+ */
+export function writeEnvKeys(cwd, keysToWrite, files = {}) {
+  const keysPath = join(cwd, '.env.keys');
+  const content = existsSync(keysPath) ? readFileSync(keysPath, 'utf-8') : null;
+  writeFileSync(keysPath, mergeEnvKeys(content, keysToWrite, files));
+}
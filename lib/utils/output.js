@@ -0,0 +1,115 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { format } from 'util';
+import { AbortedError } from '../errors.js';
+
+let jsonOutput = false;
+let emitted = false;
+const messages = [];
+const failures = [];
+
+/**
+ * Switch the process to --json output
+ *
+ * Colour and spinners are turned off, and human-readable console output is
+ * kept off stdout so it only carries the JSON document. Commands that do
+ * not emit their own document get a generic { ok, messages } one on exit.
+ */
+export function enableJsonOutput() {
+  jsonOutput = true;
+  chalk.level = 0;
+
+  const capture = (...args) => {
+    messages.push(...format(...args).split('\n').map(line => line.trim()).filter(Boolean));
+  };
+  console.log = capture;
+  console.error = capture;
+
+  process.on('exit', (code) => {
+    if (!emitted) {
+      const ok = (code ?? process.exitCode ?? 0) === 0;
+      const error = failures[failures.length - 1] || messages.find(line => line.startsWith('❌')) || 'Command failed';
+      emitJson(ok ? { ok, messages } : { ok, error: error.replace(/^❌\s*/, ''), messages });
+    }
+  });
+}
+
+/**
+ * Whether --json output is active
+ * @returns {boolean}
+ */
+export function isJsonOutput() {
+  return jsonOutput;
+}
+
+/**
+ * Write the command's JSON document to stdout
+ * @param {object} document - Result document
+ */
+export function emitJson(document) {
+  emitted = true;
+  process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+}
+
+/**
+ * Create a spinner that stays silent in --json mode
+ * @returns {import('ora').Ora}
+ */
+export function createSpinner() {
+  const spinner = ora({ isSilent: jsonOutput });
+
+  if (jsonOutput) {
+    // Remember why a step failed for the generic error document
+    const fail = spinner.fail.bind(spinner);
+    spinner.fail = (text) => {
+      failures.push(text ?? spinner.text);
+      return fail(text);
+    };
+  }
+
+  return spinner;
+}
+
+/**
+ * Show library progress events on a spinner
+ * @param {import('ora').Ora} spinner - Spinner from createSpinner()
+ * @returns {Function} `onProgress` callback for the library API
+ */
+export function spinnerProgress(spinner) {
+  return ({ type, text }) => {
+    if (type === 'update') {
+      spinner.text = text;
+    } else {
+      spinner[type](text);
+    }
+  };
+}
+
+/**
+ * Print why a command failed and exit
+ *
+ * A running spinner is failed with the message, so the step that broke is
+ * marked. Declined confirmations exit quietly with code 0.
+ * @param {Error} error - Error thrown by the library
+ * @param {import('ora').Ora} [spinner] - Spinner of the command
+ */
+export function exitWithError(error, spinner) {
+  if (error instanceof AbortedError) {
+    spinner?.stop();
+    console.log(chalk.gray(error.message));
+    process.exit(0);
+  }
+
+  if (spinner?.isSpinning) {
+    spinner.fail(error.message);
+  } else {
+    failures.push(error.message);
+    console.error(chalk.red(`\n❌ ${error.message}`));
+  }
+
+  if (error.hint) {
+    console.log(chalk.yellow(`\n${error.hint}`));
+  }
+
+  process.exit(1);
+}
@@ -0,0 +1,138 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { isJsonOutput } from './output.js';
+import { PromptError } from '../errors.js';
+
+let yes = false;
+// Off until the CLI calls configurePrompts(), so library calls never block on a prompt
+let input = false;
+
+// Environment variables set by common CI providers
+const CI_VARIABLES = ['CI', 'CONTINUOUS_INTEGRATION', 'GITHUB_ACTIONS', 'GITLAB_CI', 'BUILDKITE', 'CIRCLECI', 'JENKINS_URL', 'TF_BUILD'];
+
+/**
+ * Set the global prompt mode from --yes and --no-input
+ * @param {object} options - Options
+ * @param {boolean} [options.yes] - Accept confirmations without asking
+ * @param {boolean} [options.input] - False with --no-input
+ */
+export function configurePrompts(options = {}) {
+  yes = !!options.yes;
+  input = options.input !== false;
+}
+
+/**
+ * Whether we are running in CI
+ * @returns {boolean}
+ */
+export function isCI() {
+  return CI_VARIABLES.some(name => {
+    const value = process.env[name];
+    return value !== undefined && value !== '' && value !== '0' && value.toLowerCase() !== 'false';
+  });
+}
+
+/**
+ * Whether prompts may be shown. False with --yes, --no-input or --json,
+ * in CI, and when stdin is not a terminal.
+ * @returns {boolean}
+ */
+export function isInteractive() {
+  return !yes && input && !isJsonOutput() && !isCI() && !!process.stdin.isTTY;
+}
+
+/**
+ * Whether confirmations should be accepted without asking (--yes)
+ * @returns {boolean}
+ */
+export function assumeYes() {
+  return yes;
+}
+
+/**
+ * Ask a single inquirer question, or answer it without a prompt when not interactive
+ *
+ * In non-interactive mode the documented `answer` is used. Questions with
+ * `requireYes` only take it when --yes was given. Questions without an
+ * answer fail with an error that names the flag which answers them.
+ * @param {object} question - inquirer question (type, message, choices, default, ...)
+ * @param {object} [fallback] - Non-interactive behaviour
+ * @param {any} [fallback.answer] - Answer used when prompts are disabled
+ * @param {boolean} [fallback.requireYes] - Only use the answer with --yes
+ * @param {string} [fallback.flag] - Flag or setting that answers the question
+ * @returns {Promise<any>} The answer
+ * @throws {PromptError} When the question cannot be answered
+ */
+export async function ask(question, { answer, requireYes = false, flag = '--yes' } = {}) {
+  if (isInteractive()) {
+    const { value } = await inquirer.prompt([{ ...question, name: 'value' }]);
+    return value;
+  }
+
+  if (answer !== undefined && (!requireYes || yes)) {
+    console.log(chalk.gray(`${question.message} ${chalk.cyan(formatAnswer(answer))} (non-interactive)`));
+    return answer;
+  }
+
+  throw new PromptError(`"${question.message}" needs an answer, but prompts are disabled (CI, --no-input or no terminal). Use ${flag}.`);
+}
+
+/**
+ * Short text for an automatic answer
+ * @param {any} answer - Answer
+ * @returns {string}
+ */
+function formatAnswer(answer) {
+  if (typeof answer === 'boolean') {
+    return answer ? 'yes' : 'no';
+  }
+  if (Array.isArray(answer)) {
+    return `${answer.length} selected`;
+  }
+  return typeof answer === 'object' ? answer.name || 'selected' : String(answer);
+}
+
+/**
+ * Get a vault passphrase from DOTENVX_DEPLOY_VAULT_PASSPHRASE or a prompt
+ * @param {string} message - Prompt message
+ * @param {object} options - Options
+ * @param {boolean} [options.confirm] - Ask twice (for new vaults)
+ * @returns {Promise<string>}
+ */
+export async function promptPassphrase(message, { confirm = false } = {}) {
+  if (process.env.DOTENVX_DEPLOY_VAULT_PASSPHRASE) {
+    return process.env.DOTENVX_DEPLOY_VAULT_PASSPHRASE;
+  }
+
+  const passphrase = await ask({
+    type: 'password',
+    mask: '*',
+    message,
+    validate: (input) => input.length >= 8 || 'Use at least 8 characters'
+  }, { flag: 'DOTENVX_DEPLOY_VAULT_PASSPHRASE' });
+
+  if (confirm) {
+    const again = await ask({
+      type: 'password',
+      mask: '*',
+      message: 'Repeat passphrase:'
+    });
+
+    if (again !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+
+  return passphrase;
+}
+
+/**
+ * The `passphrase` hook the CLI passes to the local vault provider
+ * @param {{ create: boolean }} request - Whether the vault is new
+ * @returns {Promise<string>}
+ */
+export function askVaultPassphrase({ create }) {
+  return create
+    ? promptPassphrase('New vault passphrase:', { confirm: true })
+    : promptPassphrase('Vault passphrase:');
+}
@@ -0,0 +1,76 @@
+import { existsSync, readFileSync, writeFileSync, renameSync, statSync, unlinkSync } from 'fs';
+
+/**
+ * Replace a file atomically, keeping its permissions
+ * @param {string} path - File path
+ * @param {string} content - New content
+ */
+function writeFileAtomic(path, content) {
+  const mode = existsSync(path) ? statSync(path).mode & 0o777 : 0o600;
+  const tempPath = `${path}.${process.pid}.tmp`;
+
+  try {
+    writeFileSync(tempPath, content, { mode });
+    renameSync(tempPath, path);
+  } catch (error) {
+    if (existsSync(tempPath)) {
+      unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Collect file changes and write them together
+ *
+ * Nothing touches the disk until commit(). Each file is replaced
+ * atomically; if one cannot be written, the files already written are put
+ * back as they were, so either every staged file changes or none does.
+ * @returns {{ stage: (path: string, content: string) => void, read: (path: string) => string | null,
+ *   paths: () => string[], commit: () => void }}
+ */
+export function createFileTransaction() {
+  const staged = new Map();
+
+  return {
+    stage(path, content) {
+      staged.set(path, content);
+    },
+
+    // The staged content, falling back to what is on disk
+    read(path) {
+      if (staged.has(path)) {
+        return staged.get(path);
+      }
+      return existsSync(path) ? readFileSync(path, 'utf-8') : null;
+    },
+
+    paths() {
+      return [...staged.keys()];
+    },
+
+    commit() {
+      const originals = new Map([...staged.keys()].map(path => [path, existsSync(path) ? readFileSync(path, 'utf-8') : null]));
+      const written = [];
+
+      try {
+        for (const [path, content] of staged) {
+          writeFileAtomic(path, content);
+          written.push(path);
+        }
+      } catch (error) {
+        for (const path of written.reverse()) {
+          const original = originals.get(path);
+          if (original === null) {
+            unlinkSync(path);
+          } else {
+            writeFileAtomic(path, original);
+          }
+        }
+        throw error;
+      }
+
+      staged.clear();
+    }
+  };
+}
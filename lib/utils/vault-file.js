@@ -0,0 +1,121 @@
+import { scryptSync, randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+
+const FORMAT = 'dotenvx-deploy-vault';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Highest scrypt cost a vault file may ask for. The parameters come from
+ * the file, so without a ceiling a damaged one could demand any amount of
+ * memory and CPU.
+ */
+const SCRYPT_LIMITS = SCRYPT_PARAMS;
+
+/**
+ * Default location of the encrypted key vault file
+ * @returns {string}
+ */
+export function defaultVaultPath() {
+  return process.env.DOTENVX_DEPLOY_VAULT || join(homedir(), '.config', 'dotenvx-deploy', 'vault.enc');
+}
+
+/**
+ * Derive the AES key for a passphrase
+ * @param {string} passphrase - Vault passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {object} params - scrypt cost parameters
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt, params) {
+  return scryptSync(passphrase, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+}
+
+/**
+ * Encrypt a vault payload with a passphrase (scrypt + AES-256-GCM)
+ * @param {object} payload - Data to encrypt, e.g. { entries: [] }
+ * @param {string} passphrase - Vault passphrase
+ * @returns {object} Encrypted vault document
+ */
+export function encryptVault(payload, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf-8'), cipher.final()]);
+
+  return {
+    format: FORMAT,
+    version: 1,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a vault document
+ * @param {object} document - Encrypted vault document
+ * @param {string} passphrase - Vault passphrase
+ * @returns {object} Decrypted payload
+ * @throws {Error} If the document is not a vault, asks for an unsupported or too costly
+ *   key derivation, or the passphrase is wrong
+ */
+export function decryptVault(document, passphrase) {
+  if (document?.format !== FORMAT) {
+    throw new Error('Not a dotenvx-deploy vault file');
+  }
+
+  const { name, salt, N, r, p } = document.kdf || {};
+
+  if (name !== 'scrypt') {
+    throw new Error(`Unsupported vault key derivation: ${name}`);
+  }
+  for (const [param, value] of Object.entries({ N, r, p })) {
+    if (!Number.isInteger(value) || value < 1 || value > SCRYPT_LIMITS[param]) {
+      throw new Error(`Vault scrypt parameter ${param} must be an integer from 1 to ${SCRYPT_LIMITS[param]}`);
+    }
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(document.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(document.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(document.data, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch {
+    throw new Error('Wrong passphrase or corrupted vault file');
+  }
+}
+
+/**
+ * Read an encrypted vault document from disk
+ * @param {string} vaultPath - Path to the vault file
+ * @returns {object | null} Vault document, or null if the file does not exist
+ */
+export function readVaultFile(vaultPath) {
+  if (!existsSync(vaultPath)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(vaultPath, 'utf-8'));
+}
+
+/**
+ * Write an encrypted vault document to disk, replacing the file atomically
+ * @param {string} vaultPath - Path to the vault file
+ * @param {object} document - Encrypted vault document
+ */
+export function writeVaultFile(vaultPath, document) {
+  mkdirSync(dirname(vaultPath), { recursive: true });
+  const tempPath = `${vaultPath}.${process.pid}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(document, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tempPath, vaultPath);
+}
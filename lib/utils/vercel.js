@@ -0,0 +1,168 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { requestJson } from './http.js';
+
+/**
+ * Read the linked Vercel project from VERCEL_PROJECT_ID/VERCEL_ORG_ID or
+ * .vercel/project.json (written by `vercel link`)
+ * @param {string} cwd - Current working directory
+ * @returns {{ projectId: string, orgId?: string } | null}
+ */
+export function readVercelProject(cwd = process.cwd()) {
+  if (process.env.VERCEL_PROJECT_ID) {
+    return { projectId: process.env.VERCEL_PROJECT_ID, orgId: process.env.VERCEL_ORG_ID };
+  }
+
+  const projectPath = join(cwd, '.vercel', 'project.json');
+  if (!existsSync(projectPath)) {
+    return null;
+  }
+
+  try {
+    const { projectId, orgId } = JSON.parse(readFileSync(projectPath, 'utf-8'));
+    return projectId ? { projectId, orgId } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a minimal Vercel REST API client for project environment variables
+ *
+ * Errors are thrown as HttpError, with Vercel's error.code (e.g. "forbidden"
+ * or "ENV_CONFLICT") as `apiCode`.
+ * @param {object} options - Options
+ * @param {string} options.token - Vercel access token
+ * @param {string} options.projectId - Project ID or name
+ * @param {string} [options.orgId] - Team ID (team_...) or personal account ID
+ * @param {string} [options.apiUrl] - API base URL (default: VERCEL_API_URL or https://api.vercel.com)
+ * @param {AbortSignal} [options.signal] - Cancels requests
+ * @returns {object} Vercel client
+ */
+export function createVercelClient({ token, projectId, orgId, apiUrl, signal }) {
+  const baseUrl = (apiUrl || process.env.VERCEL_API_URL || 'https://api.vercel.com').replace(/\/+$/, '');
+  // Personal accounts are addressed by the token alone
+  const teamId = orgId?.startsWith('team_') ? orgId : null;
+  const projectPath = `/projects/${encodeURIComponent(projectId)}`;
+
+  const api = async (method, path, { query = {}, body } = {}) => {
+    const url = new URL(`${baseUrl}${path}`);
+    for (const [key, value] of Object.entries({ ...query, teamId })) {
+      if (value !== null && value !== undefined) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    try {
+      return await requestJson(url, {
+        method,
+        body,
+        headers: { Authorization: `Bearer ${token}` },
+        signal
+      });
+    } catch (error) {
+      error.apiCode = error.body?.error?.code || null;
+      throw error;
+    }
+  };
+
+  return {
+    teamId,
+
+    /**
+     * Fetch the project
+     * @returns {Promise<{ id: string, name: string }>}
+     */
+    async getProject() {
+      return api('GET', `/v9${projectPath}`);
+    },
+
+    /**
+     * List all environment variables of the project, following pagination
+     * @returns {Promise<Array<{ id: string, key: string, target: string[], type: string }>>}
+     */
+    async listEnv() {
+      const envs = [];
+      let until = null;
+
+      do {
+        const page = await api('GET', `/v10${projectPath}/env`, { query: { until } });
+        envs.push(...(page.envs || []));
+        until = page.pagination?.next || null;
+      } while (until);
+
+      return envs;
+    },
+
+    /**
+     * Find the variable that applies a key to one target environment
+     * @param {string} key - Variable name
+     * @param {string} target - Target environment
+     * @returns {Promise<object | null>}
+     */
+    async findEnv(key, target) {
+      return (await this.listEnv()).find(env => env.key === key && env.target?.includes(target)) || null;
+    },
+
+    /**
+     * Read the decrypted value of a variable (not available for sensitive ones)
+     * @param {string} id - Environment variable ID
+     * @returns {Promise<string | null>}
+     */
+    async getEnvValue(id) {
+      const env = await api('GET', `/v1${projectPath}/env/${encodeURIComponent(id)}`);
+      return env.type === 'sensitive' ? null : env.value ?? null;
+    },
+
+    /**
+     * Create an environment variable
+     * @param {{ key: string, value: string, type: string, target: string[], comment?: string }} env
+     * @returns {Promise<object>}
+     */
+    async createEnv(env) {
+      return api('POST', `/v10${projectPath}/env`, { body: env });
+    },
+
+    /**
+     * Update an environment variable
+     * @param {string} id - Environment variable ID
+     * @param {object} changes - Fields to change (value, target, type, comment)
+     * @returns {Promise<object>}
+     */
+    async updateEnv(id, changes) {
+      return api('PATCH', `/v9${projectPath}/env/${encodeURIComponent(id)}`, { body: changes });
+    },
+
+    /**
+     * Set a variable for one target environment, creating or updating it
+     *
+     * If the key is shared with other targets, this target is split off into
+     * its own variable so the others keep their value.
+     * @param {string} key - Variable name
+     * @param {string} value - Variable value
+     * @param {'production' | 'preview' | 'development'} target - Target environment
+     * @param {object} [extra] - Extra fields
+     * @param {string} [extra.comment] - Comment shown next to the variable in the dashboard
+     * @returns {Promise<{ action: 'created' | 'updated' }>}
+     */
+    async upsertEnv(key, value, target, { comment } = {}) {
+      const existing = await this.findEnv(key, target);
+      // Sensitive values cannot be read back, but are not allowed for development
+      const type = target === 'development' ? 'encrypted' : 'sensitive';
+
+      if (!existing) {
+        await this.createEnv({ key, value, type, target: [target], comment });
+        return { action: 'created' };
+      }
+
+      if (existing.target.length === 1) {
+        await this.updateEnv(existing.id, { value, comment });
+        return { action: 'updated' };
+      }
+
+      await this.updateEnv(existing.id, { target: existing.target.filter(t => t !== target) });
+      await this.createEnv({ key, value, type, target: [target], comment });
+      return { action: 'updated' };
+    }
+  };
+}
@@ -0,0 +1,148 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { ConfigError } from '../errors.js';
+
+/**
+ * Wrangler configuration files, in the order wrangler looks for them
+ */
+const CONFIG_FILES = ['wrangler.json', 'wrangler.jsonc', 'wrangler.toml'];
+
+/**
+ * Parse a TOML string value, stripping quotes and trailing comments
+ * @param {string} raw - Raw value text
+ * @returns {string}
+ */
+function parseTomlValue(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^"((?:[^"\\]|\\.)*)"|^'([^']*)'/);
+  if (quoted) {
+    return quoted[1] ?? quoted[2];
+  }
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Read the settings dotenvx-deploy needs from wrangler.toml content
+ *
+ * Only top-level keys, [assets] and [env.<name>] tables are read; everything
+ * else in the file is ignored.
+ * @param {string} content - File content
+ * @returns {object} Config as readWranglerConfig() returns it, without `file`
+ */
+function parseWranglerToml(content) {
+  const config = { envs: {} };
+  let section = '';
+
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const header = trimmed.match(/^\[+\s*([^\]]+?)\s*\]+/);
+    if (header) {
+      section = header[1];
+      const envMatch = section.match(/^env\.([\w-]+)$/);
+      if (envMatch && !config.envs[envMatch[1]]) {
+        config.envs[envMatch[1]] = {};
+      }
+      continue;
+    }
+
+    const pair = trimmed.match(/^([\w-]+)\s*=\s*(.+)$/);
+    if (!pair) {
+      continue;
+    }
+
+    const [, key, raw] = pair;
+    const value = parseTomlValue(raw);
+
+    if (section === '') {
+      if (key === 'name') {
+        config.name = value;
+      }
+      if (key === 'account_id') {
+        config.accountId = value;
+      }
+      if (key === 'pages_build_output_dir') {
+        config.pagesOutputDir = value;
+      }
+    } else if (section === 'assets' && key === 'directory') {
+      config.assetsDir = value;
+    } else if (section.startsWith('env.') && config.envs[section.slice(4)] && key === 'name') {
+      config.envs[section.slice(4)].name = value;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Remove comments and trailing commas from JSONC, leaving strings alone
+ * @param {string} content - File content
+ * @returns {string} JSON
+ */
+function stripJsonc(content) {
+  return content
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string ?? '')
+    .replace(/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g, (match, string, end) => string ?? end);
+}
+
+/**
+ * Read the settings dotenvx-deploy needs from wrangler.json(c) content
+ * @param {string} content - File content
+ * @param {string} file - File name for error messages
+ * @returns {object} Config as readWranglerConfig() returns it, without `file`
+ * @throws {ConfigError} When the file is not valid JSON
+ */
+function parseWranglerJson(content, file) {
+  let json;
+  try {
+    json = JSON.parse(stripJsonc(content));
+  } catch (error) {
+    throw new ConfigError(`${file} is not valid JSON: ${error.message}`);
+  }
+
+  const config = { envs: {} };
+  const settings = {
+    name: json?.name,
+    accountId: json?.account_id,
+    pagesOutputDir: json?.pages_build_output_dir,
+    assetsDir: json?.assets?.directory
+  };
+  for (const [key, value] of Object.entries(settings)) {
+    if (typeof value === 'string') {
+      config[key] = value;
+    }
+  }
+
+  for (const [name, env] of Object.entries(json?.env || {})) {
+    config.envs[name] = typeof env?.name === 'string' ? { name: env.name } : {};
+  }
+
+  return config;
+}
+
+/**
+ * Read the settings dotenvx-deploy needs from the wrangler configuration:
+ * wrangler.json, wrangler.jsonc or wrangler.toml, whichever comes first
+ *
+ * Only the name, account, Pages output and assets directories and the
+ * named environments are read; everything else in the file is ignored.
+ * @param {string} cwd - Current working directory
+ * @returns {{ file: string, name?: string, accountId?: string, pagesOutputDir?: string, assetsDir?: string,
+ *   envs: Record<string, { name?: string }> } | null} Null when there is no configuration file
+ * @throws {ConfigError} When wrangler.json or wrangler.jsonc is not valid JSON
+ */
+export function readWranglerConfig(cwd = process.cwd()) {
+  const file = CONFIG_FILES.find(candidate => existsSync(join(cwd, candidate)));
+
+  if (!file) {
+    return null;
+  }
+
+  const content = readFileSync(join(cwd, file), 'utf-8');
+  const config = file.endsWith('.toml') ? parseWranglerToml(content) : parseWranglerJson(content, file);
+  return { file, ...config };
+}
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig } from '../lib/utils/config.js';
+
+test('naming.version must contain {env} and {version}', () => {
+  assert.deepEqual(validateConfig({ naming: { version: '{project}/{env}/{version}' } }), []);
+  assert.deepEqual(validateConfig({ naming: { version: '{version}-{env}' } }), []);
+
+  for (const version of ['{project}/{version}', '{project}/{env}']) {
+    const errors = validateConfig({ naming: { version } });
+    assert.equal(errors.length, 1, version);
+    assert.match(errors[0], /must contain \{env\} and \{version\}/);
+  }
+});
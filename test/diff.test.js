@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { diff } from '../lib/api/diff.js';
+import { ConfigError, NotFoundError } from '../lib/errors.js';
+import { tempProject } from './helpers.js';
+
+/**
+ * A git repository whose .env.ci changed after the first commit
+ * @param {import('node:test').TestContext} t - Test context
+ * @returns {string} Project directory
+ */
+function repository(t) {
+  const cwd = tempProject(t, { '.env.ci': 'A=1\nB=2\n', '.gitignore': 'node_modules\n' });
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd, stdio: 'pipe' });
+
+  git('init', '-q');
+  git('add', '.');
+  git('commit', '-q', '-m', 'first');
+  writeFileSync(join(cwd, '.env.ci'), 'A=1\nB=3\nC=4\n');
+  return cwd;
+}
+
+test('compares an environment with a git revision', async (t) => {
+  const result = await diff({ cwd: repository(t), env: 'ci', rev: 'HEAD', show: 'mask' });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.onlyRight, ['C']);
+  assert.deepEqual(result.changed.map(change => change.variable), ['B']);
+  assert.equal(result.unchanged, 1);
+});
+
+test('shows changed values as HMACs that match only within one diff', async (t) => {
+  const cwd = tempProject(t, { '.env.ci': 'A=1\nB=2\n', '.env.preview': 'A=2\nB=1\n' });
+  const { changed } = await diff({ cwd, env: 'ci', other: 'preview' });
+  const [a, b] = changed;
+
+  assert.match(a.left, /^hmac:[0-9a-f]{8}$/);
+  assert.notEqual(a.left, 'sha256:6b86b273', 'the plain SHA-256 of "1" would be a dictionary lookup away');
+  assert.deepEqual([a.left, a.right], [b.right, b.left]);
+
+  const again = await diff({ cwd, env: 'ci', other: 'preview' });
+  assert.notEqual(again.changed[0].left, a.left);
+});
+
+test('rejects revisions git would read as options', async (t) => {
+  const cwd = repository(t);
+
+  await assert.rejects(diff({ cwd, env: 'ci', rev: '--output=/tmp/x' }), ConfigError);
+  await assert.rejects(diff({ cwd, env: 'ci', rev: 'no-such-branch' }), NotFoundError);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { formatEnvValue, parseEnv } from '../lib/utils/dotenv.js';
+import { DOTENVX, tempProject } from './helpers.js';
+
+// Values as `dotenvx get` 2.31.1 reads them
+const PARSED = [
+  ['A=abc#def', 'abc'],
+  ['A=abc #comment', 'abc'],
+  ['A="x" # comment', 'x'],
+  ['A="a #b"', 'a #b'],
+  ['A="line\\nnext"', 'line\nnext'],
+  ['A="a\\\\nb"', 'a\\\nb'],
+  ['A="say \\"hi\\""', 'say \\"hi\\"'],
+  ['A="back\\\\slash"', 'back\\\\slash'],
+  ['A="a\\qb"', 'a\\qb'],
+  ['A="a"b"', 'a"b'],
+  ["A='a\\nb'", 'a\\nb'],
+  ["A='a'b\"c`d'", 'a\'b"c`d'],
+  ['A=`a"b\'c`', 'a"b\'c'],
+  ['A=a\\nb', 'a\\nb'],
+  ['A="multi\nline"', 'multi\nline']
+];
+
+const VALUES = [
+  'plain',
+  'with space',
+  'a#b',
+  'line\nbreak',
+  'cr\r\nlf',
+  'quote"d',
+  'single\'s',
+  'back\\slash',
+  'dollar$HOME',
+  'a\'b"c',
+  'a\'b`c"d',
+  'a\'b`c"d\\e$f',
+  ' padded '
+];
+
+test('parses values as dotenv does', () => {
+  for (const [line, value] of PARSED) {
+    assert.equal(parseEnv(`${line}\n`).get('A'), value, line);
+  }
+});
+
+test('formatted values parse back unchanged', () => {
+  for (const value of VALUES) {
+    for (const preferred of ['', '"', "'", '`']) {
+      assert.equal(parseEnv(`A=${formatEnvValue(value, preferred)}\n`).get('A'), value, JSON.stringify(value));
+    }
+  }
+});
+
+test('dotenvx reads formatted values back unchanged', (t) => {
+  const content = VALUES.map((value, i) => `V${i}=${formatEnvValue(value)}\n`).join('');
+  const cwd = tempProject(t, { '.env': content });
+
+  const parsed = JSON.parse(execFileSync(DOTENVX, ['get', '-f', '.env'], { cwd, encoding: 'utf-8' }));
+
+  assert.deepEqual(parsed, Object.fromEntries(VALUES.map((value, i) => [`V${i}`, value])));
+});
+
+test('refuses values no quoting keeps intact', () => {
+  assert.throws(() => formatEnvValue('a\'b`c"d\ne'), /Cannot write/);
+  assert.throws(() => formatEnvValue('a\'b`c"d#e'), /Cannot write/);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { drift } from '../lib/api/drift.js';
+import { saveKeys } from '../lib/api/keys.js';
+import { generateKeyPair } from '../lib/utils/ecies.js';
+import { encryptedProject, setEnv, stubApi } from './helpers.js';
+
+test('compares the fingerprint of each env file with .env.keys, the provider and a target', async (t) => {
+  const { cwd, keys } = encryptedProject(t, { ci: { A: 'one' }, production: { B: 'two' }, staging: { C: 'three' } }, {
+    'package.json': '{ "name": "app" }\n'
+  });
+  const store = join(cwd, 'store.json');
+  await saveKeys({ cwd, provider: 'file', store, env: 'production' });
+
+  // Netlify has an old ci key, the current production key and no staging key
+  const old = generateKeyPair();
+  const values = {
+    DOTENV_PRIVATE_KEY_CI: old.privateKey,
+    DOTENV_PRIVATE_KEY_PRODUCTION: keys.production.privateKey
+  };
+  const api = await stubApi(t, ({ url }) => {
+    if (url.pathname === '/sites/site_1') {
+      return { body: { id: 'site_1', name: 'my-site', account_id: 'acc_1' } };
+    }
+    const key = url.pathname.match(/^\/accounts\/acc_1\/env\/(.+)$/)?.[1];
+    if (values[key]) {
+      return { body: { key, values: [{ context: key.endsWith('PRODUCTION') ? 'production' : 'branch-deploy', value: values[key] }] } };
+    }
+    return { status: 404, body: { message: 'Not Found' } };
+  });
+  setEnv(t, { NETLIFY_API_URL: api.url, NETLIFY_SITE_ID: 'site_1', NETLIFY_AUTH_TOKEN: 'token' });
+
+  const result = await drift({ cwd, provider: 'file', store, targets: ['netlify'] });
+  const fingerprint = (publicKey) => createHash('sha256').update(Buffer.from(publicKey, 'hex')).digest('hex').slice(0, 12);
+
+  assert.deepEqual(result.environments.map(env => ({
+    id: env.id,
+    fingerprint: env.fingerprint,
+    local: env.local.state,
+    provider: env.provider.state,
+    target: [env.targets[0].scope, env.targets[0].state]
+  })), [
+    { id: 'ci', fingerprint: fingerprint(keys.ci.publicKey), local: 'current', provider: 'missing', target: ['branch-deploy', 'stale'] },
+    { id: 'production', fingerprint: fingerprint(keys.production.publicKey), local: 'current', provider: 'current', target: ['production', 'current'] },
+    { id: 'staging', fingerprint: fingerprint(keys.staging.publicKey), local: 'current', provider: 'missing', target: ['branch-deploy', 'missing'] }
+  ]);
+  assert.equal(result.ok, false);
+  assert.equal(result.environments[0].targets[0].fingerprint, fingerprint(old.publicKey));
+  assert.deepEqual(result.environments[0].fixes, [
+    'dotenvx-deploy keys save --provider file -e ci',
+    'dotenvx-deploy deploy --target netlify -e ci'
+  ]);
+  assert.deepEqual(result.environments[1].fixes, []);
+  assert.deepEqual(result.problems, [
+    'DOTENV_PRIVATE_KEY_CI in file is missing',
+    'DOTENV_PRIVATE_KEY_CI in netlify (branch-deploy) is stale',
+    'DOTENV_PRIVATE_KEY_STAGING in file is missing',
+    'DOTENV_PRIVATE_KEY_STAGING in netlify (branch-deploy) is missing'
+  ]);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseEnv } from '../lib/utils/dotenv.js';
+import { decryptValue, encryptValue, generateKeyPair, publicKeyFromPrivate } from '../lib/utils/ecies.js';
+import { DOTENVX, tempProject } from './helpers.js';
+
+// Written by `dotenvx encrypt` 2.31.1 for HELLO=world
+const VECTOR = {
+  privateKey: '07bcb3fca27e9408372201fc8e19b5a9d2a9b2999108b1c7539b023d0436254b',
+  publicKey: '03d7f55fd4b295669fa1c0784d792fa13d436a936cf44a14041830ab740ca9940c',
+  value: 'encrypted:BAoRqltMq3+d++EDMfLCmdqr/1RAwgLTj3Umzng6ZMRnwL+dWmKr8o6gTvlCLqKtoZDLp38lRNikypgWsQEKaHOSEmcy2H3DOr21Nu+XLPPcwXw62sZZAXOhNvPEjLRhHrKtV6v+',
+  plaintext: 'world'
+};
+
+/**
+ * Run dotenvx in a scratch project holding one .env file
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {string} content - Content of .env
+ * @param {string[]} args - dotenvx arguments
+ * @param {object} [env] - Extra environment variables
+ * @returns {{ stdout: string, cwd: string }}
+ */
+function dotenvx(t, content, args, env = {}) {
+  const cwd = tempProject(t, { '.env': content });
+  const stdout = execFileSync(DOTENVX, args, { cwd, env: { ...process.env, ...env }, encoding: 'utf-8' });
+  return { stdout, cwd };
+}
+
+test('decrypts a fixed dotenvx vector', () => {
+  assert.equal(decryptValue(VECTOR.privateKey, VECTOR.value), VECTOR.plaintext);
+  assert.equal(publicKeyFromPrivate(VECTOR.privateKey), VECTOR.publicKey);
+});
+
+test('decrypts values dotenvx encrypted', (t) => {
+  const plaintext = 'p@ss word with "quotes" and ünïcode';
+  const { cwd } = dotenvx(t, `SECRET='${plaintext}'\n`, ['encrypt', '-f', '.env']);
+
+  const { DOTENV_PRIVATE_KEY } = parseEnv(readFileSync(join(cwd, '.env.keys'), 'utf-8')).toObject();
+  const { DOTENV_PUBLIC_KEY, SECRET } = parseEnv(readFileSync(join(cwd, '.env'), 'utf-8')).toObject();
+
+  assert.equal(publicKeyFromPrivate(DOTENV_PRIVATE_KEY), DOTENV_PUBLIC_KEY);
+  assert.equal(decryptValue(DOTENV_PRIVATE_KEY, SECRET), plaintext);
+});
+
+test('dotenvx decrypts values we encrypted', (t) => {
+  const { privateKey, publicKey } = generateKeyPair();
+  const plaintext = 'native → dotenvx';
+  const content = `DOTENV_PUBLIC_KEY="${publicKey}"\nSECRET="${encryptValue(publicKey, plaintext)}"\n`;
+
+  const { stdout } = dotenvx(t, content, ['get', 'SECRET', '-f', '.env'], { DOTENV_PRIVATE_KEY: privateKey });
+
+  assert.equal(stdout.replace(/\n$/, ''), plaintext);
+});
+
+test('rejects the wrong private key and malformed keys', () => {
+  const { privateKey } = generateKeyPair();
+
+  assert.throws(() => decryptValue(privateKey, VECTOR.value), /wrong private key/);
+  assert.throws(() => decryptValue('00'.repeat(32), VECTOR.value), /out of range/);
+  assert.throws(() => encryptValue('02' + '00'.repeat(32), 'x'), /Invalid public key/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { getEngine, listEngines } from '../lib/engines/index.js';
+import { readEnvFile } from '../lib/utils/dotenv.js';
+import { decryptValue, publicKeyFromPrivate } from '../lib/utils/ecies.js';
+import { tempProject } from './helpers.js';
+
+for (const name of listEngines()) {
+  test(`${name}: encryptWithNewKey names keys after the env file`, async (t) => {
+    const cwd = tempProject(t);
+    const engine = getEngine(name, { cwd });
+
+    for (const file of ['.env', '.env.ci', 'apps/web/.env.production']) {
+      const { encrypted, publicKey, privateKey } = await engine.encryptWithNewKey(file, { API_KEY: 'a b#c', EMPTY: '' });
+
+      assert.equal(publicKeyFromPrivate(privateKey), publicKey, file);
+      assert.equal(decryptValue(privateKey, encrypted.API_KEY), 'a b#c', file);
+    }
+  });
+}
+
+for (const name of listEngines()) {
+  test(`${name}: set encrypts one value in place`, async (t) => {
+    const cwd = tempProject(t, { '.env.production': '# app\nPLAIN=1\n' });
+    const engine = getEngine(name, { cwd });
+
+    const { publicKey } = await engine.set('.env.production', 'SECRET', 'p@ss "word"');
+    const doc = readEnvFile(join(cwd, '.env.production'));
+    const privateKey = readEnvFile(join(cwd, '.env.keys')).get('DOTENV_PRIVATE_KEY_PRODUCTION');
+
+    assert.equal(doc.get('DOTENV_PUBLIC_KEY_PRODUCTION'), publicKey);
+    assert.equal(doc.get('PLAIN'), '1');
+    assert.equal(decryptValue(privateKey, doc.get('SECRET')), 'p@ss "word"');
+    assert.deepEqual(await engine.decrypt('.env.production'), { DOTENV_PUBLIC_KEY_PRODUCTION: publicKey, PLAIN: '1', SECRET: 'p@ss "word"' });
+  });
+}
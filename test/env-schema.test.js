@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { checkValue, validateValues } from '../lib/utils/env-schema.js';
+import { encrypt } from '../lib/api/encrypt.js';
+import { validate } from '../lib/api/validate.js';
+import { ValidationError } from '../lib/errors.js';
+import { encryptedProject } from './helpers.js';
+
+const PRODUCTION = { id: 'production', name: 'production' };
+
+test('checkValue accepts and rejects values of each type', () => {
+  const cases = [
+    ['string', ['', 'anything'], []],
+    ['number', ['1', '-1.5', '1e3'], ['', ' ', 'one', 'NaN', 'Infinity']],
+    ['integer', ['0', '-12', '+7'], ['1.5', 'one', '']],
+    ['boolean', ['true', 'FALSE', '1', '0', 'yes', 'No'], ['on', 'y', '']],
+    ['url', ['https://example.com', 'postgres://user@db:5432/app'], ['example.com', '/path']],
+    ['port', ['1', '8080', '65535'], ['0', '65536', '-1', '80.5', 'http']],
+    ['email', ['ops@example.com'], ['ops@example', 'ops example.com', '@example.com']],
+    ['json', ['{"a":1}', '[]', '"text"', '1'], ['{a:1}', '']]
+  ];
+
+  for (const [type, valid, invalid] of cases) {
+    for (const value of valid) {
+      assert.equal(checkValue({ type }, value), null, `${type}: ${JSON.stringify(value)}`);
+    }
+    for (const value of invalid) {
+      assert.match(checkValue({ type }, value), /^must be /, `${type}: ${JSON.stringify(value)}`);
+    }
+  }
+});
+
+test('checkValue checks enum and the whole value against pattern', () => {
+  assert.equal(checkValue({ enum: ['debug', 'info'] }, 'info'), null);
+  assert.equal(checkValue({ enum: ['debug', 'info'] }, 'trace'), 'must be one of: debug, info');
+  assert.equal(checkValue({ pattern: 'sk_[a-z]+' }, 'sk_live'), null);
+  assert.equal(checkValue({ pattern: 'sk_[a-z]+' }, 'xsk_live'), 'must match sk_[a-z]+');
+  assert.equal(checkValue({ type: 'port', enum: ['80'] }, 'http'), 'must be a port number (1-65535)');
+});
+
+test('validateValues reports missing, invalid and undeclared variables', () => {
+  const schema = {
+    strict: false,
+    variables: {
+      API_URL: { type: 'url' },
+      DEBUG: { type: 'boolean', required: false },
+      STRIPE_KEY: { requiredIn: ['production'] },
+      SECRET: { type: 'integer' }
+    }
+  };
+  const values = { API_URL: 'not a url', SECRET: null, EXTRA: 'x', DOTENV_PUBLIC_KEY_PRODUCTION: 'pub' };
+
+  assert.deepEqual(validateValues(schema, PRODUCTION, values), [
+    { variable: 'API_URL', message: 'must be a URL' },
+    { variable: 'STRIPE_KEY', message: 'is required' }
+  ]);
+  // requiredIn matches the id as well as the name
+  assert.deepEqual(validateValues(schema, { id: 'apps/web/production', name: 'production' }, values).map(v => v.variable), ['API_URL', 'STRIPE_KEY']);
+  assert.deepEqual(validateValues(schema, { id: 'ci', name: 'ci' }, values).map(v => v.variable), ['API_URL']);
+  // An empty value counts as missing
+  assert.deepEqual(validateValues(schema, PRODUCTION, { API_URL: '', STRIPE_KEY: 'sk', SECRET: '1' }), [
+    { variable: 'API_URL', message: 'is required' }
+  ]);
+
+  assert.deepEqual(validateValues({ ...schema, strict: true }, PRODUCTION, values).slice(2), [
+    { variable: 'EXTRA', message: 'is not declared in .env.schema' }
+  ]);
+});
+
+test('validateValues only checks the given values with partial', () => {
+  const schema = { strict: false, variables: { API_URL: { type: 'url' }, PORT: { type: 'port' } } };
+
+  assert.deepEqual(validateValues(schema, PRODUCTION, { PORT: '80' }, { partial: true }), []);
+  assert.deepEqual(validateValues(schema, PRODUCTION, { PORT: 'http' }, { partial: true }), [
+    { variable: 'PORT', message: 'must be a port number (1-65535)' }
+  ]);
+});
+
+test('refuses values that do not match .env.schema unless forced', async (t) => {
+  const schema = JSON.stringify({ variables: { PORT: { type: 'port' } } });
+  const { cwd } = encryptedProject(t, { production: { PORT: 'http' } }, { '.env.schema': schema });
+
+  const result = await validate({ cwd, engine: 'native' });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems, ['.env.production: PORT must be a port number (1-65535)']);
+
+  const before = readFileSync(join(cwd, '.env.production'), 'utf-8');
+  await assert.rejects(encrypt({ cwd, env: 'production', key: 'PORT', value: 'ftp', engine: 'native' }), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.violations, [{ file: '.env.production', variable: 'PORT', message: 'must be a port number (1-65535)' }]);
+    return true;
+  });
+  assert.equal(readFileSync(join(cwd, '.env.production'), 'utf-8'), before);
+
+  await encrypt({ cwd, env: 'production', key: 'PORT', value: 'ftp', engine: 'native', force: true });
+  assert.notEqual(readFileSync(join(cwd, '.env.production'), 'utf-8'), before);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { describeEnvFile, discoverEnvironments, envFileFor, findEnvironment, isEnvFileName } from '../lib/utils/environments.js';
+import { tempProject } from './helpers.js';
+
+test('tells env files from other .env.* files', () => {
+  for (const file of ['.env', '.env.production', '.env.ci', '.env.production.local', '.env.local']) {
+    assert.equal(isEnvFileName(file), true, file);
+  }
+  for (const file of ['.env.', '.env.keys', '.env.keys.backup.2026-01-01', '.env.keys.meta.json', '.env.vault',
+    '.env.example', '.env.production.sample', '.env.schema', '.env.production.bak', '.envrc', 'env.production']) {
+    assert.equal(isEnvFileName(file), false, file);
+  }
+});
+
+test('describes an env file, with dotenvx key names', () => {
+  const cwd = '/project';
+
+  assert.deepEqual(describeEnvFile(cwd, '.env'), {
+    id: 'root',
+    name: 'root',
+    file: '.env',
+    dir: '',
+    path: join(cwd, '.env'),
+    keysFile: '.env.keys',
+    keyName: 'DOTENV_PRIVATE_KEY',
+    publicKeyName: 'DOTENV_PUBLIC_KEY',
+    local: false
+  });
+
+  const local = describeEnvFile(cwd, 'apps/web/.env.production.local');
+  assert.equal(local.id, 'apps/web/production.local');
+  assert.equal(local.keysFile, 'apps/web/.env.keys');
+  assert.equal(local.keyName, 'DOTENV_PRIVATE_KEY_PRODUCTION_LOCAL');
+  assert.equal(local.publicKeyName, 'DOTENV_PUBLIC_KEY_PRODUCTION_LOCAL');
+  assert.equal(local.local, true);
+
+  assert.equal(describeEnvFile(cwd, './.env.qa').id, 'qa');
+  assert.equal(describeEnvFile(cwd, '.env.local').local, true);
+});
+
+test('maps environment ids back to env files', () => {
+  assert.equal(envFileFor('root'), '.env');
+  assert.equal(envFileFor('production'), '.env.production');
+  assert.equal(envFileFor('apps/web/root'), 'apps/web/.env');
+  assert.equal(envFileFor('apps/web/production.local'), 'apps/web/.env.production.local');
+});
+
+test('finds env files in the project and its subdirectories', (t) => {
+  const cwd = tempProject(t, {
+    '.env': 'A=1\n',
+    '.env.production': 'A=1\n',
+    '.env.ci': 'A=1\n',
+    '.env.production.local': 'A=1\n',
+    '.env.keys': 'DOTENV_PRIVATE_KEY=1\n',
+    '.env.example': 'A=\n',
+    'apps/web/.env.production': 'A=1\n',
+    'apps/web/.env.keys': 'DOTENV_PRIVATE_KEY_PRODUCTION=1\n',
+    'apps/api/.env': 'A=1\n',
+    'a/b/c/.env.deep': 'A=1\n',
+    'a/b/c/d/.env.deeper': 'A=1\n',
+    '.git/.env.production': 'A=1\n',
+    '.vercel/.env.production.local': 'A=1\n',
+    'dist/.env.production': 'A=1\n',
+    'packages/lib/node_modules/pkg/.env.production': 'A=1\n'
+  });
+
+  assert.deepEqual(discoverEnvironments(cwd).map(env => env.id), [
+    'root',
+    'ci',
+    'production',
+    'production.local',
+    'a/b/c/deep',
+    'apps/api/root',
+    'apps/web/production'
+  ]);
+  assert.deepEqual(discoverEnvironments(cwd, { recursive: false }).map(env => env.id), ['root', 'ci', 'production', 'production.local']);
+});
+
+test('narrows discovery to listed environments by name or id', (t) => {
+  const cwd = tempProject(t, { '.env.production': '', '.env.ci': '', 'apps/web/.env.production': '', 'apps/web/.env.ci': '' });
+
+  assert.deepEqual(discoverEnvironments(cwd, { environments: ['production'] }).map(env => env.id), ['production', 'apps/web/production']);
+  assert.deepEqual(discoverEnvironments(cwd, { environments: ['apps/web/ci'] }).map(env => env.id), ['apps/web/ci']);
+  assert.equal(discoverEnvironments(cwd, { environments: [] }).length, 4);
+
+  const environments = discoverEnvironments(cwd);
+  assert.equal(findEnvironment(environments, 'apps/web/ci').file, 'apps/web/.env.ci');
+  assert.equal(findEnvironment(environments, './apps/web/.env.production').id, 'apps/web/production');
+  assert.equal(findEnvironment(environments, 'staging'), undefined);
+});
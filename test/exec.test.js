@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { run } from '../lib/utils/exec.js';
+import { CommandError } from '../lib/errors.js';
+
+const NODE = process.execPath;
+
+/**
+ * Run a Node.js script
+ * @param {string} script - Script source
+ * @param {object} [options] - Options for run()
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string }>}
+ */
+function node(script, options) {
+  return run(NODE, ['-e', script], { name: 'node', ...options });
+}
+
+/**
+ * Assert that a promise rejects with a CommandError for a reason
+ * @param {Promise} promise - From run()
+ * @param {string} reason - Expected `reason`
+ * @param {object} [expected] - More properties the error must have
+ */
+async function rejectsWith(promise, reason, expected = {}) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof CommandError);
+    assert.equal(error.code, 'ECOMMAND');
+    assert.equal(error.reason, reason);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.equal(error[key], value, key);
+    }
+    return true;
+  });
+}
+
+test('writes input to stdin and keeps it out of argv', async () => {
+  const secret = 's3cret value';
+  const script = 'let input = ""; process.stdin.on("data", c => input += c).on("end", () => console.log(JSON.stringify({ input, argv: process.argv })))';
+
+  const { code, stdout } = await node(script, { input: secret });
+  const { input, argv } = JSON.parse(stdout);
+
+  assert.equal(code, 0);
+  assert.equal(input, secret);
+  assert.ok(!argv.some(arg => arg.includes(secret)));
+});
+
+test('closes stdin when there is no input', async () => {
+  const { stdout } = await node('process.stdin.on("data", () => {}).on("end", () => console.log("eof"))', { timeout: 5000 });
+  assert.equal(stdout, 'eof\n');
+});
+
+test('passes arguments verbatim, without a shell', async () => {
+  const args = ['a b', '"quoted"', '$HOME', '; echo no'];
+  const { stdout } = await run(NODE, ['-e', 'console.log(JSON.stringify(process.argv.slice(1)))', ...args]);
+  assert.deepEqual(JSON.parse(stdout), args);
+});
+
+test('rejects a failing program with its exit code and stderr', async () => {
+  const promise = node('console.error("went wrong"); process.exit(3)');
+  await rejectsWith(promise, 'exit', { exitCode: 3, command: 'node', stderr: 'went wrong\n' });
+  await assert.rejects(promise, /Command failed: node\nwent wrong/);
+});
+
+test('rejects a missing program', async () => {
+  await rejectsWith(run('dotenvx-deploy-no-such-program', ['--version']), 'missing', { exitCode: null });
+});
+
+test('kills a program that runs past the timeout', async () => {
+  const started = Date.now();
+  await rejectsWith(node('setInterval(() => {}, 1000)', { timeout: 100 }), 'timeout');
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('kills a program when the signal aborts', async () => {
+  const controller = new AbortController();
+  const promise = node('setInterval(() => {}, 1000)', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+  await rejectsWith(promise, 'aborted');
+
+  // An already aborted signal starts nothing
+  await rejectsWith(node('process.exit(0)', { signal: controller.signal }), 'aborted');
+});
+
+test('stops a program whose output is too large', async () => {
+  await rejectsWith(node('process.stdout.write("x".repeat(11 * 1024 * 1024))'), 'output');
+});
+
+test('resolves failures with check: false', async () => {
+  assert.deepEqual(await node('console.error("no"); process.exit(2)', { check: false }), { code: 2, stdout: '', stderr: 'no\n' });
+
+  const missing = await run('dotenvx-deploy-no-such-program', [], { check: false });
+  assert.equal(missing.code, null);
+  assert.match(missing.stderr, /Command not found/);
+
+  const timedOut = await node('setInterval(() => {}, 1000)', { check: false, timeout: 100 });
+  assert.equal(timedOut.code, null);
+  assert.match(timedOut.stderr, /timed out after 100ms/);
+});
@@ -0,0 +1,127 @@
+import { createServer } from 'http';
+import { mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, statSync, symlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { encryptValue, generateKeyPair } from '../lib/utils/ecies.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * The dotenvx CLI from devDependencies
+ */
+export const DOTENVX = join(ROOT, 'node_modules/.bin/dotenvx');
+
+/**
+ * Create a scratch project that is removed when the test ends
+ *
+ * node_modules links to ours, so `npx @dotenvx/dotenvx` runs the installed
+ * CLI instead of downloading it.
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Record<string, string>} [files] - Content by path relative to the project
+ * @returns {string} Project directory
+ */
+export function tempProject(t, files = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'dotenvx-deploy-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  symlinkSync(join(ROOT, 'node_modules'), join(dir, 'node_modules'), 'dir');
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, file)), { recursive: true });
+    writeFileSync(join(dir, file), content);
+  }
+  return dir;
+}
+
+/**
+ * Create a scratch project with encrypted env files and their .env.keys
+ *
+ * `envs` maps an environment name to its plain values; `.env.<name>` gets the
+ * public key and the values encrypted, .env.keys the private keys.
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Record<string, Record<string, string>>} envs - Values by environment name
+ * @param {Record<string, string>} [files] - More files, as for tempProject()
+ * @returns {{ cwd: string, keys: Record<string, { publicKey: string, privateKey: string }> }}
+ */
+export function encryptedProject(t, envs, files = {}) {
+  const keys = {};
+  const envFiles = {};
+
+  for (const [name, values] of Object.entries(envs)) {
+    const suffix = name.toUpperCase();
+    const pair = generateKeyPair();
+    keys[name] = pair;
+    envFiles[`.env.${name}`] = [
+      `DOTENV_PUBLIC_KEY_${suffix}="${pair.publicKey}"`,
+      ...Object.entries(values).map(([key, value]) => `${key}="${encryptValue(pair.publicKey, value)}"`)
+    ].join('\n') + '\n';
+  }
+
+  const envKeys = Object.entries(keys).map(([name, { privateKey }]) => `DOTENV_PRIVATE_KEY_${name.toUpperCase()}="${privateKey}"`).join('\n') + '\n';
+  return { cwd: tempProject(t, { ...envFiles, '.env.keys': envKeys, ...files }), keys };
+}
+
+/**
+ * Read every file of a project, to check that nothing changed
+ * @param {string} dir - Project directory
+ * @returns {Record<string, string>} Content by path, without node_modules
+ */
+export function snapshot(dir) {
+  return Object.fromEntries(readdirSync(dir, { recursive: true })
+    .filter(file => !file.startsWith('node_modules') && statSync(join(dir, file)).isFile())
+    .sort()
+    .map(file => [file, readFileSync(join(dir, file), 'utf-8')]));
+}
+
+/**
+ * Start an HTTP server that answers JSON requests, and stop it when the test ends
+ *
+ * `handler` gets the method, the parsed URL and the parsed body, and returns
+ * `{ status, body }` (status defaults to 200). Every request is recorded.
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {(request: { method: string, url: URL, body: any, headers: object }) => { status?: number, body?: any }} handler
+ * @returns {Promise<{ url: string, requests: object[] }>}
+ */
+export async function stubApi(t, handler) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let text = '';
+    for await (const chunk of req) {
+      text += chunk;
+    }
+
+    const request = { method: req.method, url: new URL(req.url, 'http://stub'), body: text ? JSON.parse(text) : undefined, headers: req.headers };
+    requests.push(request);
+
+    const { status = 200, body } = (await handler(request)) || {};
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }));
+
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+/**
+ * Set environment variables for one test; undefined removes a variable
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Record<string, string | undefined>} vars - Variables to set
+ */
+export function setEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  const apply = (values) => Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+
+  apply(vars);
+  t.after(() => apply(saved));
+}
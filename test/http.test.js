@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { requestJson } from '../lib/utils/http.js';
+import { HttpError } from '../lib/errors.js';
+import { stubApi } from './helpers.js';
+
+test('sends and parses JSON', async (t) => {
+  const api = await stubApi(t, ({ body }) => ({ body: { echo: body } }));
+
+  assert.deepEqual(await requestJson(`${api.url}/things`, { method: 'POST', body: { a: 1 } }), { echo: { a: 1 } });
+  assert.equal(api.requests[0].headers['content-type'], 'application/json');
+});
+
+test('throws HttpError with the status and body of error responses', async (t) => {
+  const api = await stubApi(t, () => ({ status: 403, body: { error: { code: 'forbidden', message: 'Not allowed' } } }));
+
+  await assert.rejects(requestJson(`${api.url}/things`), (error) => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.code, 'EHTTP');
+    assert.equal(error.reason, 'status');
+    assert.equal(error.status, 403);
+    assert.equal(error.body.error.code, 'forbidden');
+    assert.match(error.message, /GET \/things failed \(403\): Not allowed/);
+    return true;
+  });
+});
+
+test('gives up after the timeout', async (t) => {
+  const api = await stubApi(t, async () => {
+    await sleep(500);
+    return { body: {} };
+  });
+
+  await assert.rejects(requestJson(`${api.url}/slow`, { timeout: 50 }), { name: 'HttpError', reason: 'timeout', status: null });
+});
+
+test('stops when the signal aborts', async (t) => {
+  const api = await stubApi(t, async () => {
+    await sleep(500);
+    return { body: {} };
+  });
+
+  await assert.rejects(requestJson(`${api.url}/slow`, { signal: AbortSignal.timeout(50) }), { name: 'HttpError', reason: 'aborted' });
+  await assert.rejects(requestJson(`${api.url}/slow`, { signal: AbortSignal.abort() }), { name: 'HttpError', reason: 'aborted' });
+});
+
+test('reports network failures', async () => {
+  await assert.rejects(requestJson('http://127.0.0.1:1/unreachable'), { name: 'HttpError', reason: 'network', status: null });
+});
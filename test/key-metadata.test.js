@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { stampKeys, keyAge, maxKeyAgeFor, formatKeyMetadata, KEY_METADATA_FILE } from '../lib/utils/key-metadata.js';
+import { check } from '../lib/api/check.js';
+import { ConfigError } from '../lib/errors.js';
+import { encryptedProject } from './helpers.js';
+
+const JAN = '2026-01-01T00:00:00.000Z';
+const APR = '2026-04-01T00:00:00.000Z';
+
+test('stampKeys starts records for new keys and keeps created on rotation', () => {
+  const created = stampKeys({}, { production: 'pub1' }, { at: JAN });
+  assert.deepEqual(created, { production: { publicKey: 'pub1', created: JAN, rotated: null } });
+
+  // A key that is already recorded keeps its record
+  assert.deepEqual(stampKeys(created, { production: 'pub1' }, { at: APR }), created);
+  // A key that is not a rotation starts over
+  assert.deepEqual(stampKeys(created, { production: 'pub2' }, { at: APR }).production, { publicKey: 'pub2', created: APR, rotated: null });
+
+  const rotated = stampKeys(created, { production: 'pub2', ci: 'pub3' }, { rotated: true, at: APR });
+  assert.deepEqual(rotated, {
+    production: { publicKey: 'pub2', created: JAN, rotated: APR },
+    ci: { publicKey: 'pub3', created: APR, rotated: APR }
+  });
+});
+
+test('keyAge counts from the last rotation, and is unknown for keys the record does not match', () => {
+  const now = new Date('2026-04-11T12:00:00.000Z');
+  const record = { publicKey: 'pub1', created: JAN, rotated: null };
+
+  assert.deepEqual(keyAge(record, 'pub1', now), { created: JAN, rotated: null, days: 100 });
+  assert.equal(keyAge({ ...record, rotated: APR }, 'pub1', now).days, 10);
+  assert.equal(keyAge(record, 'pub2', now), null);
+  assert.equal(keyAge(record, null, now), null);
+  assert.equal(keyAge(undefined, 'pub1', now), null);
+});
+
+test('maxKeyAgeFor falls back from the id to the name to *', () => {
+  const policy = { 'apps/web/production': 30, production: 60, '*': 90 };
+
+  assert.equal(maxKeyAgeFor(policy, 'apps/web/production'), 30);
+  assert.equal(maxKeyAgeFor(policy, 'apps/api/production'), 60);
+  assert.equal(maxKeyAgeFor(policy, 'production'), 60);
+  assert.equal(maxKeyAgeFor(policy, 'ci'), 90);
+  assert.equal(maxKeyAgeFor({ production: 60 }, 'ci'), null);
+  assert.equal(maxKeyAgeFor(undefined, 'ci'), null);
+});
+
+test('check --policy reports overdue keys and keys of unknown age', async (t) => {
+  const { cwd, keys } = encryptedProject(t, { ci: { A: 'one' }, production: { B: 'two' }, staging: { C: 'three' } }, { '.gitignore': '.env.keys\n' });
+  writeFileSync(join(cwd, KEY_METADATA_FILE), formatKeyMetadata({
+    ci: { publicKey: keys.ci.publicKey, created: JAN, rotated: APR },
+    production: { publicKey: keys.production.publicKey, created: JAN, rotated: null },
+    staging: { publicKey: 'an older key', created: JAN, rotated: null }
+  }));
+  const now = new Date('2026-04-11T00:00:00.000Z');
+
+  assert.deepEqual((await check({ cwd, now })).problems, []);
+
+  const result = await check({ cwd, now, policy: true, maxAge: 30 });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.policy, { '*': 30 });
+  assert.deepEqual(result.problems, ['production key is 100 days old (max 30)', 'Age of the staging key is unknown']);
+
+  writeFileSync(join(cwd, '.dotenvx-deploy.json'), JSON.stringify({ maxKeyAge: { production: 365 } }));
+  assert.deepEqual((await check({ cwd, now, policy: true })).problems, []);
+});
+
+test('check refuses an invalid --max-age, and --policy without a maximum', async (t) => {
+  const { cwd } = encryptedProject(t, { production: { A: 'one' } });
+
+  for (const maxAge of [0, -1, 1.5, NaN]) {
+    await assert.rejects(check({ cwd, policy: true, maxAge }), (error) => error instanceof ConfigError && /Invalid maximum key age/.test(error.message));
+  }
+  await assert.rejects(check({ cwd, policy: true }), { code: 'ECONFIG', message: 'No key age policy configured' });
+});
@@ -0,0 +1,288 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { getProvider } from '../lib/providers/index.js';
+import { saveKeys, pullKeys, listKeys } from '../lib/api/keys.js';
+import { decryptVault, encryptVault } from '../lib/utils/vault-file.js';
+import { HttpError, PromptError } from '../lib/errors.js';
+import { setEnv, stubApi, tempProject } from './helpers.js';
+
+const KEY = 'a'.repeat(64);
+const ROTATED_KEY = 'b'.repeat(64);
+
+/**
+ * A stand-in for the 1Password CLI that keeps vaults and items in
+ * $FAKE_OP_STORE and logs every argv to it
+ */
+const FAKE_OP = `#!/usr/bin/env node
+const { existsSync, readFileSync, writeFileSync } = require('fs');
+const file = process.env.FAKE_OP_STORE;
+const store = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : { vaults: [], items: [], calls: [] };
+const [noun, verb, ...rest] = process.argv.slice(2);
+const flag = (name) => rest[rest.indexOf(name) + 1];
+const template = () => JSON.parse(readFileSync(0, 'utf-8'));
+const find = () => store.items.find(item => item.id === rest[0] && item.vault === flag('--vault'));
+let output = '';
+
+store.calls.push(process.argv.slice(2));
+
+if (noun === 'vault' && verb === 'list') {
+  output = store.vaults.map(name => ({ id: name, name }));
+} else if (noun === 'vault' && verb === 'create') {
+  store.vaults.push(rest[0]);
+} else if (noun === 'item' && verb === 'list') {
+  output = store.items.filter(item => item.vault === flag('--vault') && item.tags.includes(flag('--tags'))).map(({ id, title }) => ({ id, title }));
+} else if (noun === 'item' && verb === 'get') {
+  if (!find()) {
+    process.stderr.write('[ERROR] item not found');
+    process.exit(1);
+  }
+  output = find();
+} else if (noun === 'item' && verb === 'create') {
+  store.items.push({ ...template(), id: 'item' + store.items.length, vault: flag('--vault') });
+} else if (noun === 'item' && verb === 'edit') {
+  Object.assign(find(), template());
+} else if (noun === 'item' && verb === 'delete') {
+  store.items = store.items.filter(item => item !== find());
+}
+
+writeFileSync(file, JSON.stringify(store));
+process.stdout.write(output === '' ? '' : JSON.stringify(output));
+`;
+
+/**
+ * Save, list, fetch, version and delete keys the way keys save and keys pull do
+ * @param {object} provider - Provider, ready to open
+ */
+async function exerciseProvider(provider) {
+  assert.equal((await provider.open({ create: true })).exists, true);
+
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'production', value: KEY }), { action: 'created', name: 'app/production' });
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'production', version: 'v2', note: 'rotated', value: ROTATED_KEY }), { action: 'created', name: 'app/production/v2' });
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'preview', value: KEY }), { action: 'created', name: 'app/preview' });
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'preview', value: ROTATED_KEY }), { action: 'updated', name: 'app/preview' });
+
+  assert.deepEqual((await provider.list()).map(entry => entry.name).sort(), ['app/preview', 'app/production', 'app/production/v2']);
+  assert.deepEqual((await provider.versions({ project: 'app', environment: 'production' })).map(entry => entry.version).sort(), ['v2', null].sort());
+
+  assert.equal((await provider.fetch({ project: 'app', environment: 'production' })).value, KEY);
+  assert.equal((await provider.fetch({ project: 'app', environment: 'preview' })).value, ROTATED_KEY);
+
+  const rotated = await provider.fetch({ project: 'app', environment: 'production', version: 'v2' });
+  assert.equal(rotated.value, ROTATED_KEY);
+  assert.equal(rotated.note, 'rotated');
+
+  await provider.delete(rotated);
+  assert.equal(await provider.fetch({ project: 'app', environment: 'production', version: 'v2' }), null);
+  assert.equal((await provider.list()).length, 2);
+}
+
+test('memory: saves, lists, fetches and deletes keys', async () => {
+  await exerciseProvider(getProvider('memory'));
+});
+
+test('file: keeps keys in a JSON file only the user can read', async (t) => {
+  const store = join(tempProject(t), 'store', 'keys.json');
+
+  assert.deepEqual(await getProvider('file', { store }).open(), { exists: false, created: false });
+  await exerciseProvider(getProvider('file', { store }));
+
+  assert.equal(statSync(store).mode & 0o777, 0o600);
+  assert.equal((await getProvider('file', { store }).fetch({ project: 'app', environment: 'production' })).value, KEY);
+});
+
+test('file: names items with the naming templates', async (t) => {
+  const provider = getProvider('file', { store: join(tempProject(t), 'keys.json'), naming: { item: '{env}-{project}', version: '{env}-{project}@{version}' } });
+
+  await provider.open({ create: true });
+  assert.equal((await provider.save({ project: 'app', environment: 'production', version: 'v1', value: KEY })).name, 'production-app@v1');
+  assert.equal((await provider.fetch({ project: 'app', environment: 'production', version: 'v1' })).value, KEY);
+});
+
+test('1password: keeps keys in items through the op CLI, never in argv', async (t) => {
+  const bin = tempProject(t, { op: FAKE_OP });
+  const store = join(bin, 'store.json');
+  chmodSync(join(bin, 'op'), 0o755);
+  setEnv(t, { PATH: `${bin}:${process.env.PATH}`, FAKE_OP_STORE: store });
+
+  assert.deepEqual(await getProvider('1password', { vault: 'keys' }).open(), { exists: false, created: false });
+  await exerciseProvider(getProvider('1password', { vault: 'keys' }));
+
+  const { vaults, items, calls } = JSON.parse(readFileSync(store, 'utf-8'));
+  assert.deepEqual(vaults, ['keys']);
+  assert.ok(items.every(item => item.category === 'SECURE_NOTE' && item.tags.includes('dotenvx-deploy')));
+  assert.equal(items.find(item => item.title === 'app/preview').fields.find(field => field.label === 'DOTENV_PRIVATE_KEY').type, 'CONCEALED');
+  assert.ok(calls.every(args => !args.some(arg => arg.includes(KEY) || arg.includes(ROTATED_KEY))), 'keys are piped in, not passed as arguments');
+});
+
+/**
+ * Answer the parts of the Vault HTTP API the provider uses, from a KV v2
+ * mount named "secret" held in memory
+ * @returns {(request: object) => { status?: number, body?: any }}
+ */
+function fakeVault() {
+  const secrets = new Map();
+  const mounts = { secret: '2', legacy: '1' };
+
+  return ({ method, url, body, headers }) => {
+    const [mount, kind, ...rest] = url.pathname.replace(/^\/v1\//, '').split('/');
+    const path = rest.join('/');
+    const secret = secrets.get(path);
+
+    if (headers['x-vault-token'] !== 'root') {
+      return { status: 403, body: { errors: ['permission denied'] } };
+    }
+    if (url.pathname === '/v1/auth/token/lookup-self') {
+      return { body: { data: { id: 'root' } } };
+    }
+    if (url.pathname.startsWith('/v1/sys/internal/ui/mounts/')) {
+      const version = mounts[url.pathname.split('/').pop()];
+      return version ? { body: { data: { type: 'kv', options: { version } } } } : { status: 404, body: { errors: [] } };
+    }
+    if (mount !== 'secret') {
+      return { status: 500, body: { errors: ['unexpected mount'] } };
+    }
+
+    if (kind === 'metadata' && url.searchParams.get('list') === 'true') {
+      const keys = [...new Set([...secrets.keys()]
+        .filter(key => key.startsWith(path))
+        .map(key => key.slice(path.length).replace(/\/.*/, '/')))];
+      return keys.length ? { body: { data: { keys } } } : { status: 404, body: { errors: [] } };
+    }
+    if (kind === 'metadata') {
+      return secret
+        ? { body: { data: { current_version: secret.length, versions: Object.fromEntries(secret.map((v, i) => [i + 1, v.metadata])) } } }
+        : { status: 404, body: { errors: [] } };
+    }
+    if (kind === 'data' && method === 'POST') {
+      const versions = secrets.get(path) || [];
+      versions.push({ data: body.data, metadata: { created_time: new Date().toISOString(), deletion_time: '', destroyed: false } });
+      secrets.set(path, versions);
+      return { body: { data: { version: versions.length } } };
+    }
+    if (kind === 'data') {
+      const version = secret?.[Number(url.searchParams.get('version')) - 1];
+      return version && !version.metadata.deletion_time ? { body: { data: version } } : { status: 404, body: { errors: [] } };
+    }
+    if (kind === 'delete') {
+      body.versions.forEach(version => {
+        secret[version - 1].metadata.deletion_time = new Date().toISOString();
+      });
+      return { status: 204 };
+    }
+    return { status: 405, body: { errors: ['unsupported'] } };
+  };
+}
+
+test('hashicorp-vault: keeps each save as a KV v2 version', async (t) => {
+  const vault = await stubApi(t, fakeVault());
+  setEnv(t, { VAULT_ADDR: `${vault.url}/`, VAULT_TOKEN: 'root', VAULT_NAMESPACE: 'team' });
+  const provider = getProvider('hashicorp-vault');
+
+  assert.equal((await provider.check()).ready, true);
+  assert.deepEqual(await provider.open(), { exists: true, created: false });
+  assert.deepEqual(await getProvider('hashicorp-vault', { mount: 'missing' }).open(), { exists: false, created: false });
+  await assert.rejects(getProvider('hashicorp-vault', { mount: 'legacy' }).open(), /not a KV version 2/);
+
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'production', value: KEY }), { action: 'created', name: 'app/production@1' });
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'production', version: 'v2', note: 'rotated', value: ROTATED_KEY }), { action: 'updated', name: 'app/production@2' });
+  assert.deepEqual(await provider.save({ project: 'app', environment: 'production', value: KEY }), { action: 'updated', name: 'app/production@3' });
+  await provider.save({ project: 'app', environment: 'preview', value: ROTATED_KEY });
+
+  // Current versions, plus older ones saved with a label
+  assert.deepEqual((await provider.list()).map(entry => entry.name).sort(), ['app/preview@1', 'app/production@2', 'app/production@3']);
+  assert.deepEqual((await provider.versions({ project: 'app', environment: 'production' })).map(entry => entry.version), ['1', '2', '3']);
+
+  assert.equal((await provider.fetch({ project: 'app', environment: 'production' })).version, '3');
+  assert.equal((await provider.fetch({ project: 'app', environment: 'production', version: '1' })).value, KEY);
+
+  const labelled = await provider.fetch({ project: 'app', environment: 'production', version: 'v2' });
+  assert.deepEqual([labelled.value, labelled.label, labelled.note], [ROTATED_KEY, 'v2', 'rotated']);
+
+  await provider.delete(labelled);
+  assert.equal(await provider.fetch({ project: 'app', environment: 'production', version: 'v2' }), null);
+  assert.equal(await provider.fetch({ project: 'dotenvx', environment: 'production' }), null);
+
+  assert.ok(vault.requests.every(request => request.headers['x-vault-namespace'] === 'team'));
+});
+
+test('hashicorp-vault: reports a missing setup, a rejected token and API errors', async (t) => {
+  const vault = await stubApi(t, fakeVault());
+
+  setEnv(t, { VAULT_ADDR: undefined, VAULT_TOKEN: undefined });
+  assert.equal((await getProvider('hashicorp-vault').check()).configured, false);
+
+  setEnv(t, { VAULT_ADDR: vault.url, VAULT_TOKEN: 'expired' });
+  const status = await getProvider('hashicorp-vault').check();
+  assert.deepEqual([status.ready, status.configured], [false, true]);
+  assert.match(status.error, /permission denied/);
+
+  await assert.rejects(getProvider('hashicorp-vault').list(), (error) => error instanceof HttpError && error.status === 403);
+});
+
+
+test('local-vault: takes the passphrase as an option or from a hook, and never prompts', async (t) => {
+  const file = join(tempProject(t), 'vault.enc');
+  setEnv(t, { DOTENVX_DEPLOY_VAULT_PASSPHRASE: undefined });
+
+  const requests = [];
+  const writer = getProvider('local-vault', {
+    file,
+    passphrase: async (request) => {
+      requests.push(request);
+      return 'correct horse';
+    }
+  });
+  await writer.unlock({ create: true });
+  await writer.open({ create: true });
+  await writer.save({ project: 'app', environment: 'production', value: 'a'.repeat(64) });
+
+  assert.deepEqual(requests, [{ create: true, path: file }]);
+
+  const reader = getProvider('local-vault', { file, passphrase: 'correct horse' });
+  await reader.unlock();
+  assert.equal((await reader.fetch({ project: 'app', environment: 'production' })).value, 'a'.repeat(64));
+
+  await assert.rejects(getProvider('local-vault', { file }).unlock(), PromptError);
+  await assert.rejects(getProvider('local-vault', { file, passphrase: 'wrong' }).unlock());
+});
+
+test('local-vault: refuses key derivation settings it did not write', () => {
+  const document = encryptVault({ entries: [] }, 'correct horse');
+  assert.deepEqual(decryptVault(document, 'correct horse'), { entries: [] });
+
+  const tampered = [
+    [{ name: 'pbkdf2' }, /Unsupported vault key derivation: pbkdf2/],
+    [{ N: 2 ** 24 }, /parameter N must be an integer from 1 to 32768/],
+    [{ r: 1024 }, /parameter r must be/],
+    [{ p: 16 }, /parameter p must be/],
+    [{ p: 0 }, /parameter p must be/],
+    [{ N: '32768' }, /parameter N must be/]
+  ];
+  for (const [kdf, message] of tampered) {
+    assert.throws(() => decryptVault({ ...document, kdf: { ...document.kdf, ...kdf } }, 'correct horse'), message);
+  }
+});
+
+test('file: keys save, list and pull round-trip through the library', async (t) => {
+  const store = join(tempProject(t), 'keys.json');
+  const source = tempProject(t, {
+    'package.json': '{ "name": "app" }\n',
+    '.env.keys': `DOTENV_PRIVATE_KEY_PRODUCTION=${KEY}\nDOTENV_PRIVATE_KEY_PREVIEW=${ROTATED_KEY}\n`
+  });
+  const target = tempProject(t, { 'package.json': '{ "name": "app" }\n' });
+
+  const saved = await saveKeys({ cwd: source, provider: 'file', store });
+  assert.deepEqual(saved.saved.map(item => item.name).sort(), ['app/preview', 'app/production']);
+
+  const listed = await listKeys({ cwd: target, provider: 'file', store });
+  assert.equal(listed.project, 'app');
+  assert.deepEqual(listed.entries.map(entry => entry.name).sort(), ['app/preview', 'app/production']);
+  assert.ok(listed.entries.every(entry => entry.value === undefined), 'values are never listed');
+
+  await pullKeys({ cwd: target, provider: 'file', store });
+  const keys = readFileSync(join(target, '.env.keys'), 'utf-8');
+  assert.match(keys, new RegExp(`^DOTENV_PRIVATE_KEY_PRODUCTION="?${KEY}"?$`, 'm'));
+  assert.match(keys, new RegExp(`^DOTENV_PRIVATE_KEY_PREVIEW="?${ROTATED_KEY}"?$`, 'm'));
+});
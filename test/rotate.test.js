@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { rotate } from '../lib/api/rotate.js';
+import { readEnvFile } from '../lib/utils/dotenv.js';
+import { decryptValue } from '../lib/utils/ecies.js';
+import { PartialFailureError, RollbackError } from '../lib/errors.js';
+import { encryptedProject, setEnv, snapshot, stubApi } from './helpers.js';
+
+test('rotates every environment and backs up .env.keys', async (t) => {
+  const { cwd, keys } = encryptedProject(t, { ci: { A: 'one' }, production: { B: 'two' } });
+  const before = readFileSync(join(cwd, '.env.keys'), 'utf-8');
+
+  const result = await rotate({ cwd, all: true, engine: 'native' });
+  const envKeys = readEnvFile(join(cwd, '.env.keys'));
+
+  assert.deepEqual(result.environments, ['ci', 'production']);
+  assert.equal(readFileSync(result.backupPath, 'utf-8'), before);
+  assert.notEqual(envKeys.get('DOTENV_PRIVATE_KEY_CI'), keys.ci.privateKey);
+  assert.equal(decryptValue(envKeys.get('DOTENV_PRIVATE_KEY_CI'), readEnvFile(join(cwd, '.env.ci')).get('A')), 'one');
+  assert.equal(decryptValue(envKeys.get('DOTENV_PRIVATE_KEY_PRODUCTION'), readEnvFile(join(cwd, '.env.production')).get('B')), 'two');
+});
+
+test('changes no file when one environment cannot be rotated', async (t) => {
+  const { cwd } = encryptedProject(t, { ci: { A: 'one' }, production: { B: 'two' }, staging: { C: 'three' } });
+  // Staging comes last, after the others were rotated in memory
+  const envKeys = readFileSync(join(cwd, '.env.keys'), 'utf-8');
+  writeFileSync(join(cwd, '.env.keys'), envKeys.replace(/^DOTENV_PRIVATE_KEY_STAGING=.*\n/m, ''));
+  const before = snapshot(cwd);
+
+  await assert.rejects(rotate({ cwd, all: true, engine: 'native' }), (error) => {
+    assert.ok(error instanceof RollbackError);
+    assert.deepEqual(error.result.results.map(({ envName, ok }) => ({ envName, ok })), [
+      { envName: 'ci', ok: true },
+      { envName: 'production', ok: true },
+      { envName: 'staging', ok: false }
+    ]);
+    assert.deepEqual(error.result.backupPaths, []);
+    return true;
+  });
+  assert.deepEqual(snapshot(cwd), before);
+});
+
+test('puts every file back when writing the rotated files fails', async (t) => {
+  const { cwd } = encryptedProject(t, { ci: { A: 'one' }, production: { B: 'two' } });
+  // The key metadata is written last; a directory at its temp path makes that write fail
+  mkdirSync(join(cwd, `.env.keys.meta.json.${process.pid}.tmp`));
+  const before = snapshot(cwd);
+
+  await assert.rejects(rotate({ cwd, all: true, engine: 'native' }), (error) => {
+    assert.ok(error instanceof RollbackError);
+    assert.match(error.message, /Could not write the rotated files/);
+    assert.equal(readFileSync(error.result.backupPath, 'utf-8'), before['.env.keys']);
+    return true;
+  });
+
+  const after = snapshot(cwd);
+  assert.equal(Object.keys(after).filter(file => file.startsWith('.env.keys.backup.')).length, 1);
+  assert.deepEqual(Object.fromEntries(Object.entries(after).filter(([file]) => !file.startsWith('.env.keys.backup.'))), before);
+});
+
+/**
+ * Answer the parts of the Netlify API that deploying a production key uses,
+ * recording which stored key names existed when the key was set
+ * @param {string} store - Path of the file provider's store
+ * @param {object} [options] - Options
+ * @param {boolean} [options.fail] - Refuse to set the key
+ * @returns {(request: object) => { status?: number, body?: any }}
+ */
+function fakeNetlify(store, { fail = false } = {}) {
+  const savedWhenSet = [];
+
+  const handler = ({ method, url, body }) => {
+    const path = url.pathname;
+
+    if (path === '/sites/site_1') {
+      return { body: { id: 'site_1', name: 'my-site', account_id: 'acc_1' } };
+    }
+    if (path === '/accounts/acc_1/env' && method === 'POST') {
+      savedWhenSet.push(JSON.parse(readFileSync(store, 'utf-8')).entries.map(entry => entry.name));
+      return fail ? { status: 500, body: { message: 'Internal Server Error' } } : { status: 201, body };
+    }
+    if (path === '/sites/site_1/builds') {
+      return { body: { deploy_id: 'dep_1' } };
+    }
+    if (path === '/deploys/dep_1') {
+      return { body: { state: 'ready', ssl_url: 'https://my-site.netlify.app' } };
+    }
+    return { status: 404, body: { message: 'Not Found' } };
+  };
+
+  return Object.assign(handler, { savedWhenSet });
+}
+
+/**
+ * Rotate the production key with propagation to a file store and a stubbed Netlify
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {object} [options] - Options for fakeNetlify()
+ * @returns {Promise<{ cwd: string, store: string, netlify: Function, rotation: Promise<object> }>}
+ */
+async function rotateAndPropagate(t, options) {
+  const { cwd } = encryptedProject(t, { production: { A: 'one' } }, { 'package.json': '{ "name": "app" }\n' });
+  const store = join(cwd, 'store.json');
+  const netlify = fakeNetlify(store, options);
+  const api = await stubApi(t, netlify);
+  setEnv(t, { NETLIFY_API_URL: api.url, NETLIFY_SITE_ID: 'site_1', NETLIFY_AUTH_TOKEN: 'token' });
+
+  const rotation = rotate({
+    cwd, env: 'production', engine: 'native', propagate: true, name: 'v2', provider: 'file', store, target: 'netlify'
+  });
+  return { cwd, store, netlify, rotation };
+}
+
+test('propagates rotated keys: backup, deploy, then retire the old keys', async (t) => {
+  const { cwd, store, netlify, rotation } = await rotateAndPropagate(t);
+  const result = await rotation;
+  const entries = JSON.parse(readFileSync(store, 'utf-8')).entries;
+  const privateKey = readEnvFile(join(cwd, '.env.keys')).get('DOTENV_PRIVATE_KEY_PRODUCTION');
+
+  assert.deepEqual(result.propagation.steps.map(({ step, ok }) => [step, ok]), [['backup', true], ['deploy:netlify', true], ['retire', true]]);
+  assert.deepEqual(netlify.savedWhenSet, [['app/production/v2']]);
+  assert.deepEqual(entries.map(entry => [entry.name, entry.value]), [['app/production/v2', privateKey], ['app/production', privateKey]]);
+  assert.equal(existsSync(result.backupPath), false);
+});
+
+test('keeps the backup of the old keys when deploying fails', async (t) => {
+  const { store, rotation } = await rotateAndPropagate(t, { fail: true });
+
+  await assert.rejects(rotation, (error) => {
+    assert.ok(error instanceof PartialFailureError);
+    assert.deepEqual(error.result.propagation.steps.map(({ step, ok, skipped }) => [step, ok, !!skipped]), [
+      ['backup', true, false],
+      ['deploy:netlify', false, false],
+      ['retire', false, true]
+    ]);
+    assert.ok(existsSync(error.result.backupPath));
+    assert.match(error.hint, /still in .*\.env\.keys\.backup\./);
+    return true;
+  });
+
+  assert.deepEqual(JSON.parse(readFileSync(store, 'utf-8')).entries.map(entry => entry.name), ['app/production/v2']);
+});
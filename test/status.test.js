@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { status } from '../lib/api/status.js';
+import { encryptedProject } from './helpers.js';
+
+test('only expects a key for encrypted env files', async (t) => {
+  const { cwd } = encryptedProject(t, { production: { A: 'one' } }, {
+    '.env.ci': 'PLAIN=1\n',
+    '.env.staging': 'DOTENV_PUBLIC_KEY_STAGING="02ab"\nB=two\n',
+    '.gitignore': '.env.keys\n'
+  });
+
+  const result = await status({ cwd, tools: false });
+  const missing = Object.fromEntries(result.environments.map(env => [env.id, env.missingKey]));
+
+  assert.deepEqual(missing, { ci: false, production: false, staging: true });
+  assert.deepEqual(result.problems, ['.env.ci is not encrypted', 'Missing key for staging environment']);
+});
@@ -0,0 +1,339 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { chmodSync, readFileSync } from 'fs';
+import { join } from 'path';
+import sodium from 'libsodium-wrappers';
+import { getTarget } from '../lib/targets/index.js';
+import { generateKeyPair } from '../lib/utils/ecies.js';
+import { keyFingerprint } from '../lib/utils/keys.js';
+import { setEnv, stubApi, tempProject } from './helpers.js';
+
+const KEY = 'a'.repeat(64);
+const ROTATED_KEY = 'b'.repeat(64);
+
+/**
+ * Collect what a function prints with console.log
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Function} fn - Function to run
+ * @returns {string} Printed lines, without colors
+ */
+function captureLog(t, fn) {
+  const lines = [];
+  t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  fn();
+  t.mock.restoreAll();
+  return lines.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+test('vercel: plans sensitive variables by the fingerprint in their comment', async (t) => {
+  const { privateKey } = generateKeyPair();
+  const { privateKey: otherKey } = generateKeyPair();
+  const api = await stubApi(t, () => ({
+    body: {
+      envs: [{
+        id: 'env_1',
+        key: 'DOTENV_PRIVATE_KEY_PRODUCTION',
+        type: 'sensitive',
+        target: ['production'],
+        comment: `dotenvx-deploy fingerprint ${keyFingerprint(privateKey)}`
+      }],
+      pagination: { next: null }
+    }
+  }));
+  setEnv(t, { VERCEL_TOKEN: 'token', VERCEL_PROJECT_ID: 'prj_1', VERCEL_ORG_ID: 'team_1', VERCEL_API_URL: api.url });
+
+  const target = getTarget('vercel', { cwd: tempProject(t) });
+
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', privateKey, 'production'), { action: 'unchanged' });
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', otherKey, 'production'), { action: 'replace' });
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PREVIEW', otherKey, 'preview'), { action: 'add' });
+  assert.ok(api.requests.every(request => request.url.pathname === '/v10/projects/prj_1/env'));
+});
+
+/**
+ * Answer the parts of the Netlify API the target uses, for site "site_1"
+ * in account "acc_1", with environment variables held in memory
+ * @param {Map<string, object>} envs - Variables by key
+ * @returns {(request: object) => { status?: number, body?: any }}
+ */
+function fakeNetlify(envs) {
+  return ({ method, url, body, headers }) => {
+    const path = url.pathname.replace(/^\/api\/v1/, '');
+    const key = path.match(/^\/accounts\/acc_1\/env\/(.+)$/)?.[1];
+
+    if (headers.authorization !== 'Bearer token') {
+      return { status: 401, body: { message: 'Access Denied' } };
+    }
+    if (path === '/sites/site_1') {
+      return { body: { id: 'site_1', name: 'my-site', account_id: 'acc_1' } };
+    }
+    if (path === '/sites/site_1/builds') {
+      return { body: { deploy_id: 'dep_1' } };
+    }
+    if (path === '/deploys/dep_1') {
+      return { body: { state: 'ready', ssl_url: 'https://my-site.netlify.app' } };
+    }
+    if (url.searchParams.get('site_id') !== 'site_1') {
+      return { status: 422, body: { message: 'site_id is required' } };
+    }
+    if (path === '/accounts/acc_1/env' && method === 'POST') {
+      body.forEach(env => envs.set(env.key, { ...env, updated_at: '2026-01-01T00:00:00Z' }));
+      return { status: 201, body };
+    }
+    if (key && method === 'PATCH') {
+      const env = envs.get(key);
+      env.values = [...env.values.filter(v => v.context !== body.context), body];
+      return { body: env };
+    }
+    if (key && envs.has(key)) {
+      return { body: envs.get(key) };
+    }
+    return { status: 404, body: { message: 'Not Found' } };
+  };
+}
+
+test('netlify: finds the linked site and reports what is missing', async (t) => {
+  const api = await stubApi(t, fakeNetlify(new Map()));
+  const linked = tempProject(t, { '.netlify/state.json': '{ "siteId": "site_1" }\n' });
+  setEnv(t, { NETLIFY_API_URL: `${api.url}/api/v1/`, NETLIFY_SITE_ID: undefined, NETLIFY_AUTH_TOKEN: undefined });
+
+  assert.equal((await getTarget('netlify', { cwd: linked }).check()).reason, 'token');
+
+  setEnv(t, { NETLIFY_AUTH_TOKEN: 'token' });
+  assert.equal((await getTarget('netlify', { cwd: tempProject(t) }).check()).reason, 'site');
+  assert.deepEqual(await getTarget('netlify', { cwd: linked }).check(), { ready: true, message: 'Netlify site "my-site" ready' });
+
+  setEnv(t, { NETLIFY_AUTH_TOKEN: 'expired' });
+  const status = await getTarget('netlify', { cwd: linked }).check();
+  assert.equal(status.reason, 'api');
+  assert.match(status.error, /401/);
+});
+
+test('netlify: adds secret variables and updates one deploy context', async (t) => {
+  const envs = new Map();
+  const api = await stubApi(t, fakeNetlify(envs));
+  setEnv(t, { NETLIFY_API_URL: `${api.url}/api/v1`, NETLIFY_SITE_ID: 'site_1', NETLIFY_AUTH_TOKEN: 'token' });
+
+  const target = getTarget('netlify', { cwd: tempProject(t) });
+  await target.check();
+
+  assert.equal(target.scopeFor('preview'), 'deploy-preview');
+  assert.equal(await target.readSecret('DOTENV_PRIVATE_KEY_PRODUCTION', 'production'), null);
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'add' });
+
+  assert.deepEqual(await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'created' });
+  assert.deepEqual(envs.get('DOTENV_PRIVATE_KEY_PRODUCTION'), {
+    key: 'DOTENV_PRIVATE_KEY_PRODUCTION',
+    scopes: ['builds', 'functions', 'runtime'],
+    values: [{ value: KEY, context: 'production' }],
+    is_secret: true,
+    updated_at: '2026-01-01T00:00:00Z'
+  });
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'unchanged' });
+  assert.deepEqual(await target.readSecret('DOTENV_PRIVATE_KEY_PRODUCTION', 'production'), {
+    fingerprint: keyFingerprint(KEY),
+    updated: '2026-01-01T00:00:00Z'
+  });
+
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', ROTATED_KEY, 'deploy-preview'), { action: 'replace' });
+  assert.deepEqual(await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', ROTATED_KEY, 'deploy-preview'), { action: 'updated' });
+  assert.deepEqual(envs.get('DOTENV_PRIVATE_KEY_PRODUCTION').values.map(v => v.context), ['production', 'deploy-preview']);
+
+  assert.deepEqual(await target.waitForDeployment(await target.deploy()), { url: 'https://my-site.netlify.app' });
+});
+
+test('netlify: fetches the site once when check() was not called', async (t) => {
+  const api = await stubApi(t, fakeNetlify(new Map()));
+  setEnv(t, { NETLIFY_API_URL: `${api.url}/api/v1`, NETLIFY_SITE_ID: 'site_1', NETLIFY_AUTH_TOKEN: 'token' });
+
+  const target = getTarget('netlify', { cwd: tempProject(t) });
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'add' });
+  assert.deepEqual(await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'created' });
+  assert.equal((await target.deploy()).url, 'https://app.netlify.com/sites/my-site/deploys/dep_1');
+  assert.equal(api.requests.filter(request => request.url.pathname === '/api/v1/sites/site_1').length, 1);
+
+  setEnv(t, { NETLIFY_AUTH_TOKEN: undefined });
+  await assert.rejects(getTarget('netlify', { cwd: tempProject(t) }).deploy(), { code: 'ENOTREADY', message: 'NETLIFY_AUTH_TOKEN not set' });
+});
+
+test('github: finds the repository from GITHUB_REPOSITORY or the origin remote', async (t) => {
+  const api = await stubApi(t, ({ url }) => url.pathname === '/repos/acme/app' ? { body: { full_name: 'acme/app' } } : { status: 404, body: { message: 'Not Found' } });
+  const cwd = tempProject(t);
+  execFileSync('git', ['init', '-q'], { cwd });
+  execFileSync('git', ['remote', 'add', 'origin', 'git@github.com:acme/app.git'], { cwd });
+  setEnv(t, { GITHUB_API_URL: api.url, GITHUB_REPOSITORY: undefined, GITHUB_TOKEN: undefined, GH_TOKEN: undefined });
+
+  assert.equal((await getTarget('github', { cwd }).check()).reason, 'token');
+
+  setEnv(t, { GH_TOKEN: 'token' });
+  assert.deepEqual(await getTarget('github', { cwd }).check(), { ready: true, message: 'GitHub repository acme/app ready' });
+  assert.equal((await getTarget('github', { cwd: tempProject(t) }).check()).reason, 'repo');
+
+  setEnv(t, { GITHUB_REPOSITORY: 'acme/gone' });
+  const status = await getTarget('github', { cwd }).check();
+  assert.equal(status.reason, 'api');
+  assert.match(status.error, /404/);
+});
+
+test('github: seals secrets with the environment or repository public key', async (t) => {
+  await sodium.ready;
+  const keyPair = sodium.crypto_box_keypair();
+  const secrets = new Map();
+  const api = await stubApi(t, ({ method, url, body, headers }) => {
+    if (headers.authorization !== 'Bearer token') {
+      return { status: 401, body: { message: 'Bad credentials' } };
+    }
+    if (url.pathname.endsWith('/public-key')) {
+      return { body: { key_id: 'key_1', key: sodium.to_base64(keyPair.publicKey, sodium.base64_variants.ORIGINAL) } };
+    }
+    if (method === 'PUT' && url.pathname.includes('/secrets/')) {
+      secrets.set(url.pathname, body);
+      return { status: 201 };
+    }
+    if (method === 'PUT' || url.pathname === '/repos/acme/app') {
+      return { body: {} };
+    }
+    return secrets.has(url.pathname)
+      ? { body: { name: url.pathname.split('/').pop(), updated_at: '2026-01-01T00:00:00Z' } }
+      : { status: 404, body: { message: 'Not Found' } };
+  });
+  setEnv(t, { GITHUB_API_URL: api.url, GITHUB_REPOSITORY: 'acme/app', GITHUB_TOKEN: 'token' });
+  const open = (path) => {
+    const sealed = sodium.from_base64(secrets.get(path).encrypted_value, sodium.base64_variants.ORIGINAL);
+    return sodium.to_string(sodium.crypto_box_seal_open(sealed, keyPair.publicKey, keyPair.privateKey));
+  };
+
+  const target = getTarget('github', { cwd: tempProject(t), scopes: { github: { preview: 'staging' } } });
+  assert.equal((await target.check()).ready, true);
+
+  assert.equal(target.scopeFor('preview'), 'staging');
+  assert.equal(await target.readSecret('DOTENV_PRIVATE_KEY_PRODUCTION', 'production'), null);
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'add' });
+  assert.deepEqual(await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'created' });
+  assert.deepEqual(await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'updated' });
+  assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production'), { action: 'replace' });
+  assert.deepEqual(await target.readSecret('DOTENV_PRIVATE_KEY_PRODUCTION', 'production'), { fingerprint: null, updated: '2026-01-01T00:00:00Z' });
+
+  const environmentSecret = '/repos/acme/app/environments/production/secrets/DOTENV_PRIVATE_KEY_PRODUCTION';
+  assert.equal(secrets.get(environmentSecret).key_id, 'key_1');
+  assert.equal(open(environmentSecret), KEY);
+  assert.ok(api.requests.some(request => request.method === 'PUT' && request.url.pathname === '/repos/acme/app/environments/production'));
+
+  const repoTarget = getTarget('github', { cwd: tempProject(t), repoSecret: true });
+  await repoTarget.check();
+  assert.equal(repoTarget.scopeFor('production'), 'repository');
+  await repoTarget.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'repository');
+  assert.equal(open('/repos/acme/app/actions/secrets/DOTENV_PRIVATE_KEY_PRODUCTION'), KEY);
+});
+
+/**
+ * A stand-in for npx that logs each wrangler call, with its stdin, to
+ * $FAKE_NPX_LOG and prints a URL for deploys
+ */
+const FAKE_NPX = `#!/usr/bin/env node
+const { appendFileSync, readFileSync } = require('fs');
+const args = process.argv.slice(2);
+appendFileSync(process.env.FAKE_NPX_LOG, JSON.stringify({ args, input: readFileSync(0, 'utf-8') }) + '\\n');
+if (args.includes('deploy')) {
+  console.log('Deployed to https://app.pages.dev');
+}
+`;
+
+/**
+ * Put the fake npx first on PATH
+ * @param {import('node:test').TestContext} t - Test context
+ * @returns {() => { args: string[], input: string }[]} Reads the calls so far
+ */
+function fakeNpx(t) {
+  const bin = tempProject(t, { npx: FAKE_NPX });
+  const log = join(bin, 'calls.jsonl');
+  chmodSync(join(bin, 'npx'), 0o755);
+  setEnv(t, { PATH: `${bin}:${process.env.PATH}`, FAKE_NPX_LOG: log, CLOUDFLARE_ACCOUNT_ID: undefined });
+
+  return () => readFileSync(log, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('cloudflare: puts Pages secrets into production or preview', async (t) => {
+  const calls = fakeNpx(t);
+  const cwd = tempProject(t, { 'wrangler.toml': 'name = "app"\naccount_id = "acc_1"\npages_build_output_dir = "./dist"\n' });
+  const target = getTarget('cloudflare', { cwd });
+
+  assert.deepEqual(await target.check(), { ready: true, message: 'Pages project "app" ready' });
+  assert.equal(target.label, 'Cloudflare Pages');
+  assert.deepEqual(['production', 'preview', 'staging'].map(env => target.scopeFor(env)), ['production', 'preview', 'preview']);
+
+  await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production');
+  await target.setSecret('DOTENV_PRIVATE_KEY_STAGING', ROTATED_KEY, 'preview');
+  assert.deepEqual(await target.deploy({ envName: 'staging', scope: 'preview' }), { url: 'https://app.pages.dev', output: 'Deployed to https://app.pages.dev\n' });
+
+  assert.deepEqual(calls(), [
+    { args: ['wrangler', '--version'], input: '' },
+    { args: ['wrangler', 'pages', 'secret', 'put', 'DOTENV_PRIVATE_KEY_PRODUCTION', '--project-name', 'app'], input: `${KEY}\n` },
+    { args: ['wrangler', 'pages', 'secret', 'put', 'DOTENV_PRIVATE_KEY_STAGING', '--project-name', 'app', '--env', 'preview'], input: `${ROTATED_KEY}\n` },
+    { args: ['wrangler', 'pages', 'deploy', './dist', '--project-name', 'app', '--branch', 'staging'], input: '' }
+  ]);
+});
+
+test('cloudflare: puts Worker secrets into the named wrangler environment', async (t) => {
+  const calls = fakeNpx(t);
+  const cwd = tempProject(t, { 'wrangler.jsonc': '{\n  // Worker\n  "name": "api",\n  "env": { "staging": {} },\n}\n' });
+  const target = getTarget('cloudflare', { cwd, scopes: { cloudflare: { ci: 'staging' } } });
+
+  assert.equal((await target.check()).ready, true);
+  assert.deepEqual(['production', 'staging', 'ci'].map(env => target.scopeFor(env)), ['production', 'staging', 'staging']);
+
+  await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', KEY, 'production');
+  await target.setSecret('DOTENV_PRIVATE_KEY_CI', KEY, 'staging');
+  await assert.rejects(target.setSecret('DOTENV_PRIVATE_KEY_QA', KEY, 'qa'), /No env\.qa in wrangler\.jsonc/);
+
+  assert.deepEqual(calls().slice(1).map(call => call.args), [
+    ['wrangler', 'secret', 'put', 'DOTENV_PRIVATE_KEY_PRODUCTION'],
+    ['wrangler', 'secret', 'put', 'DOTENV_PRIVATE_KEY_CI', '--env', 'staging']
+  ]);
+});
+
+test('cloudflare: refuses to deploy when .env.keys would be uploaded', async (t) => {
+  fakeNpx(t);
+  const pages = tempProject(t, { 'wrangler.toml': 'name = "app"\npages_build_output_dir = "."\n' });
+  const assets = tempProject(t, { 'wrangler.json': '{ "name": "api", "assets": { "directory": "." } }' });
+
+  assert.deepEqual(await getTarget('cloudflare', { cwd: pages }).check(), {
+    ready: false,
+    reason: 'exposed',
+    protected: false,
+    dir: '.',
+    fix: 'Build Pages into a subdirectory (e.g. pages_build_output_dir = "./dist")',
+    message: '.env.keys would be uploaded from .'
+  });
+  assert.equal((await getTarget('cloudflare', { cwd: assets }).check()).fix, 'echo ".env.keys" >> .assetsignore');
+  assert.equal((await getTarget('cloudflare', { cwd: tempProject(t, { 'wrangler.json': '{}' }) }).check()).message, 'No name in wrangler.json');
+});
+
+test('k8s: next steps cover every manifest', (t) => {
+  for (const format of ['secret', 'sealed', 'sops']) {
+    const target = getTarget('k8s', { cwd: tempProject(t), format });
+    const files = [`.secrets/app-production.${format}.yaml`, `.secrets/app-preview.${format}.yaml`, '.gitignore'];
+    const output = captureLog(t, () => target.printNextSteps(files));
+
+    assert.match(output, /app-production/, format);
+    assert.match(output, /app-preview/, format);
+    assert.doesNotMatch(output, /\.gitignore/, format);
+  }
+});
+
+test('k8s: manifests hold the key as base64 data in every format', async (t) => {
+  const { privateKey } = generateKeyPair();
+
+  for (const format of ['secret', 'sealed', 'sops']) {
+    const cwd = tempProject(t);
+    const target = getTarget('k8s', { cwd, format, project: 'app' });
+
+    const { files } = await target.setSecret('DOTENV_PRIVATE_KEY_PRODUCTION', privateKey, 'production');
+    const manifest = readFileSync(join(cwd, files[0]), 'utf-8');
+
+    assert.match(manifest, new RegExp(`^data:\\n  DOTENV_PRIVATE_KEY_PRODUCTION: ${Buffer.from(privateKey).toString('base64')}$`, 'm'), format);
+    assert.equal((await target.readSecret('DOTENV_PRIVATE_KEY_PRODUCTION', 'production')).fingerprint, keyFingerprint(privateKey), format);
+    assert.deepEqual(await target.planSecret('DOTENV_PRIVATE_KEY_PRODUCTION', privateKey, 'production'), { action: 'unchanged' }, format);
+  }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, existsSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { createFileTransaction } from '../lib/utils/transaction.js';
+import { snapshot, tempProject } from './helpers.js';
+
+test('writes nothing until commit, then every staged file', (t) => {
+  const cwd = tempProject(t, { '.env.keys': 'OLD=1\n' });
+  const transaction = createFileTransaction();
+
+  transaction.stage(join(cwd, '.env.keys'), 'NEW=1\n');
+  transaction.stage(join(cwd, '.env.ci'), 'A=1\n');
+
+  assert.equal(transaction.read(join(cwd, '.env.keys')), 'NEW=1\n');
+  assert.equal(transaction.read(join(cwd, '.env.missing')), null);
+  assert.equal(readFileSync(join(cwd, '.env.keys'), 'utf-8'), 'OLD=1\n');
+  assert.equal(existsSync(join(cwd, '.env.ci')), false);
+
+  transaction.commit();
+  assert.equal(readFileSync(join(cwd, '.env.keys'), 'utf-8'), 'NEW=1\n');
+  assert.equal(readFileSync(join(cwd, '.env.ci'), 'utf-8'), 'A=1\n');
+  assert.deepEqual(transaction.paths(), []);
+});
+
+test('keeps the permissions of the files it replaces, and writes new ones as 0600', (t) => {
+  const cwd = tempProject(t, { '.env.ci': 'A=1\n' });
+  chmodSync(join(cwd, '.env.ci'), 0o640);
+  const transaction = createFileTransaction();
+
+  transaction.stage(join(cwd, '.env.ci'), 'A=2\n');
+  transaction.stage(join(cwd, '.env.keys'), 'KEY=1\n');
+  transaction.commit();
+
+  assert.equal(statSync(join(cwd, '.env.ci')).mode & 0o777, 0o640);
+  assert.equal(statSync(join(cwd, '.env.keys')).mode & 0o777, 0o600);
+});
+
+test('puts back the files already written when a later write fails', (t) => {
+  const cwd = tempProject(t, { '.env.ci': 'A=1\n', '.env.keys': 'KEY=1\n' });
+  const before = snapshot(cwd);
+  const transaction = createFileTransaction();
+
+  transaction.stage(join(cwd, '.env.ci'), 'A=2\n');
+  transaction.stage(join(cwd, '.env.keys'), 'KEY=2\n');
+  transaction.stage(join(cwd, '.env.new'), 'B=1\n');
+  transaction.stage(join(cwd, 'missing', '.env.keys'), 'KEY=3\n');
+
+  assert.throws(() => transaction.commit(), { code: 'ENOENT' });
+  assert.deepEqual(snapshot(cwd), before);
+});
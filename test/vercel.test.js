@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVercelClient, readVercelProject } from '../lib/utils/vercel.js';
+import { HttpError } from '../lib/errors.js';
+import { setEnv, stubApi, tempProject } from './helpers.js';
+
+/**
+ * Answer the env endpoints of project "prj_1", two variables per page
+ * @param {object[]} envs - Variables of the project, changed in place
+ * @returns {(request: object) => { status?: number, body?: any }}
+ */
+function fakeVercel(envs) {
+  return ({ method, url, body }) => {
+    const id = url.pathname.match(/\/env\/(.+)$/)?.[1];
+
+    if (method === 'GET' && url.pathname === '/v10/projects/prj_1/env') {
+      const start = Number(url.searchParams.get('until') || 0);
+      return { body: { envs: envs.slice(start, start + 2), pagination: { next: start + 2 < envs.length ? start + 2 : null } } };
+    }
+    if (method === 'POST') {
+      if (envs.some(env => env.key === body.key && env.target.some(target => body.target.includes(target)))) {
+        return { status: 400, body: { error: { code: 'ENV_CONFLICT', message: `A variable with the name "${body.key}" already exists` } } };
+      }
+      envs.push({ ...body, id: `env_${envs.length + 1}` });
+      return { status: 201, body: { created: body } };
+    }
+    if (method === 'PATCH') {
+      Object.assign(envs.find(env => env.id === id), body);
+      return { body: {} };
+    }
+    if (method === 'GET' && id) {
+      return { body: envs.find(env => env.id === id) };
+    }
+    return { status: 404, body: { error: { code: 'not_found', message: 'Not Found' } } };
+  };
+}
+
+test('reads the linked project from the environment or .vercel/project.json', (t) => {
+  const linked = tempProject(t, { '.vercel/project.json': '{ "projectId": "prj_1", "orgId": "team_1" }\n' });
+  setEnv(t, { VERCEL_PROJECT_ID: undefined, VERCEL_ORG_ID: undefined });
+
+  assert.deepEqual(readVercelProject(linked), { projectId: 'prj_1', orgId: 'team_1' });
+  assert.equal(readVercelProject(tempProject(t)), null);
+
+  setEnv(t, { VERCEL_PROJECT_ID: 'prj_2', VERCEL_ORG_ID: 'user_1' });
+  assert.deepEqual(readVercelProject(linked), { projectId: 'prj_2', orgId: 'user_1' });
+});
+
+test('lists every page of variables, and scopes requests to teams only', async (t) => {
+  const envs = ['A', 'B', 'C', 'D', 'E'].map((key, i) => ({ id: `env_${i}`, key, type: 'encrypted', target: ['production'] }));
+  const api = await stubApi(t, fakeVercel(envs));
+
+  const team = createVercelClient({ token: 'token', projectId: 'prj_1', orgId: 'team_1', apiUrl: `${api.url}/` });
+  assert.deepEqual((await team.listEnv()).map(env => env.key), ['A', 'B', 'C', 'D', 'E']);
+  assert.deepEqual(api.requests.map(request => request.url.searchParams.get('until')), [null, '2', '4']);
+  assert.ok(api.requests.every(request => request.url.searchParams.get('teamId') === 'team_1'));
+  assert.equal(api.requests[0].headers.authorization, 'Bearer token');
+
+  setEnv(t, { VERCEL_API_URL: api.url });
+  const personal = createVercelClient({ token: 'token', projectId: 'prj_1', orgId: 'user_1' });
+  assert.equal((await personal.findEnv('E', 'production')).id, 'env_4');
+  assert.equal(api.requests.at(-1).url.searchParams.has('teamId'), false);
+});
+
+test('upserts one target, splitting it off a shared variable', async (t) => {
+  const envs = [{ id: 'env_1', key: 'SHARED', value: 'old', type: 'encrypted', target: ['production', 'preview'] }];
+  const api = await stubApi(t, fakeVercel(envs));
+  const client = createVercelClient({ token: 'token', projectId: 'prj_1', apiUrl: api.url });
+
+  assert.deepEqual(await client.upsertEnv('KEY', 'one', 'production', { comment: 'note' }), { action: 'created' });
+  assert.equal(envs.at(-1).comment, 'note');
+  assert.deepEqual(await client.upsertEnv('KEY', 'two', 'development'), { action: 'created' });
+  assert.deepEqual(await client.upsertEnv('KEY', 'three', 'production'), { action: 'updated' });
+  assert.deepEqual(envs.filter(env => env.key === 'KEY').map(({ type, target, value }) => ({ type, target, value })), [
+    { type: 'sensitive', target: ['production'], value: 'three' },
+    { type: 'encrypted', target: ['development'], value: 'two' }
+  ]);
+
+  assert.deepEqual(await client.upsertEnv('SHARED', 'new', 'preview'), { action: 'updated' });
+  assert.deepEqual(envs.filter(env => env.key === 'SHARED').map(({ target, value }) => ({ target, value })), [
+    { target: ['production'], value: 'old' },
+    { target: ['preview'], value: 'new' }
+  ]);
+
+  assert.equal(await client.getEnvValue('env_1'), 'old');
+  assert.equal(await client.getEnvValue(envs.find(env => env.type === 'sensitive').id), null);
+});
+
+test('throws HttpError with the Vercel error code', async (t) => {
+  const envs = [{ id: 'env_1', key: 'KEY', type: 'encrypted', target: ['production'] }];
+  const api = await stubApi(t, fakeVercel(envs));
+  const client = createVercelClient({ token: 'token', projectId: 'prj_1', apiUrl: api.url });
+
+  await assert.rejects(client.createEnv({ key: 'KEY', value: 'x', type: 'sensitive', target: ['production'] }), (error) => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 400);
+    assert.equal(error.apiCode, 'ENV_CONFLICT');
+    return true;
+  });
+  await assert.rejects(client.getProject(), { status: 404, apiCode: 'not_found' });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { verify } from '../lib/api/verify.js';
+import { encryptValue, generateKeyPair } from '../lib/utils/ecies.js';
+import { NotFoundError } from '../lib/errors.js';
+import { encryptedProject, setEnv } from './helpers.js';
+
+test('reports keys that do not open their env files, and orphan keys', async (t) => {
+  const { cwd, keys } = encryptedProject(t, {
+    ci: { A: 'one' },
+    production: { B: 'two' },
+    qa: { C: 'three' },
+    staging: { D: 'four' }
+  }, { '.env.plain': 'E=five\n' });
+  const other = generateKeyPair();
+  const envKeys = readFileSync(join(cwd, '.env.keys'), 'utf-8')
+    .replace(keys.production.privateKey, other.privateKey)
+    .replace(keys.qa.privateKey, 'not-a-key');
+  writeFileSync(join(cwd, '.env.keys'), `${envKeys}DOTENV_PRIVATE_KEY_OLD="${keys.ci.privateKey}"\n`);
+  // Encrypted for another key, next to values the staging key opens
+  appendFileSync(join(cwd, '.env.staging'), `F="${encryptValue(other.publicKey, 'six')}"\n`);
+
+  const result = await verify({ cwd });
+  const byId = Object.fromEntries(result.environments.map(env => [env.id, env]));
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(Object.keys(byId), ['ci', 'production', 'qa', 'staging']);
+  assert.deepEqual(byId.ci, {
+    id: 'ci',
+    file: '.env.ci',
+    keyName: 'DOTENV_PRIVATE_KEY_CI',
+    keySource: '.env.keys',
+    encrypted: 1,
+    publicKey: keys.ci.publicKey,
+    matches: true,
+    undecryptable: [],
+    problems: []
+  });
+  assert.deepEqual([byId.production.matches, byId.production.undecryptable], [false, ['B']]);
+  assert.deepEqual([byId.qa.matches, byId.qa.undecryptable], [false, ['C']]);
+  assert.deepEqual([byId.staging.matches, byId.staging.undecryptable], [true, ['F']]);
+  assert.deepEqual(result.orphanKeys, [{ keyName: 'DOTENV_PRIVATE_KEY_OLD', keysFile: '.env.keys' }]);
+  assert.deepEqual(result.problems, [
+    'DOTENV_PRIVATE_KEY_PRODUCTION in .env.keys does not match DOTENV_PUBLIC_KEY_PRODUCTION in .env.production',
+    'Cannot decrypt B in .env.production',
+    'DOTENV_PRIVATE_KEY_QA in .env.keys is not a valid private key',
+    'DOTENV_PRIVATE_KEY_QA in .env.keys does not match DOTENV_PUBLIC_KEY_QA in .env.qa',
+    'Cannot decrypt C in .env.qa',
+    'Cannot decrypt F in .env.staging',
+    'DOTENV_PRIVATE_KEY_OLD in .env.keys has no env file'
+  ]);
+});
+
+test('prefers keys from the environment and checks only the given environments', async (t) => {
+  const { cwd, keys } = encryptedProject(t, { ci: { A: 'one' }, production: { B: 'two' } });
+  writeFileSync(join(cwd, '.env.keys'), 'DOTENV_PRIVATE_KEY_OLD="x"\n');
+  setEnv(t, { DOTENV_PRIVATE_KEY_PRODUCTION: `${generateKeyPair().privateKey},${keys.production.privateKey}` });
+
+  const result = await verify({ cwd, env: ['production'] });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.environments.map(({ id, keySource, matches }) => ({ id, keySource, matches })), [
+    { id: 'production', keySource: 'env', matches: true }
+  ]);
+  assert.deepEqual(result.orphanKeys, []);
+});
+
+test('throws NotFoundError for an unknown environment', async (t) => {
+  const { cwd } = encryptedProject(t, { production: { A: 'one' } });
+
+  await assert.rejects(verify({ cwd, env: ['prod'] }), (error) => {
+    assert.ok(error instanceof NotFoundError);
+    assert.equal(error.message, 'Environment "prod" not found');
+    assert.deepEqual(error.available, ['production']);
+    return true;
+  });
+});
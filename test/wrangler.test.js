@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readWranglerConfig } from '../lib/utils/wrangler.js';
+import { ConfigError } from '../lib/errors.js';
+import { tempProject } from './helpers.js';
+
+const TOML = `# Worker settings
+name = "api" # the Worker
+account_id = 'acc_1'
+main = "src/index.js"
+
+[assets]
+directory = "./public"
+
+[vars]
+name = "not the Worker"
+
+[env.staging]
+name = "api-staging"
+
+[env.production]
+route = "api.example.com/*"
+
+[[env.production.kv_namespaces]]
+binding = "KV"
+`;
+
+const JSONC = `{
+  // Worker settings
+  "name": "api",
+  "account_id": "acc_1",
+  "main": "src/index.js", /* a comment with "quotes" */
+  "assets": { "directory": "./public" },
+  "vars": { "URL": "https://example.com//path" },
+  "env": {
+    "staging": { "name": "api-staging" },
+    "production": { "route": "api.example.com/*", },
+  },
+}
+`;
+
+const EXPECTED = {
+  name: 'api',
+  accountId: 'acc_1',
+  assetsDir: './public',
+  envs: { staging: { name: 'api-staging' }, production: {} }
+};
+
+test('reads wrangler.toml', (t) => {
+  assert.deepEqual(readWranglerConfig(tempProject(t, { 'wrangler.toml': TOML })), { file: 'wrangler.toml', ...EXPECTED });
+  assert.deepEqual(readWranglerConfig(tempProject(t, { 'wrangler.toml': 'name = "site"\npages_build_output_dir = "./dist"\n' })), {
+    file: 'wrangler.toml',
+    name: 'site',
+    pagesOutputDir: './dist',
+    envs: {}
+  });
+});
+
+test('reads wrangler.json and wrangler.jsonc, before wrangler.toml', (t) => {
+  assert.deepEqual(readWranglerConfig(tempProject(t, { 'wrangler.jsonc': JSONC })), { file: 'wrangler.jsonc', ...EXPECTED });
+  assert.deepEqual(readWranglerConfig(tempProject(t, {
+    'wrangler.json': JSON.stringify({ name: 'site', pages_build_output_dir: './dist' }),
+    'wrangler.toml': TOML
+  })), { file: 'wrangler.json', name: 'site', pagesOutputDir: './dist', envs: {} });
+});
+
+test('returns null without a configuration and refuses invalid JSON', (t) => {
+  assert.equal(readWranglerConfig(tempProject(t)), null);
+  assert.throws(() => readWranglerConfig(tempProject(t, { 'wrangler.json': '{ name: "api" }' })), (error) => {
+    return error instanceof ConfigError && /^wrangler\.json is not valid JSON/.test(error.message);
+  });
+});